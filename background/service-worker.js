@@ -6,9 +6,17 @@
  * - Extension lifecycle (install, startup)
  * - Dynamic popup/fullpage switching based on user preference
  * - Keyboard shortcuts
+ * - Scheduled bookmark snapshots
+ * - Auto-filing of new bookmarks
  * - Bookmark change events
  */
 
+importScripts(
+  '../shared/bookmark-backup.js',
+  '../shared/bookmark-snapshots.js',
+  '../shared/bookmark-filing.js',
+)
+
 /**
  * Storage key for the default view mode preference
  * @type {string}
@@ -88,6 +96,96 @@ async function openFullPage() {
   }
 }
 
+/**
+ * Alarm name for scheduled snapshots
+ * @type {string}
+ */
+const SNAPSHOT_ALARM = 'bookmark-snapshot'
+
+/**
+ * Creates the snapshot alarm unless it is already scheduled.
+ * Alarms survive service worker restarts, so this only needs to
+ * run on install and browser startup.
+ *
+ * @returns {Promise<void>}
+ */
+async function ensureSnapshotAlarm() {
+  const alarm = await chrome.alarms.get(SNAPSHOT_ALARM)
+  if (!alarm) {
+    await chrome.alarms.create(SNAPSHOT_ALARM, {
+      delayInMinutes: SNAPSHOT_INTERVAL_MINUTES,
+      periodInMinutes: SNAPSHOT_INTERVAL_MINUTES,
+    })
+  }
+}
+
+/**
+ * Takes a snapshot of the whole bookmark tree.
+ *
+ * @param {string} trigger - A SnapshotTrigger value
+ * @returns {Promise<Object|null>} Snapshot index entry, or null if skipped
+ */
+async function takeSnapshot(trigger) {
+  const tree = await chrome.bookmarks.getTree()
+  const entry = await saveSnapshot(createBookmarkBackup(tree), trigger)
+  console.log(
+    entry ? `Snapshot saved (${trigger})` : 'Snapshot skipped (no changes)',
+  )
+  return entry
+}
+
+/**
+ * Whether Chrome is importing bookmarks; imported bookmarks keep the
+ * structure they came with
+ * @type {boolean}
+ */
+let importInProgress = false
+
+/**
+ * Files a newly created bookmark with the first matching rule, then
+ * logs which rule fired. Does nothing while an import runs or for
+ * bookmarks an extension page created itself.
+ *
+ * @param {string} id - Bookmark ID
+ * @param {Object} bookmark - Created bookmark node
+ * @returns {Promise<void>}
+ */
+async function fileNewBookmark(id, bookmark) {
+  if (!bookmark.url || importInProgress || (await isOwnBookmark(bookmark))) {
+    return
+  }
+
+  const rule = findFilingRule(await loadFilingRules(), bookmark)
+  if (!rule) return
+
+  const title = rewriteFilingTitle(rule, bookmark.title)
+  const entry = {
+    time: Date.now(),
+    bookmarkId: id,
+    title,
+    url: bookmark.url,
+    rule: describeFilingRule(rule),
+  }
+
+  try {
+    const [folder] = await chrome.bookmarks.get(rule.folderId)
+    if (title !== bookmark.title) {
+      await chrome.bookmarks.update(id, { title })
+    }
+    if (bookmark.parentId !== folder.id) {
+      await chrome.bookmarks.move(id, { parentId: folder.id })
+    }
+    entry.folderTitle = folder.title
+    console.log(`Filed "${title}" into "${folder.title}"`)
+  } catch (error) {
+    // Usually the target folder was deleted after the rule was made
+    entry.error = error.message
+    console.error('Auto-filing failed:', error)
+  }
+
+  await appendFilingLog(entry)
+}
+
 // ============================================================================
 // Event Listeners
 // ============================================================================
@@ -99,6 +197,9 @@ async function openFullPage() {
 chrome.runtime.onInstalled.addListener(async (details) => {
   console.log('Bookmark XP Explorer installed:', details.reason)
 
+  // Scheduled first so a failure below cannot leave snapshots unscheduled
+  await ensureSnapshotAlarm()
+
   if (details.reason === 'install') {
     console.log('Welcome to Bookmark XP Explorer!')
 
@@ -110,6 +211,13 @@ chrome.runtime.onInstalled.addListener(async (details) => {
 
     // Open fullpage on first install
     await openFullPage()
+
+    // Start the snapshot history with the tree as it was on install
+    try {
+      await takeSnapshot(SnapshotTrigger.INSTALL)
+    } catch (error) {
+      console.error('Install snapshot failed:', error)
+    }
   } else if (details.reason === 'update') {
     // On update, load existing preference or set new default
     const result = await chrome.storage.local.get(STORAGE_KEY)
@@ -128,6 +236,17 @@ chrome.runtime.onInstalled.addListener(async (details) => {
 chrome.runtime.onStartup.addListener(async () => {
   console.log('Bookmark XP Explorer starting up...')
   await loadAndApplyPreference()
+  await ensureSnapshotAlarm()
+})
+
+/**
+ * Alarm handler.
+ * Takes the scheduled bookmark snapshot.
+ */
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+  if (alarm.name === SNAPSHOT_ALARM) {
+    await takeSnapshot(SnapshotTrigger.SCHEDULED)
+  }
 })
 
 /**
@@ -158,6 +277,13 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true // Keep channel open for async response
   }
 
+  if (message.action === 'takeSnapshot') {
+    takeSnapshot(SnapshotTrigger.MANUAL)
+      .then((entry) => sendResponse({ success: true, entry }))
+      .catch((error) => sendResponse({ success: false, error: error.message }))
+    return true // Keep channel open for async response
+  }
+
   if (message.action === 'updateViewMode') {
     applyViewModePreference(message.mode).then(() =>
       sendResponse({ success: true }),
@@ -181,14 +307,29 @@ chrome.storage.onChanged.addListener((changes, namespace) => {
   }
 })
 
-// ============================================================================
-// Bookmark Event Logging (for debugging)
-// ============================================================================
-
+/**
+ * Bookmark created handler.
+ * Applies the auto-filing rules.
+ */
 chrome.bookmarks.onCreated.addListener((id, bookmark) => {
   console.log('Bookmark created:', bookmark.title)
+  fileNewBookmark(id, bookmark).catch((error) => {
+    console.error('Auto-filing failed:', error)
+  })
 })
 
+chrome.bookmarks.onImportBegan.addListener(() => {
+  importInProgress = true
+})
+
+chrome.bookmarks.onImportEnded.addListener(() => {
+  importInProgress = false
+})
+
+// ============================================================================
+// Bookmark Event Logging (for debugging)
+// ============================================================================
+
 chrome.bookmarks.onRemoved.addListener((id, removeInfo) => {
   console.log('Bookmark removed:', id)
 })
@@ -14,21 +14,32 @@ const state = {
       history: ['1'],
       historyIndex: 0,
       selectedItems: new Set(),
+      searchResults: null, // Nodes from the last search, while it is shown
+      searchRegex: false,
+      searchRegexField: 'both',
+      searchGroupByFolder: false,
+      searchScope: 'all', // A SearchScope value
     },
     2: {
       currentFolderId: '2',
       history: ['2'],
       historyIndex: 0,
       selectedItems: new Set(),
+      searchResults: null, // Nodes from the last search, while it is shown
+      searchRegex: false,
+      searchRegexField: 'both',
+      searchGroupByFolder: false,
+      searchScope: 'all', // A SearchScope value
     },
   },
   activePane: 1,
   viewMode: 'single', // 'single' or 'split'
   expandedFolders: new Set(['0', '1', '2']),
   draggedItem: null,
-  clipboard: null, // { action: 'cut'|'copy', id: string, sourcePane: number }
+  clipboard: null, // { action: 'cut'|'copy', ids: string[], sourcePane: number }
   sidebarWidth: 260,
   undoStack: [], // Array of undo actions, max 50 items
+  viewSorts: {}, // Folder ID -> { key, descending } display-only sort
 }
 
 // Maximum undo history size
@@ -92,12 +103,16 @@ async function init() {
 
   // Load saved state
   await loadState()
+  await loadSavedSearches()
 
   // Initialize UI
   await loadFolderTree()
   await loadPaneContent(1)
   await loadPaneContent(2)
 
+  // Built-in palette commands are listed before the ones features add
+  registerDefaultPaletteCommands()
+
   // Setup event listeners
   setupViewModeSwitcher()
   setupPaneNavigation()
@@ -105,8 +120,23 @@ async function init() {
   setupDragAndDrop()
   setupContextMenu()
   setupDialogs()
+  setupSortDialog()
+  setupOrganizeDialog()
+  setupMergeDialog()
+  setupFlattenDialog()
+  setupReplaceDialog()
+  setupViewSort()
   setupSearch()
+  setupSavedSearches()
+  setupSystemPaste()
+  setupImport()
+  setupExportDialog()
+  setupDiffDialog()
+  setupDuplicatesDialog()
+  setupLinkCheckDialog()
+  setupCleanupDialog()
   setupKeyboardShortcuts()
+  setupCommandPalette()
   setupResizers()
   setupSettingsButton()
 
@@ -134,6 +164,11 @@ async function loadState() {
       if (s.expandedFolders) {
         state.expandedFolders = new Set(s.expandedFolders)
       }
+      if (s.searchScopes) {
+        state.panes[1].searchScope = s.searchScopes[1] || SearchScope.ALL
+        state.panes[2].searchScope = s.searchScopes[2] || SearchScope.ALL
+      }
+      state.viewSorts = s.viewSorts || {}
     }
   } catch (e) {
     console.log('Could not load state:', e)
@@ -147,6 +182,11 @@ async function saveState() {
         viewMode: state.viewMode,
         sidebarWidth: state.sidebarWidth,
         expandedFolders: Array.from(state.expandedFolders),
+        searchScopes: {
+          1: state.panes[1].searchScope,
+          2: state.panes[2].searchScope,
+        },
+        viewSorts: state.viewSorts,
       },
     })
   } catch (e) {
@@ -187,9 +227,13 @@ function setViewMode(mode) {
  * Opens the settings page in a new tab.
  */
 function setupSettingsButton() {
-  document.getElementById('open-settings').addEventListener('click', () => {
-    chrome.tabs.create({ url: chrome.runtime.getURL('settings/settings.html') })
-  })
+  document
+    .getElementById('open-settings')
+    .addEventListener('click', openSettings)
+}
+
+function openSettings() {
+  chrome.tabs.create({ url: chrome.runtime.getURL('settings/settings.html') })
 }
 
 // ============================================
@@ -202,6 +246,7 @@ async function loadFolderTree() {
   tree[0].children.forEach((child) => {
     renderTreeItem(child, elements.folderTree, 0)
   })
+  renderSavedSearchesNode(elements.folderTree)
 }
 
 function renderTreeItem(node, container, depth) {
@@ -256,12 +301,18 @@ function getFolderIcon(id) {
 // ============================================
 async function loadPaneContent(paneNum) {
   const paneState = state.panes[paneNum]
+  if (isSavedSearchId(paneState.currentFolderId)) {
+    await loadSavedSearch(paneNum)
+    return
+  }
+
   const content = document.querySelector(
     `.pane-content[data-pane="${paneNum}"]`,
   )
   const children = await chrome.bookmarks.getChildren(paneState.currentFolderId)
 
   content.innerHTML = ''
+  paneState.searchResults = null
 
   if (children.length === 0) {
     content.innerHTML = `
@@ -271,22 +322,34 @@ async function loadPaneContent(paneNum) {
       </div>
     `
     updatePaneStatus(paneNum, 0)
+    updateViewSortControls(paneNum)
     return
   }
 
-  // Keep original order from Chrome (no sorting)
-  // This preserves the user's custom arrangement in the bookmark bar
+  // Keep original order from Chrome unless the folder has a view sort.
+  // Either way the user's custom arrangement is never changed here
+  const viewSort = state.viewSorts[paneState.currentFolderId]
+  const items = viewSort ? sortBookmarkNodes(children, viewSort) : children
 
-  children.forEach((child) => {
+  items.forEach((child) => {
     renderContentItem(child, content)
   })
 
   updatePaneStatus(paneNum, children.length)
+  updateViewSortControls(paneNum)
   await updatePanePath(paneNum)
   updatePaneNavButtons(paneNum)
 }
 
-function renderContentItem(node, container) {
+/**
+ * Renders a folder or bookmark into a pane's content area.
+ * @param {Object} node - Bookmark tree node
+ * @param {HTMLElement} container - Pane content element
+ * @param {Map<number, string>} [highlights] - CSS classes for highlighted
+ *   title characters, keyed by offset
+ * @returns {HTMLElement} The rendered item
+ */
+function renderContentItem(node, container, highlights = new Map()) {
   const item = document.createElement('div')
   item.className = 'content-item'
   item.dataset.id = node.id
@@ -295,22 +358,61 @@ function renderContentItem(node, container) {
   item.dataset.title = node.title || 'Untitled'
   item.draggable = true
 
+  const label = node.title
+    ? highlightText(node.title, highlights)
+    : escapeHtml('Untitled')
+
   if (node.url) {
     const favicon = getFaviconUrl(node.url)
     item.innerHTML = `
       <div class="content-item-favicon">
         <img src="${favicon}" onerror="this.parentElement.innerHTML='🔗'">
       </div>
-      <div class="content-item-label">${escapeHtml(node.title || 'Untitled')}</div>
+      <div class="content-item-label">${label}</div>
     `
   } else {
     item.innerHTML = `
       <div class="content-item-icon">📁</div>
-      <div class="content-item-label">${escapeHtml(node.title || 'Untitled')}</div>
+      <div class="content-item-label">${label}</div>
     `
   }
 
   container.appendChild(item)
+  return item
+}
+
+/**
+ * Escapes text for HTML, wrapping highlighted characters in <mark>
+ * elements. Adjacent characters with the same class share one element.
+ * @param {string} text - Text to render
+ * @param {Map<number, string>} highlights - CSS classes keyed by offset
+ * @returns {string} HTML
+ */
+function highlightText(text, highlights) {
+  if (highlights.size === 0) return escapeHtml(text)
+
+  let html = ''
+  let run = ''
+  let runClass
+
+  const flush = () => {
+    if (!run) return
+    html += runClass
+      ? `<mark class="${runClass}">${escapeHtml(run)}</mark>`
+      : escapeHtml(run)
+    run = ''
+  }
+
+  for (let i = 0; i < text.length; i++) {
+    if (highlights.get(i) !== runClass) {
+      flush()
+      runClass = highlights.get(i)
+    }
+    run += text[i]
+  }
+  flush()
+
+  return html
 }
 
 function getFaviconUrl(url) {
@@ -334,6 +436,132 @@ function updatePaneStatus(paneNum, count) {
   itemCount.textContent = `${count} item${count !== 1 ? 's' : ''}`
 }
 
+// ============================================
+// View Sort
+// ============================================
+
+/**
+ * Status bar names of the view sort keys
+ * @type {Object<string, string>}
+ */
+const VIEW_SORT_LABELS = {
+  [SortKey.NAME]: 'name',
+  [SortKey.URL]: 'URL',
+  [SortKey.TYPE]: 'type',
+  [SortKey.DATE_ADDED]: 'date added',
+}
+
+function setupViewSort() {
+  document.querySelectorAll('.view-sort').forEach((select) => {
+    const paneNum = parseInt(select.dataset.pane)
+
+    select.addEventListener('change', () => {
+      const sort = getPaneViewSort(paneNum)
+      setPaneViewSort(
+        paneNum,
+        select.value
+          ? { key: select.value, descending: !!sort?.descending }
+          : null,
+      )
+    })
+  })
+
+  document.querySelectorAll('.view-sort-direction').forEach((btn) => {
+    const paneNum = parseInt(btn.dataset.pane)
+
+    btn.addEventListener('click', () => {
+      const sort = getPaneViewSort(paneNum)
+      if (sort)
+        setPaneViewSort(paneNum, { ...sort, descending: !sort.descending })
+    })
+  })
+
+  registerPaletteCommand({
+    id: 'clear-view-sort',
+    title: 'Show Folder in Stored Order',
+    icon: '↕️',
+    isAvailable: ({ paneNum }) => !!getPaneViewSort(paneNum),
+    run: ({ paneNum }) => setPaneViewSort(paneNum, null),
+  })
+}
+
+/**
+ * Returns the view sort of the folder a pane shows, or null while it
+ * shows the stored order or search results.
+ * @param {number} paneNum - Pane number
+ * @returns {{key: string, descending: boolean}|null}
+ */
+function getPaneViewSort(paneNum) {
+  const paneState = state.panes[paneNum]
+  if (paneState.searchResults) return null
+  return state.viewSorts[paneState.currentFolderId] || null
+}
+
+/**
+ * Sets or clears the view sort of the folder a pane shows and redraws
+ * every pane showing that folder. Bookmarks are not moved.
+ * @param {number} paneNum - Pane number
+ * @param {{key: string, descending: boolean}|null} sort - New sort
+ * @returns {Promise<void>}
+ */
+async function setPaneViewSort(paneNum, sort) {
+  const folderId = state.panes[paneNum].currentFolderId
+
+  if (sort) {
+    state.viewSorts[folderId] = sort
+  } else {
+    delete state.viewSorts[folderId]
+  }
+  saveState()
+
+  for (const num of [1, 2]) {
+    if (state.panes[num].currentFolderId === folderId) {
+      await loadPaneContent(num)
+    }
+  }
+}
+
+/**
+ * Syncs a pane's sort controls with its view sort and marks the pane
+ * while drag reordering is off.
+ * @param {number} paneNum - Pane number
+ */
+function updateViewSortControls(paneNum) {
+  const paneState = state.panes[paneNum]
+  const sort = getPaneViewSort(paneNum)
+  const select = document.querySelector(`.view-sort[data-pane="${paneNum}"]`)
+  const directionBtn = document.querySelector(
+    `.view-sort-direction[data-pane="${paneNum}"]`,
+  )
+
+  select.value = sort?.key || ''
+  select.disabled =
+    !!paneState.searchResults || isSavedSearchId(paneState.currentFolderId)
+  directionBtn.disabled = !sort
+  directionBtn.textContent = sort?.descending ? '↓' : '↑'
+  directionBtn.setAttribute('aria-pressed', String(!!sort?.descending))
+  document
+    .getElementById(`pane-${paneNum}`)
+    .classList.toggle('view-sorted', !!sort)
+
+  if (sort) {
+    const direction = sort.descending ? 'descending' : 'ascending'
+    document.querySelector(`.status-text[data-pane="${paneNum}"]`).textContent =
+      `Sorted by ${VIEW_SORT_LABELS[sort.key]}, ${direction} (drag reordering is off)`
+  }
+}
+
+/**
+ * Whether an item is shown in a view-sorted pane, where its position
+ * does not reflect the stored order.
+ * @param {Element} item - Content or tree item
+ * @returns {boolean}
+ */
+function isInViewSortedPane(item) {
+  const pane = item.closest('.explorer-pane')
+  return !!pane && !!getPaneViewSort(parseInt(pane.dataset.pane))
+}
+
 async function updatePanePath(paneNum) {
   const paneState = state.panes[paneNum]
   const pathContainer = document.querySelector(
@@ -342,6 +570,12 @@ async function updatePanePath(paneNum) {
   const pathParts = []
   let currentId = paneState.currentFolderId
 
+  if (isSavedSearchId(currentId)) {
+    const search = getSavedSearch(currentId)
+    pathParts.push({ id: currentId, title: search ? search.name : 'Search' })
+    currentId = '0'
+  }
+
   while (currentId !== '0') {
     const nodes = await chrome.bookmarks.get(currentId)
     if (nodes.length === 0) break
@@ -438,10 +672,13 @@ function setupPaneNavigation() {
   // Folder tree clicks
   elements.folderTree.addEventListener('click', async (e) => {
     const item = e.target.closest('.tree-item')
-    if (!item) return
+    if (!item || e.target.closest('.saved-search-delete')) return
 
     const toggle = e.target.closest('.tree-toggle')
-    if (toggle && !toggle.classList.contains('empty')) {
+    if (
+      (toggle && !toggle.classList.contains('empty')) ||
+      item.dataset.id === SAVED_SEARCHES_ROOT_ID
+    ) {
       await toggleFolder(item.dataset.id)
     } else {
       await navigatePane(state.activePane, item.dataset.id)
@@ -476,7 +713,9 @@ async function handlePaneAction(paneNum, action) {
       break
 
     case 'up':
-      if (paneState.currentFolderId !== '0') {
+      if (isSavedSearchId(paneState.currentFolderId)) {
+        await navigatePane(paneNum, '0')
+      } else if (paneState.currentFolderId !== '0') {
         const nodes = await chrome.bookmarks.get(paneState.currentFolderId)
         if (nodes.length > 0 && nodes[0].parentId) {
           await navigatePane(paneNum, nodes[0].parentId)
@@ -494,11 +733,19 @@ async function handlePaneAction(paneNum, action) {
       break
 
     case 'new-folder':
-      showNewFolderDialog(paneNum)
+      if (!rejectSavedSearchTarget(paneNum)) showNewFolderDialog(paneNum)
       break
 
     case 'new-bookmark':
-      showNewBookmarkDialog(paneNum)
+      if (!rejectSavedSearchTarget(paneNum)) showNewBookmarkDialog(paneNum)
+      break
+
+    case 'export':
+      await showExportDialog(paneNum)
+      break
+
+    case 'import':
+      if (!rejectSavedSearchTarget(paneNum)) showImportPicker(paneNum)
       break
   }
 }
@@ -513,7 +760,10 @@ async function navigatePane(paneNum, folderId, addToHistory = true) {
   const searchInput = document.querySelector(
     `.search-input[data-pane="${paneNum}"]`,
   )
-  if (searchInput) searchInput.value = ''
+  if (searchInput) {
+    searchInput.value = ''
+    searchInput.classList.remove('invalid')
+  }
 
   if (addToHistory) {
     paneState.history = paneState.history.slice(0, paneState.historyIndex + 1)
@@ -577,6 +827,20 @@ function toggleItemSelection(paneNum, item) {
   }
 }
 
+/**
+ * Returns the IDs of a pane's selected items in display order.
+ * @param {number} paneNum - Pane number
+ * @returns {string[]}
+ */
+function getSelectedIds(paneNum) {
+  const content = document.querySelector(
+    `.pane-content[data-pane="${paneNum}"]`,
+  )
+  return Array.from(content.querySelectorAll('.content-item.selected')).map(
+    (el) => el.dataset.id,
+  )
+}
+
 function clearSelection(paneNum) {
   const content = document.querySelector(
     `.pane-content[data-pane="${paneNum}"]`,
@@ -801,7 +1065,11 @@ function setupDragAndDrop() {
 
       // Now also include non-folder content items for reordering
       const target = el.closest('.content-item, .tree-item')
-      if (target && target.dataset.id !== excludeId) {
+      if (
+        target &&
+        target.dataset.id !== excludeId &&
+        !target.classList.contains('saved-search')
+      ) {
         return target
       }
     }
@@ -822,6 +1090,10 @@ function setupDragAndDrop() {
 
     const isFolder = target.dataset.isFolder === 'true'
 
+    // Sorted views don't show the stored order, so only folder drops
+    // make sense there
+    if (isInViewSortedPane(target)) return isFolder ? 'into' : null
+
     if (isFolder) {
       // For folders: top 25% = before, middle 50% = into, bottom 25% = after
       if (heightRatio < 0.25) return 'before'
@@ -901,25 +1173,36 @@ function setupDragAndDrop() {
 
     // Find valid drop target (now includes all content items)
     let target = e.target.closest('.content-item, .tree-item')
+    if (target?.classList.contains('saved-search')) target = null
 
     // If not found directly, search nearby
     if (!target) {
       target = findNearbyDropTarget(e.clientX, e.clientY, state.draggedItem.id)
     }
 
-    // Also allow pane-content as drop zone (move to current folder)
-    const paneContent = !target ? e.target.closest('.pane-content') : null
-
+    let position = null
     if (target && target.dataset?.id !== state.draggedItem.id) {
-      const position = getDropPosition(e, target)
+      position = getDropPosition(e, target)
+      if (!position) target = null
+    }
+
+    // Also allow pane-content as drop zone (move to current folder),
+    // except for items already there when the pane is view-sorted
+    const paneContent = !target ? e.target.closest('.pane-content') : null
+    const reorderBlocked =
+      paneContent &&
+      state.draggedItem.pane === paneContent.dataset.pane &&
+      isInViewSortedPane(paneContent)
+    if (reorderBlocked) e.dataTransfer.dropEffect = 'none'
 
+    if (position) {
       // Only update if target or position changed
       if (lastDropTarget !== target || lastDropPosition !== position) {
         updateDropIndicator(target, position)
         lastDropTarget = target
         lastDropPosition = position
       }
-    } else if (paneContent) {
+    } else if (paneContent && !reorderBlocked) {
       if (lastDropTarget !== paneContent) {
         updateDropIndicator(null, null)
         paneContent.classList.add('drag-over')
@@ -982,8 +1265,8 @@ function setupDragAndDrop() {
     if (!targetElement) {
       const target = e.target.closest('.content-item, .tree-item')
       if (target && target.dataset.id !== draggedItemId) {
-        targetElement = target
         dropPosition = getDropPosition(e, target)
+        if (dropPosition) targetElement = target
       }
     }
 
@@ -995,8 +1278,8 @@ function setupDragAndDrop() {
         draggedItemId,
       )
       if (nearbyTarget) {
-        targetElement = nearbyTarget
         dropPosition = getDropPosition(e, nearbyTarget)
+        if (dropPosition) targetElement = nearbyTarget
       }
     }
 
@@ -1006,30 +1289,42 @@ function setupDragAndDrop() {
       if (paneContent) {
         const paneNum = parseInt(paneContent.dataset.pane)
         const currentFolderId = state.panes[paneNum]?.currentFolderId
-        if (currentFolderId && currentFolderId !== draggedItemId) {
+        if (
+          currentFolderId &&
+          currentFolderId !== draggedItemId &&
+          !isSavedSearchId(currentFolderId)
+        ) {
           // Move to current folder (existing behavior)
           try {
             const [originalNode] = await chrome.bookmarks.get(draggedItemId)
             const originalParentId = originalNode.parentId
             const originalIndex = originalNode.index
 
-            await chrome.bookmarks.move(draggedItemId, {
-              parentId: currentFolderId,
-            })
-
-            pushUndoAction({
-              type: 'move',
-              itemId: draggedItemId,
-              originalParentId: originalParentId,
-              originalIndex: originalIndex,
-            })
-
-            showToast('Item moved successfully', 'success')
-            await loadPaneContent(1)
-            if (state.viewMode === 'split') {
-              await loadPaneContent(2)
+            if (
+              originalParentId === currentFolderId &&
+              getPaneViewSort(paneNum)
+            ) {
+              // Moving to the end would silently reorder the folder
+              showToast('Reordering is off while the view is sorted', 'info')
+            } else {
+              await chrome.bookmarks.move(draggedItemId, {
+                parentId: currentFolderId,
+              })
+
+              pushUndoAction({
+                type: 'move',
+                itemId: draggedItemId,
+                originalParentId: originalParentId,
+                originalIndex: originalIndex,
+              })
+
+              showToast('Item moved successfully', 'success')
+              await loadPaneContent(1)
+              if (state.viewMode === 'split') {
+                await loadPaneContent(2)
+              }
+              await loadFolderTree()
             }
-            await loadFolderTree()
           } catch (error) {
             showToast('Failed to move item', 'error')
             console.error('Move failed:', error)
@@ -1048,6 +1343,20 @@ function setupDragAndDrop() {
       }
     }
 
+    // Saved searches are not folders; only folders shown in their
+    // results accept drops
+    if (
+      targetElement?.classList.contains('saved-search') ||
+      (targetElement?.classList.contains('content-item') &&
+        dropPosition !== 'into' &&
+        isSavedSearchId(
+          state.panes[targetElement.closest('.explorer-pane').dataset.pane]
+            .currentFolderId,
+        ))
+    ) {
+      targetElement = null
+    }
+
     // No valid target found
     if (!targetElement || !dropPosition) {
       updateDropIndicator(null, null)
@@ -1189,6 +1498,40 @@ function showContextMenu(x, y, targetItem, paneNum) {
     '[data-action="rename"], [data-action="delete"], [data-action="cut"], [data-action="copy"]',
   )
   const pasteAction = menu.querySelector('[data-action="paste"]')
+  const exportAction = menu.querySelector('[data-action="export"]')
+  const sortAction = menu.querySelector('[data-action="sort"]')
+  const organizeAction = menu.querySelector('[data-action="organize"]')
+  const mergeAction = menu.querySelector('[data-action="merge"]')
+  const mergeOtherPane = menu.querySelector('[data-action="merge-other-pane"]')
+  const flattenAction = menu.querySelector('[data-action="flatten"]')
+  const replaceAction = menu.querySelector('[data-action="find-replace"]')
+  const revealAction = menu.querySelector(
+    '[data-action="open-containing-folder"]',
+  )
+  const revealOtherPane = menu.querySelector(
+    '[data-action="open-containing-folder-other-pane"]',
+  )
+
+  // Search results can be shown in the folder they live in
+  const isSearchResult = !!(targetItem && state.panes[paneNum].searchResults)
+  revealAction.style.display = isSearchResult ? '' : 'none'
+  revealOtherPane.style.display =
+    isSearchResult && state.viewMode === 'split' ? '' : 'none'
+
+  // Folder actions apply to the targeted folder, or the current folder
+  // on empty space
+  const onFolder = !targetItem || targetItem.dataset.isFolder === 'true'
+  const folderActions = [
+    exportAction,
+    sortAction,
+    organizeAction,
+    mergeAction,
+    flattenAction,
+    replaceAction,
+  ]
+  folderActions.forEach((el) => (el.style.display = onFolder ? '' : 'none'))
+  mergeOtherPane.style.display =
+    onFolder && state.viewMode === 'split' ? '' : 'none'
 
   if (targetItem) {
     openItems.forEach((el) => (el.style.display = ''))
@@ -1217,10 +1560,10 @@ function showContextMenu(x, y, targetItem, paneNum) {
     pasteAction.classList.add('disabled')
   }
 
-  // Position menu
-  menu.style.left = `${Math.min(x, window.innerWidth - 220)}px`
-  menu.style.top = `${Math.min(y, window.innerHeight - 350)}px`
+  // Position menu, measured once shown so it stays inside the window
   menu.classList.add('visible')
+  menu.style.left = `${Math.max(0, Math.min(x, window.innerWidth - menu.offsetWidth))}px`
+  menu.style.top = `${Math.max(0, Math.min(y, window.innerHeight - menu.offsetHeight))}px`
 }
 
 function hideContextMenu() {
@@ -1265,10 +1608,23 @@ async function handleContextAction(action, targetId, paneNum) {
       }
       break
 
+    case 'open-containing-folder':
+      if (targetId) await revealItem(paneNum, targetId)
+      break
+
+    case 'open-containing-folder-other-pane':
+      if (targetId && state.viewMode === 'split') {
+        await revealItem(paneNum === 1 ? 2 : 1, targetId)
+      }
+      break
+
     case 'copy':
       if (targetId) {
-        state.clipboard = { action: 'copy', id: targetId, sourcePane: paneNum }
-        showToast('Item copied to clipboard', 'info')
+        const paneState = state.panes[paneNum]
+        const ids = paneState.selectedItems.has(targetId)
+          ? getSelectedIds(paneNum)
+          : [targetId]
+        await copyItems(paneNum, ids)
       }
       break
 
@@ -1287,58 +1643,352 @@ async function handleContextAction(action, targetId, paneNum) {
       break
 
     case 'new-folder':
-      showNewFolderDialog(paneNum)
+      if (!rejectSavedSearchTarget(paneNum)) showNewFolderDialog(paneNum)
       break
 
     case 'new-bookmark':
-      showNewBookmarkDialog(paneNum)
+      if (!rejectSavedSearchTarget(paneNum)) showNewBookmarkDialog(paneNum)
+      break
+
+    case 'export':
+      await showExportDialog(paneNum, targetId)
+      break
+
+    case 'sort':
+      if (targetId) {
+        await showSortDialog(targetId)
+      } else if (!rejectSavedSearchTarget(paneNum)) {
+        await showSortDialog(state.panes[paneNum].currentFolderId)
+      }
+      break
+
+    case 'merge':
+      if (targetId) {
+        await showMergeDialog(targetId)
+      } else if (!rejectSavedSearchTarget(paneNum)) {
+        await showMergeDialog(state.panes[paneNum].currentFolderId)
+      }
+      break
+
+    case 'merge-other-pane': {
+      const otherFolderId = state.panes[paneNum === 1 ? 2 : 1].currentFolderId
+      if (isSavedSearchId(otherFolderId)) {
+        showToast('The other pane is showing a saved search', 'info')
+      } else if (targetId) {
+        await showMergeDialog(targetId, otherFolderId)
+      } else if (!rejectSavedSearchTarget(paneNum)) {
+        await showMergeDialog(
+          state.panes[paneNum].currentFolderId,
+          otherFolderId,
+        )
+      }
+      break
+    }
+
+    case 'find-replace':
+      await showReplaceDialog(paneNum, targetId)
+      break
+
+    case 'flatten':
+      if (targetId) {
+        await showFlattenDialog(targetId)
+      } else if (!rejectSavedSearchTarget(paneNum)) {
+        await showFlattenDialog(state.panes[paneNum].currentFolderId)
+      }
+      break
+
+    case 'organize':
+      if (targetId) {
+        await showOrganizeDialog(targetId)
+      } else if (!rejectSavedSearchTarget(paneNum)) {
+        await showOrganizeDialog(state.panes[paneNum].currentFolderId)
+      }
+      break
+
+    case 'import':
+      if (!rejectSavedSearchTarget(paneNum)) showImportPicker(paneNum)
       break
   }
 }
 
 async function pasteItem(paneNum) {
-  if (!state.clipboard) return
+  if (!state.clipboard || rejectSavedSearchTarget(paneNum)) return
 
   const targetFolderId = state.panes[paneNum].currentFolderId
+  const createdIds = []
 
   try {
-    // Copy - get bookmark and create copy
-    const [original] = await chrome.bookmarks.get(state.clipboard.id)
-    let created
-
-    if (original.url) {
-      created = await chrome.bookmarks.create({
-        parentId: targetFolderId,
-        title: original.title,
-        url: original.url,
-      })
+    for (const id of state.clipboard.ids) {
+      // Copy - get bookmark and create copy
+      const [original] = await chrome.bookmarks.get(id)
+      let created
+
+      if (original.url) {
+        const createData = {
+          parentId: targetFolderId,
+          title: original.title,
+          url: original.url,
+        }
+        await expectOwnBookmark(createData)
+        created = await chrome.bookmarks.create(createData)
+      } else {
+        // Copy folder (shallow - just the folder itself)
+        created = await chrome.bookmarks.create({
+          parentId: targetFolderId,
+          title: original.title + ' (copy)',
+        })
+      }
+      createdIds.push(created.id)
+    }
+
+    showToast(
+      createdIds.length === 1
+        ? 'Item copied'
+        : `${createdIds.length} items copied`,
+      'success',
+    )
+
+    state.clipboard = null
+  } catch (error) {
+    showToast('Paste failed', 'error')
+    console.error('Paste failed:', error)
+  }
+
+  if (createdIds.length === 0) return
+
+  // Push undo action
+  pushUndoAction({
+    type: 'paste',
+    createdIds,
+  })
+
+  await loadPaneContent(1)
+  if (state.viewMode === 'split') {
+    await loadPaneContent(2)
+  }
+  await loadFolderTree()
+}
+
+// ============================================
+// System Clipboard
+// ============================================
+
+/**
+ * Copies items for in-extension paste and writes their bookmarks to the
+ * system clipboard. Selected folders contribute all bookmarks inside them.
+ * The text written is remembered so a later paste can tell whether
+ * something else has been copied since.
+ * @param {number} paneNum - Source pane
+ * @param {string[]} ids - Item IDs in display order
+ * @returns {Promise<void>}
+ */
+async function copyItems(paneNum, ids) {
+  const clipboard = { action: 'copy', ids, sourcePane: paneNum, text: null }
+  state.clipboard = clipboard
+
+  try {
+    const subtrees = await Promise.all(ids.map((id) => captureBookmarkTree(id)))
+    const bookmarks = collectBookmarks(subtrees)
+    // Folders without bookmarks still replace what was on the clipboard
+    const data = bookmarks.length > 0 ? buildClipboardData(bookmarks) : {}
+
+    if (writeSystemClipboard(data)) {
+      clipboard.text = data['text/plain'] || ''
     } else {
-      // Copy folder (shallow - just the folder itself)
-      created = await chrome.bookmarks.create({
-        parentId: targetFolderId,
-        title: original.title + ' (copy)',
-      })
+      console.warn('System clipboard write was rejected')
     }
+  } catch (error) {
+    console.error('Copy to system clipboard failed:', error)
+  }
 
-    // Push undo action
-    pushUndoAction({
-      type: 'paste',
-      createdId: created.id,
-    })
+  showToast(
+    ids.length === 1
+      ? 'Item copied to clipboard'
+      : `${ids.length} items copied to clipboard`,
+    'info',
+  )
+}
 
-    showToast('Item copied', 'success')
+/**
+ * Builds the clipboard representations of a list of bookmarks: one URL
+ * per line as plain text, a URI list, and HTML anchors that rich text
+ * editors turn into titled links.
+ * @param {Object[]} bookmarks - Bookmark nodes
+ * @returns {Object<string, string>} Data keyed by MIME type
+ */
+function buildClipboardData(bookmarks) {
+  const anchors = bookmarks.map(
+    (node) =>
+      `<a href="${escapeNetscapeText(node.url)}">${escapeNetscapeText(node.title || node.url)}</a>`,
+  )
 
-    state.clipboard = null
+  return {
+    'text/plain': bookmarks.map((node) => node.url).join('\n'),
+    'text/uri-list': bookmarks.map((node) => node.url).join('\r\n'),
+    'text/html':
+      anchors.length === 1
+        ? anchors[0]
+        : `<ul>${anchors.map((a) => `<li>${a}</li>`).join('')}</ul>`,
+  }
+}
 
-    await loadPaneContent(1)
-    if (state.viewMode === 'split') {
-      await loadPaneContent(2)
+/**
+ * Writes several formats to the system clipboard at once. The async
+ * Clipboard API cannot write text/uri-list, so this goes through a copy
+ * event instead.
+ * @param {Object<string, string>} data - Data keyed by MIME type
+ * @returns {boolean} Whether the browser performed the copy
+ */
+function writeSystemClipboard(data) {
+  const onCopy = (e) => {
+    e.preventDefault()
+    Object.entries(data).forEach(([type, value]) =>
+      e.clipboardData.setData(type, value),
+    )
+  }
+
+  document.addEventListener('copy', onCopy)
+  try {
+    return document.execCommand('copy')
+  } finally {
+    document.removeEventListener('copy', onCopy)
+  }
+}
+
+/**
+ * Protocols accepted when pasting links from the system clipboard
+ * @type {string[]}
+ */
+const PASTEABLE_PROTOCOLS = ['http:', 'https:', 'ftp:', 'file:']
+
+/**
+ * Handles paste in the explorer. Items copied here are pasted while the
+ * system clipboard still holds what copyItems wrote; once something else
+ * has been copied, they are dropped and links on the clipboard become
+ * bookmarks in the active pane.
+ */
+function setupSystemPaste() {
+  document.addEventListener('paste', (e) => {
+    if (e.target.matches('input, textarea')) return
+
+    if (state.clipboard) {
+      const { text } = state.clipboard
+      // Some platforms store line breaks as \r\n
+      const pasted = e.clipboardData
+        .getData('text/plain')
+        .replace(/\r\n/g, '\n')
+      // null: the system clipboard could not be written, so it says nothing
+      if (text === null || pasted === text) {
+        e.preventDefault()
+        pasteItem(state.activePane)
+        return
+      }
+      state.clipboard = null
     }
-    await loadFolderTree()
+
+    const links = parseClipboardLinks(e.clipboardData)
+    if (links.length === 0) return
+
+    e.preventDefault()
+    pasteLinks(state.activePane, links)
+  })
+}
+
+/**
+ * Extracts links from clipboard data, preferring HTML anchors (which
+ * carry titles), then a URI list, then URLs in plain text.
+ * @param {DataTransfer} clipboardData - Clipboard data from a paste event
+ * @returns {Array<{url: string, title: string}>} Unique links in order
+ */
+function parseClipboardLinks(clipboardData) {
+  const html = clipboardData.getData('text/html')
+  const uriList = clipboardData.getData('text/uri-list')
+  const text = clipboardData.getData('text/plain')
+  let candidates = []
+
+  if (html) {
+    const doc = new DOMParser().parseFromString(html, 'text/html')
+    candidates = Array.from(doc.querySelectorAll('a[href]')).map((a) => ({
+      url: a.getAttribute('href').trim(),
+      title: a.textContent.trim(),
+    }))
+  }
+  if (candidates.length === 0 && uriList) {
+    candidates = uriList
+      .split(/\r?\n/)
+      .filter((line) => line && !line.startsWith('#'))
+      .map((line) => ({ url: line.trim(), title: '' }))
+  }
+  if (candidates.length === 0 && text) {
+    candidates = text.split(/\s+/).map((word) => ({ url: word, title: '' }))
+  }
+
+  const seen = new Set()
+  return candidates.filter((link) => {
+    try {
+      const { protocol } = new URL(link.url)
+      if (!PASTEABLE_PROTOCOLS.includes(protocol)) return false
+    } catch {
+      return false
+    }
+    if (seen.has(link.url)) return false
+    seen.add(link.url)
+    return true
+  })
+}
+
+/**
+ * Creates a bookmark for each pasted link in a pane's current folder.
+ * Links without anchor text take the title of an open tab showing the
+ * same URL, falling back to the URL itself.
+ * @param {number} paneNum - Target pane
+ * @param {Array<{url: string, title: string}>} links - Links to bookmark
+ * @returns {Promise<void>}
+ */
+async function pasteLinks(paneNum, links) {
+  if (rejectSavedSearchTarget(paneNum)) return
+
+  const targetFolderId = state.panes[paneNum].currentFolderId
+  const createdIds = []
+
+  try {
+    const tabs = await chrome.tabs.query({})
+    const tabTitles = new Map(tabs.map((tab) => [tab.url, tab.title]))
+
+    for (const link of links) {
+      const title =
+        link.title && link.title !== link.url
+          ? link.title
+          : tabTitles.get(link.url) || link.url
+      const createData = { parentId: targetFolderId, title, url: link.url }
+      await expectOwnBookmark(createData)
+      const created = await chrome.bookmarks.create(createData)
+      createdIds.push(created.id)
+    }
+
+    showToast(
+      createdIds.length === 1
+        ? 'Bookmark pasted'
+        : `${createdIds.length} bookmarks pasted`,
+      'success',
+    )
   } catch (error) {
     showToast('Paste failed', 'error')
     console.error('Paste failed:', error)
   }
+
+  if (createdIds.length === 0) return
+
+  pushUndoAction({
+    type: 'paste',
+    createdIds,
+  })
+
+  await loadPaneContent(1)
+  if (state.viewMode === 'split') {
+    await loadPaneContent(2)
+  }
+  await loadFolderTree()
 }
 
 // ============================================
@@ -1424,6 +2074,39 @@ function hideAllDialogs() {
     .forEach((d) => d.classList.remove('visible'))
 }
 
+/**
+ * Fills a select with every folder, indented by depth.
+ * @param {HTMLSelectElement} select - Select to fill
+ * @param {string} [selectedId] - Folder to preselect
+ * @param {string} [rootLabel] - If given, adds the whole tree as the
+ *   first option under this label
+ * @returns {Promise<void>}
+ */
+async function populateFolderSelect(select, selectedId, rootLabel) {
+  const [tree] = await chrome.bookmarks.getTree()
+  select.innerHTML = ''
+
+  const addOption = (id, label) => {
+    const option = document.createElement('option')
+    option.value = id
+    option.textContent = label
+    select.appendChild(option)
+  }
+  const visit = (folder, depth) => {
+    addOption(folder.id, `${'\u00a0\u00a0'.repeat(depth)}${folder.title}`)
+    folder.children
+      .filter((child) => !child.url)
+      .forEach((child) => visit(child, depth + 1))
+  }
+
+  if (rootLabel) addOption(tree.id, rootLabel)
+  tree.children.forEach((root) => visit(root, 0))
+
+  if (selectedId && select.querySelector(`option[value="${selectedId}"]`)) {
+    select.value = selectedId
+  }
+}
+
 // Rename
 async function showRenameDialog(id) {
   const [node] = await chrome.bookmarks.get(id)
@@ -1535,123 +2218,3822 @@ async function confirmNewBookmark() {
   if (!title || !url) return
 
   try {
-    const created = await chrome.bookmarks.create({
+    const createData = {
       parentId: state.panes[paneNum].currentFolderId,
       title: title,
       url: url,
-    })
+    }
+    await expectOwnBookmark(createData)
+    const created = await chrome.bookmarks.create(createData)
+
+    // Push undo action
+    pushUndoAction({
+      type: 'create',
+      createdId: created.id,
+    })
+
+    showToast('Bookmark created', 'success')
+
+    await loadPaneContent(paneNum)
+  } catch (error) {
+    showToast('Failed to create bookmark', 'error')
+  }
+
+  hideDialog(dialog)
+}
+
+// Delete
+async function deleteItem(id) {
+  const [node] = await chrome.bookmarks.get(id)
+  if (!node) return
+
+  const isFolder = !node.url
+  const message = isFolder
+    ? `Delete folder "${node.title}" and all its contents?`
+    : `Delete bookmark "${node.title}"?`
+
+  if (!confirm(message)) return
+
+  try {
+    // Capture full data before deletion for undo
+    const fullData = await captureBookmarkTree(id)
+    const parentId = node.parentId
+    const index = node.index
+
+    if (isFolder) {
+      await chrome.bookmarks.removeTree(id)
+    } else {
+      await chrome.bookmarks.remove(id)
+    }
+
+    // Push undo action
+    pushUndoAction({
+      type: 'delete',
+      data: fullData,
+      parentId: parentId,
+      index: index,
+    })
+
+    showToast('Deleted successfully', 'success')
+
+    await loadPaneContent(1)
+    if (state.viewMode === 'split') await loadPaneContent(2)
+    await loadFolderTree()
+  } catch (error) {
+    showToast('Failed to delete', 'error')
+  }
+}
+
+// Sort
+function setupSortDialog() {
+  const dialog = document.getElementById('sort-dialog')
+  document.getElementById('sort-ok').addEventListener('click', confirmSort)
+  document
+    .getElementById('sort-cancel')
+    .addEventListener('click', () => hideDialog(dialog))
+  dialog
+    .querySelector('.dialog-close')
+    .addEventListener('click', () => hideDialog(dialog))
+}
+
+/**
+ * Opens the sort dialog for a folder.
+ * @param {string} folderId - Folder whose contents to sort
+ * @returns {Promise<void>}
+ */
+async function showSortDialog(folderId) {
+  if (folderId === '0') {
+    showToast('Open a folder to sort its contents', 'info')
+    return
+  }
+
+  const [folder] = await chrome.bookmarks.get(folderId)
+  const dialog = document.getElementById('sort-dialog')
+  dialog.dataset.targetId = folderId
+  document.getElementById('sort-folder-label').textContent =
+    `Sort "${folder.title}" by`
+  showDialog(dialog)
+}
+
+/**
+ * Reorders the folder (and, if asked, every folder inside it) and
+ * records the original order as one undo step.
+ * @returns {Promise<void>}
+ */
+async function confirmSort() {
+  const dialog = document.getElementById('sort-dialog')
+  const folderId = dialog.dataset.targetId
+  const options = {
+    key: document.getElementById('sort-key').value,
+    foldersFirst: document.getElementById('sort-folders-first').checked,
+  }
+  const recursive = document.getElementById('sort-recursive').checked
+
+  hideDialog(dialog)
+
+  const actions = []
+  try {
+    const [root] = await chrome.bookmarks.getSubTree(folderId)
+    const folders = [root]
+    for (let i = 0; recursive && i < folders.length; i++) {
+      folders.push(...folders[i].children.filter((child) => !child.url))
+    }
+
+    for (const folder of folders) {
+      const step = await sortFolderChildren(folder, options)
+      if (step) actions.push(step)
+    }
+
+    if (actions.length === 0) {
+      showToast('Already in order', 'info')
+      return
+    }
+    pushUndoAction({ type: 'batch', label: 'Sort', actions })
+    showToast(`Sorted "${root.title}"`, 'success')
+  } catch (error) {
+    if (actions.length > 0) {
+      pushUndoAction({ type: 'batch', label: 'Sort', actions })
+    }
+    showToast('Failed to sort', 'error')
+    console.error('Sort failed:', error)
+  }
+
+  await loadPaneContent(1)
+  if (state.viewMode === 'split') await loadPaneContent(2)
+  await loadFolderTree()
+}
+
+/**
+ * Sorts one folder's children in place.
+ * @param {Object} folder - Folder with children
+ * @param {Object} options - Options for sortBookmarkNodes()
+ * @returns {Promise<Object|null>} 'reorder' undo action, or null if the
+ *   folder was already in order
+ */
+async function sortFolderChildren(folder, options) {
+  const originalIds = folder.children.map((child) => child.id)
+  const sortedIds = sortBookmarkNodes(folder.children, options).map(
+    (child) => child.id,
+  )
+  if (sortedIds.every((id, i) => id === originalIds[i])) return null
+
+  await applyChildOrder(folder.id, sortedIds)
+  return { type: 'reorder', parentId: folder.id, childIds: originalIds }
+}
+
+// Organize by Site
+/**
+ * Folder previewed in the organize dialog, with its children
+ * @type {Object|null}
+ */
+let organizeFolder = null
+
+function setupOrganizeDialog() {
+  const dialog = document.getElementById('organize-dialog')
+  document
+    .getElementById('organize-ok')
+    .addEventListener('click', confirmOrganize)
+  document
+    .getElementById('organize-cancel')
+    .addEventListener('click', () => hideDialog(dialog))
+  dialog
+    .querySelector('.dialog-close')
+    .addEventListener('click', () => hideDialog(dialog))
+  document
+    .getElementById('organize-min-size')
+    .addEventListener('input', renderOrganizePreview)
+
+  registerPaletteCommand({
+    id: 'organize-by-site',
+    title: 'Organize Folder by Site...',
+    icon: '🌐',
+    run: ({ paneNum }) => handleContextAction('organize', null, paneNum),
+  })
+}
+
+/**
+ * Opens the organize dialog with a preview for a folder.
+ * @param {string} folderId - Folder whose bookmarks to group
+ * @returns {Promise<void>}
+ */
+async function showOrganizeDialog(folderId) {
+  if (folderId === '0') {
+    showToast('Open a folder to organize its bookmarks', 'info')
+    return
+  }
+
+  ;[organizeFolder] = await chrome.bookmarks.getSubTree(folderId)
+  document.getElementById('organize-folder-label').textContent =
+    `Group the bookmarks in "${organizeFolder.title}" into one folder per site`
+  renderOrganizePreview()
+  showDialog(document.getElementById('organize-dialog'))
+}
+
+/**
+ * Groups the previewed folder's bookmarks with the dialog's settings.
+ * @returns {Array<{domain: string, folder: Object|null, bookmarks: Object[]}>}
+ */
+function getOrganizeGroups() {
+  const minGroupSize =
+    parseInt(document.getElementById('organize-min-size').value) ||
+    ORGANIZE_DEFAULTS.minGroupSize
+
+  return groupBookmarksBySite(organizeFolder.children, {
+    minGroupSize: Math.max(1, minGroupSize),
+  })
+}
+
+/**
+ * Lists the folders the bookmarks will be filed into.
+ */
+function renderOrganizePreview() {
+  const groups = getOrganizeGroups()
+  const list = document.getElementById('organize-list')
+  const summary = document.getElementById('organize-summary')
+
+  document.getElementById('organize-ok').disabled = groups.length === 0
+  if (groups.length === 0) {
+    summary.textContent = 'No site has enough bookmarks here to group'
+    list.innerHTML = ''
+    return
+  }
+
+  const moved = groups.reduce((sum, group) => sum + group.bookmarks.length, 0)
+  const created = groups.filter((group) => !group.folder).length
+  summary.textContent = `${moved} bookmarks will move into ${groups.length} site folders (${created} new)`
+
+  list.innerHTML = groups
+    .map((group) => {
+      const titles = group.bookmarks
+        .slice(0, 5)
+        .map((bookmark) => bookmark.title || bookmark.url)
+        .join(', ')
+      const more = group.bookmarks.length > 5 ? ', …' : ''
+      return `
+        <div class="diff-row">
+          <span class="diff-badge ${group.folder ? 'existing' : 'added'}">${group.folder ? 'Existing' : 'New'}</span>
+          <div class="diff-details">
+            <div class="diff-title">📁 ${escapeHtml(group.folder ? group.folder.title : group.domain)}</div>
+            <div class="diff-meta">${group.bookmarks.length} bookmarks: ${escapeHtml(titles + more)}</div>
+          </div>
+        </div>
+      `
+    })
+    .join('')
+}
+
+/**
+ * Creates the site folders, moves the bookmarks into them and records
+ * everything as one undo step.
+ * @returns {Promise<void>}
+ */
+async function confirmOrganize() {
+  const groups = getOrganizeGroups()
+  hideDialog(document.getElementById('organize-dialog'))
+
+  const actions = []
+  try {
+    for (const group of groups) {
+      let folderId = group.folder?.id
+      if (!folderId) {
+        const created = await chrome.bookmarks.create({
+          parentId: organizeFolder.id,
+          title: group.domain,
+        })
+        actions.push({ type: 'create', createdId: created.id })
+        folderId = created.id
+      }
+      for (const bookmark of group.bookmarks) {
+        actions.push(await moveWithUndoStep(bookmark.id, folderId))
+      }
+    }
+    showToast(`Organized "${organizeFolder.title}" by site`, 'success')
+  } catch (error) {
+    showToast('Organizing failed partway; undo restores what changed', 'error')
+    console.error('Organize failed:', error)
+  }
+
+  if (actions.length > 0) {
+    pushUndoAction({ type: 'batch', label: 'Organize by site', actions })
+  }
+
+  await loadPaneContent(1)
+  if (state.viewMode === 'split') await loadPaneContent(2)
+  await loadFolderTree()
+}
+
+// Merge
+/**
+ * Folder being merged, with its children
+ * @type {Object|null}
+ */
+let mergeSource = null
+
+function setupMergeDialog() {
+  const dialog = document.getElementById('merge-dialog')
+  document.getElementById('merge-ok').addEventListener('click', confirmMerge)
+  document
+    .getElementById('merge-cancel')
+    .addEventListener('click', () => hideDialog(dialog))
+  dialog
+    .querySelector('.dialog-close')
+    .addEventListener('click', () => hideDialog(dialog))
+  document
+    .getElementById('merge-target')
+    .addEventListener('change', renderMergePreview)
+  document
+    .getElementById('merge-duplicates')
+    .addEventListener('change', renderMergePreview)
+
+  registerPaletteCommand({
+    id: 'merge-into',
+    title: 'Merge Folder into...',
+    icon: '🔗',
+    run: ({ paneNum }) => handleContextAction('merge', null, paneNum),
+  })
+  registerPaletteCommand({
+    id: 'merge-into-other-pane',
+    title: "Merge Folder into Other Pane's Folder",
+    icon: '⇉',
+    isAvailable: () => state.viewMode === 'split',
+    run: ({ paneNum }) =>
+      handleContextAction('merge-other-pane', null, paneNum),
+  })
+}
+
+/**
+ * Opens the merge dialog for a folder.
+ * @param {string} sourceId - Folder whose contents move
+ * @param {string} [targetId] - Folder to preselect as the destination
+ * @returns {Promise<void>}
+ */
+async function showMergeDialog(sourceId, targetId) {
+  const [source] = await chrome.bookmarks.getSubTree(sourceId)
+  if (!source.parentId || source.parentId === '0') {
+    showToast('Top-level folders cannot be merged away', 'info')
+    return
+  }
+
+  mergeSource = source
+  document.getElementById('merge-source-label').textContent =
+    `Merge "${source.title}" into`
+  await populateFolderSelect(
+    document.getElementById('merge-target'),
+    targetId || source.parentId,
+  )
+  await renderMergePreview()
+  showDialog(document.getElementById('merge-dialog'))
+}
+
+/**
+ * Explains why a folder cannot receive the merge.
+ * @param {Object} source - Folder with children
+ * @param {string} targetId - Destination folder ID
+ * @returns {string|null} Problem, or null if the merge can go ahead
+ */
+function getMergeTargetProblem(source, targetId) {
+  if (targetId === source.id) return 'Choose a different folder'
+  if (folderContains(source, targetId)) {
+    return 'A folder cannot be merged into one of its own subfolders'
+  }
+  return null
+}
+
+/**
+ * Summarizes the merge into the chosen folder and lists duplicates.
+ * @returns {Promise<void>}
+ */
+async function renderMergePreview() {
+  const targetId = document.getElementById('merge-target').value
+  const skip = document.getElementById('merge-duplicates').value === 'skip'
+  const summary = document.getElementById('merge-summary')
+  const list = document.getElementById('merge-list')
+  const okBtn = document.getElementById('merge-ok')
+
+  list.innerHTML = ''
+  const problem = getMergeTargetProblem(mergeSource, targetId)
+  okBtn.disabled = !!problem
+  if (problem) {
+    summary.textContent = problem
+    return
+  }
+
+  const [target] = await chrome.bookmarks.getSubTree(targetId)
+  const plan = planFolderMerge(mergeSource, target)
+  const duplicateNote = plan.duplicates.length
+    ? ` ${plan.duplicates.length} bookmarks are already in "${target.title}" and will be ${skip ? 'skipped' : 'kept as second copies'}.`
+    : ''
+  summary.textContent = `${plan.moves.length} items move and ${plan.merged.length} same-name subfolders merge into "${target.title}".${duplicateNote} "${mergeSource.title}" is removed afterwards.`
+
+  list.innerHTML = plan.duplicates
+    .map(
+      ({ node, existing }) => `
+        <div class="diff-row">
+          <span class="diff-badge duplicate">Duplicate</span>
+          <div class="diff-details">
+            <div class="diff-title">🔗 ${escapeHtml(node.title || node.url)}</div>
+            <div class="diff-meta">${escapeHtml(node.url)} · already there as "${escapeHtml(existing.title || existing.url)}"</div>
+          </div>
+        </div>
+      `,
+    )
+    .join('')
+}
+
+/**
+ * Merges the source folder into the chosen folder and removes the
+ * source, recording every step so one undo puts both back.
+ * @returns {Promise<void>}
+ */
+async function confirmMerge() {
+  const targetId = document.getElementById('merge-target').value
+  const skip = document.getElementById('merge-duplicates').value === 'skip'
+  hideDialog(document.getElementById('merge-dialog'))
+
+  const actions = []
+  try {
+    const [source] = await chrome.bookmarks.getSubTree(mergeSource.id)
+    const problem = getMergeTargetProblem(source, targetId)
+    if (problem) throw new Error(problem)
+
+    const [target] = await chrome.bookmarks.get(targetId)
+    await applyFolderMerge(source, targetId, skip, actions)
+
+    showToast(`Merged "${source.title}" into "${target.title}"`, 'success')
+  } catch (error) {
+    showToast('Merge failed; undo restores what changed', 'error')
+    console.error('Merge failed:', error)
+  }
+
+  if (actions.length > 0) {
+    pushUndoAction({ type: 'batch', label: 'Merge', actions })
+  }
+
+  await loadPaneContent(1)
+  if (state.viewMode === 'split') await loadPaneContent(2)
+  await loadFolderTree()
+}
+
+/**
+ * Merges a folder into another and removes it. Undo steps are added to
+ * actions as they happen, so a merge that fails partway can still be
+ * undone. Items keep their IDs; only the emptied folders are recreated.
+ * @param {Object} source - Folder with children, from getSubTree()
+ * @param {string} targetId - Destination folder ID
+ * @param {boolean} skipDuplicates - Remove bookmarks whose URL is
+ *   already in the target instead of keeping both copies
+ * @param {Object[]} actions - Receives the undo steps, in order
+ * @returns {Promise<void>}
+ */
+async function applyFolderMerge(source, targetId, skipDuplicates, actions) {
+  const [target] = await chrome.bookmarks.getSubTree(targetId)
+  const plan = planFolderMerge(source, target)
+
+  // Removed before anything moves, so undo puts them back last, into
+  // folders that look as they did
+  if (skipDuplicates) {
+    for (const { node } of plan.duplicates) {
+      actions.push(await removeWithUndoStep(node.id))
+    }
+  }
+  for (const { node, parentId } of plan.moves) {
+    actions.push(await moveWithUndoStep(node.id, parentId))
+  }
+  if (!skipDuplicates) {
+    for (const { node, parentId } of plan.duplicates) {
+      if (parentId) actions.push(await moveWithUndoStep(node.id, parentId))
+    }
+  }
+
+  const [emptied] = await chrome.bookmarks.getSubTree(source.id)
+  if (countTreeBookmarks(emptied) > 0) {
+    throw new Error(`"${source.title}" still holds bookmarks`)
+  }
+  actions.push(await removeWithUndoStep(source.id))
+
+  redirectPanes((id) => id === source.id, targetId)
+  plan.merged.forEach((pair) =>
+    redirectPanes((id) => id === pair.source.id, pair.target.id),
+  )
+}
+
+// Flatten
+/**
+ * Folder previewed in the flatten dialog, with its children
+ * @type {Object|null}
+ */
+let flattenFolder = null
+
+function setupFlattenDialog() {
+  const dialog = document.getElementById('flatten-dialog')
+  document
+    .getElementById('flatten-ok')
+    .addEventListener('click', confirmFlatten)
+  document
+    .getElementById('flatten-cancel')
+    .addEventListener('click', () => hideDialog(dialog))
+  dialog
+    .querySelector('.dialog-close')
+    .addEventListener('click', () => hideDialog(dialog))
+  document
+    .getElementById('flatten-prefix')
+    .addEventListener('change', renderFlattenPreview)
+
+  registerPaletteCommand({
+    id: 'flatten-folder',
+    title: 'Flatten Folder...',
+    icon: '🪜',
+    run: ({ paneNum }) => handleContextAction('flatten', null, paneNum),
+  })
+}
+
+/**
+ * Opens the flatten dialog with a preview for a folder.
+ * @param {string} folderId - Folder whose subfolders to collapse
+ * @returns {Promise<void>}
+ */
+async function showFlattenDialog(folderId) {
+  if (folderId === '0') {
+    showToast('Open a folder to flatten it', 'info')
+    return
+  }
+
+  ;[flattenFolder] = await chrome.bookmarks.getSubTree(folderId)
+  if (!flattenFolder.children.some((child) => !child.url)) {
+    showToast(`"${flattenFolder.title}" has no subfolders`, 'info')
+    return
+  }
+
+  document.getElementById('flatten-folder-label').textContent =
+    `Move every bookmark in the subfolders of "${flattenFolder.title}" up into it`
+  renderFlattenPreview()
+  showDialog(document.getElementById('flatten-dialog'))
+}
+
+/**
+ * Lists the bookmarks that will move up, with their new titles.
+ */
+function renderFlattenPreview() {
+  const groups = planFolderFlatten(flattenFolder, {
+    prefixPath: document.getElementById('flatten-prefix').checked,
+  })
+  const bookmarks = groups.flatMap((group) => group.bookmarks)
+
+  document.getElementById('flatten-summary').textContent =
+    `${bookmarks.length} bookmarks move up and ${groups.length} subfolders are removed`
+
+  document.getElementById('flatten-list').innerHTML = bookmarks
+    .map(
+      ({ node, path, title }) => `
+        <div class="diff-row">
+          <span class="diff-badge moved">Moved</span>
+          <div class="diff-details">
+            <div class="diff-title">🔗 ${escapeHtml(title || node.url)}</div>
+            <div class="diff-meta">from ${escapeHtml(path.join(FLATTEN_PATH_SEPARATOR))}</div>
+          </div>
+        </div>
+      `,
+    )
+    .join('')
+}
+
+/**
+ * Moves the bookmarks up, each group where its subfolder was, and
+ * removes the subfolders, recording every step so one undo brings the
+ * whole structure back.
+ * @returns {Promise<void>}
+ */
+async function confirmFlatten() {
+  const prefixPath = document.getElementById('flatten-prefix').checked
+  hideDialog(document.getElementById('flatten-dialog'))
+
+  const actions = []
+  try {
+    const [folder] = await chrome.bookmarks.getSubTree(flattenFolder.id)
+
+    for (const group of planFolderFlatten(folder, { prefixPath })) {
+      let [{ index }] = await chrome.bookmarks.get(group.folder.id)
+      for (const { node, title } of group.bookmarks) {
+        actions.push(await moveWithUndoStep(node.id, folder.id, index++))
+        if (title !== node.title) {
+          await chrome.bookmarks.update(node.id, { title })
+          actions.push({
+            type: 'rename',
+            itemId: node.id,
+            originalTitle: node.title,
+          })
+        }
+      }
+
+      const [emptied] = await chrome.bookmarks.getSubTree(group.folder.id)
+      if (countTreeBookmarks(emptied) > 0) {
+        throw new Error(`"${emptied.title}" still holds bookmarks`)
+      }
+      actions.push(await removeWithUndoStep(group.folder.id))
+      redirectPanes((id) => folderContains(group.folder, id), folder.id)
+    }
+
+    showToast(`Flattened "${folder.title}"`, 'success')
+  } catch (error) {
+    showToast('Flatten failed partway; undo restores what changed', 'error')
+    console.error('Flatten failed:', error)
+  }
+
+  if (actions.length > 0) {
+    pushUndoAction({ type: 'batch', label: 'Flatten', actions })
+  }
+
+  await loadPaneContent(1)
+  if (state.viewMode === 'split') await loadPaneContent(2)
+  await loadFolderTree()
+}
+
+// Find and Replace
+/**
+ * What the find-and-replace dialog works on
+ * @readonly
+ * @enum {string}
+ */
+const ReplaceScope = {
+  FOLDER: 'folder',
+  SUBTREE: 'subtree',
+  SELECTION: 'selection',
+}
+
+/**
+ * Bookmarks and folders in the dialog's current scope
+ * @type {Object[]}
+ */
+let replaceNodes = []
+
+/**
+ * Changes shown in the preview; these are what Replace All applies
+ * @type {Array<{node: Object, title?: string, url?: string, invalidUrl?: boolean}>}
+ */
+let replaceChanges = []
+
+function setupReplaceDialog() {
+  const dialog = document.getElementById('replace-dialog')
+  document
+    .getElementById('replace-ok')
+    .addEventListener('click', confirmReplace)
+  document
+    .getElementById('replace-cancel')
+    .addEventListener('click', () => hideDialog(dialog))
+  dialog
+    .querySelector('.dialog-close')
+    .addEventListener('click', () => hideDialog(dialog))
+
+  for (const id of ['replace-find', 'replace-with']) {
+    document.getElementById(id).addEventListener('input', renderReplacePreview)
+  }
+  for (const id of [
+    'replace-regex',
+    'replace-match-case',
+    'replace-titles',
+    'replace-urls',
+  ]) {
+    document.getElementById(id).addEventListener('change', renderReplacePreview)
+  }
+  document
+    .getElementById('replace-scope')
+    .addEventListener('change', async () => {
+      await loadReplaceNodes()
+      renderReplacePreview()
+    })
+
+  registerPaletteCommand({
+    id: 'find-replace',
+    title: 'Find and Replace in Titles and URLs...',
+    icon: '🔁',
+    run: ({ paneNum }) => handleContextAction('find-replace', null, paneNum),
+  })
+}
+
+/**
+ * Opens the find-and-replace dialog.
+ * @param {number} paneNum - Pane whose folder or selection to work on
+ * @param {string} [folderId] - Folder to work on instead of the pane's
+ * @returns {Promise<void>}
+ */
+async function showReplaceDialog(paneNum, folderId) {
+  const paneState = state.panes[paneNum]
+  const dialog = document.getElementById('replace-dialog')
+  const scopeSelect = document.getElementById('replace-scope')
+  const replaceFolderId = folderId || paneState.currentFolderId
+  const scopes = []
+
+  if (!isSavedSearchId(replaceFolderId)) {
+    const [folder] = await chrome.bookmarks.get(replaceFolderId)
+    const title = folder.title || 'Bookmarks'
+    scopes.push(
+      { value: ReplaceScope.FOLDER, label: `Folder "${title}"` },
+      {
+        value: ReplaceScope.SUBTREE,
+        label: `Folder "${title}" and its subfolders`,
+      },
+    )
+  }
+  if (paneState.selectedItems.size > 0) {
+    scopes.push({
+      value: ReplaceScope.SELECTION,
+      label: `Selected items (${paneState.selectedItems.size})`,
+    })
+  }
+  if (scopes.length === 0) {
+    showToast('Select items to search in', 'info')
+    return
+  }
+
+  scopeSelect.innerHTML = scopes
+    .map(
+      (scope) =>
+        `<option value="${scope.value}">${escapeHtml(scope.label)}</option>`,
+    )
+    .join('')
+  if (!folderId && paneState.selectedItems.size > 0) {
+    scopeSelect.value = ReplaceScope.SELECTION
+  }
+
+  dialog.dataset.pane = paneNum
+  dialog.dataset.folderId = replaceFolderId
+  await loadReplaceNodes()
+  renderReplacePreview()
+  showDialog(dialog)
+  document.getElementById('replace-find').select()
+}
+
+/**
+ * Reads the bookmarks and folders in the chosen scope. Selected folders
+ * count with everything inside them.
+ * @returns {Promise<void>}
+ */
+async function loadReplaceNodes() {
+  const dialog = document.getElementById('replace-dialog')
+  const folderId = dialog.dataset.folderId
+  const withDescendants = (node) => [
+    node,
+    ...(node.children || []).flatMap(withDescendants),
+  ]
+
+  switch (document.getElementById('replace-scope').value) {
+    case ReplaceScope.FOLDER:
+      replaceNodes = await chrome.bookmarks.getChildren(folderId)
+      break
+
+    case ReplaceScope.SUBTREE: {
+      const [folder] = await chrome.bookmarks.getSubTree(folderId)
+      replaceNodes = folder.children.flatMap(withDescendants)
+      break
+    }
+
+    default: {
+      const ids = getSelectedIds(parseInt(dialog.dataset.pane))
+      const subtrees = await Promise.all(
+        ids.map((id) => chrome.bookmarks.getSubTree(id)),
+      )
+      // A folder and something inside it may both be selected
+      const byId = new Map()
+      subtrees
+        .flatMap(([node]) => withDescendants(node))
+        .forEach((node) => byId.set(node.id, node))
+      replaceNodes = Array.from(byId.values())
+    }
+  }
+}
+
+/**
+ * Reads the dialog's find-and-replace settings.
+ * @returns {Object} Options for planBulkReplace()
+ */
+function getReplaceOptions() {
+  return {
+    find: document.getElementById('replace-find').value,
+    replace: document.getElementById('replace-with').value,
+    regex: document.getElementById('replace-regex').checked,
+    matchCase: document.getElementById('replace-match-case').checked,
+    titles: document.getElementById('replace-titles').checked,
+    urls: document.getElementById('replace-urls').checked,
+  }
+}
+
+/**
+ * Shows a before/after table of every value that would change.
+ */
+function renderReplacePreview() {
+  const findInput = document.getElementById('replace-find')
+  const summary = document.getElementById('replace-summary')
+  const preview = document.getElementById('replace-preview')
+  const okBtn = document.getElementById('replace-ok')
+
+  preview.innerHTML = ''
+  okBtn.disabled = true
+  findInput.classList.remove('invalid')
+  replaceChanges = []
+
+  const options = getReplaceOptions()
+  if (!options.find) {
+    summary.textContent = 'Enter the text to find'
+    return
+  }
+
+  let changes
+  try {
+    changes = planBulkReplace(replaceNodes, options)
+  } catch (error) {
+    findInput.classList.add('invalid')
+    summary.textContent = `Invalid pattern: ${error.message}`
+    return
+  }
+  if (changes.length === 0) {
+    summary.textContent = `No matches in ${replaceNodes.length} items`
+    return
+  }
+  replaceChanges = changes
+
+  const invalid = changes.filter((change) => change.invalidUrl).length
+  summary.textContent = `${changes.length} items will change${invalid ? `; ${invalid} URLs would not be valid and are skipped` : ''}`
+  okBtn.disabled = changes.every(
+    (change) => change.invalidUrl && !('title' in change),
+  )
+
+  const row = (change, field, before, after) => `
+    <tr${field === 'URL' && change.invalidUrl ? ' class="invalid"' : ''}>
+      <td>${change.node.url ? '🔗' : '📁'} ${field}</td>
+      <td>${escapeHtml(before)}</td>
+      <td>${escapeHtml(after)}</td>
+    </tr>
+  `
+  preview.innerHTML = `
+    <table class="replace-table">
+      <thead><tr><th>Field</th><th>Before</th><th>After</th></tr></thead>
+      <tbody>
+        ${changes
+          .map(
+            (change) =>
+              ('title' in change
+                ? row(change, 'Title', change.node.title, change.title)
+                : '') +
+              ('url' in change
+                ? row(change, 'URL', change.node.url, change.url)
+                : ''),
+          )
+          .join('')}
+      </tbody>
+    </table>
+  `
+}
+
+/**
+ * Applies the previewed changes and records them as one undo step.
+ * New URLs that do not parse are left out.
+ * @returns {Promise<void>}
+ */
+async function confirmReplace() {
+  const { find, regex, matchCase } = getReplaceOptions()
+  try {
+    buildFindPattern(find, { regex, matchCase })
+  } catch (error) {
+    document.getElementById('replace-find').classList.add('invalid')
+    document.getElementById('replace-summary').textContent =
+      `Invalid pattern: ${error.message}`
+    return
+  }
+
+  const changes = replaceChanges
+  hideDialog(document.getElementById('replace-dialog'))
+
+  const actions = []
+  const updated = new Set()
+  let skipped = 0
+  try {
+    for (const change of changes) {
+      const { node } = change
+      if ('title' in change) {
+        await chrome.bookmarks.update(node.id, { title: change.title })
+        actions.push({
+          type: 'rename',
+          itemId: node.id,
+          originalTitle: node.title,
+        })
+        updated.add(node.id)
+      }
+      if (change.invalidUrl) {
+        skipped++
+      } else if ('url' in change) {
+        await chrome.bookmarks.update(node.id, { url: change.url })
+        actions.push({
+          type: 'update-url',
+          itemId: node.id,
+          originalUrl: node.url,
+        })
+        updated.add(node.id)
+      }
+    }
+
+    const note = skipped ? ` (${skipped} invalid URLs skipped)` : ''
+    showToast(`Updated ${updated.size} items${note}`, 'success')
+  } catch (error) {
+    showToast(
+      'Find and replace failed partway; undo restores what changed',
+      'error',
+    )
+    console.error('Find and replace failed:', error)
+  }
+
+  if (actions.length > 0) {
+    pushUndoAction({ type: 'batch', label: 'Find and replace', actions })
+  }
+
+  await loadPaneContent(1)
+  if (state.viewMode === 'split') await loadPaneContent(2)
+  await loadFolderTree()
+}
+
+// ============================================
+// Import / Export
+// ============================================
+
+/**
+ * What the export dialog can export
+ * @readonly
+ * @enum {string}
+ */
+const ExportScope = {
+  FOLDER: 'folder',
+  SEARCH: 'search',
+  SELECTION: 'selection',
+}
+
+/**
+ * Export file formats, keyed by the format picker value
+ * @type {Object<string, {extension: string, mimeType: string, serialize: Function}>}
+ */
+const EXPORT_FORMATS = {
+  html: {
+    extension: 'html',
+    mimeType: 'text/html',
+    serialize: (nodes) => serializeNetscapeBookmarks(nodes),
+  },
+  markdown: {
+    extension: 'md',
+    mimeType: 'text/markdown',
+    serialize: (nodes) => serializeMarkdownList(nodes),
+  },
+  csv: {
+    extension: 'csv',
+    mimeType: 'text/csv',
+    serialize: (nodes, basePaths) => serializeCsv(nodes, basePaths),
+  },
+  urls: {
+    extension: 'txt',
+    mimeType: 'text/plain',
+    serialize: (nodes) => serializeUrlList(nodes),
+  },
+}
+
+/**
+ * Sets up the export dialog.
+ */
+function setupExportDialog() {
+  const dialog = document.getElementById('export-dialog')
+  document.getElementById('export-ok').addEventListener('click', confirmExport)
+  document
+    .getElementById('export-cancel')
+    .addEventListener('click', () => hideDialog(dialog))
+  dialog
+    .querySelector('.dialog-close')
+    .addEventListener('click', () => hideDialog(dialog))
+}
+
+/**
+ * Opens the export dialog for a pane. The scope defaults to the
+ * targeted folder, then the multi-selection, then the search results,
+ * then the pane's current folder.
+ * @param {number} paneNum - Pane to export from
+ * @param {string} [folderId] - Folder targeted from the context menu
+ * @returns {Promise<void>}
+ */
+async function showExportDialog(paneNum, folderId) {
+  const paneState = state.panes[paneNum]
+  const dialog = document.getElementById('export-dialog')
+  const scopeSelect = document.getElementById('export-scope')
+  const exportFolderId = folderId || paneState.currentFolderId
+  const scopes = []
+
+  if (!isSavedSearchId(exportFolderId)) {
+    const [folder] = await chrome.bookmarks.get(exportFolderId)
+    scopes.push({
+      value: ExportScope.FOLDER,
+      label: `Folder "${folder.title || 'Bookmarks'}"`,
+    })
+  }
+  if (paneState.searchResults && paneState.searchResults.length > 0) {
+    scopes.push({
+      value: ExportScope.SEARCH,
+      label: `Search results (${paneState.searchResults.length})`,
+    })
+  }
+  if (paneState.selectedItems.size > 0) {
+    scopes.push({
+      value: ExportScope.SELECTION,
+      label: `Selected items (${paneState.selectedItems.size})`,
+    })
+  }
+  if (scopes.length === 0) {
+    showToast('Nothing to export', 'info')
+    return
+  }
+
+  scopeSelect.innerHTML = scopes
+    .map(
+      (scope) =>
+        `<option value="${scope.value}">${escapeHtml(scope.label)}</option>`,
+    )
+    .join('')
+
+  if (!folderId) {
+    const preferred = [ExportScope.SELECTION, ExportScope.SEARCH].find((v) =>
+      scopes.some((scope) => scope.value === v),
+    )
+    if (preferred) scopeSelect.value = preferred
+  }
+
+  dialog.dataset.pane = paneNum
+  dialog.dataset.folderId = exportFolderId
+  showDialog(dialog)
+}
+
+/**
+ * Exports the chosen scope in the chosen format.
+ * @returns {Promise<void>}
+ */
+async function confirmExport() {
+  const dialog = document.getElementById('export-dialog')
+  const paneNum = parseInt(dialog.dataset.pane)
+  const scope = document.getElementById('export-scope').value
+  const format = EXPORT_FORMATS[document.getElementById('export-format').value]
+
+  hideDialog(dialog)
+
+  try {
+    const { name, nodes } = await collectExportNodes(
+      paneNum,
+      scope,
+      dialog.dataset.folderId,
+    )
+    const basePaths = await Promise.all(
+      nodes.map((node) => getFolderPathTitles(node.parentId)),
+    )
+    const content = format.serialize(nodes, basePaths)
+    const filename = `${sanitizeFilename(name)}-${formatDateStamp(new Date())}.${format.extension}`
+
+    downloadFile(filename, content, format.mimeType)
+    showToast(`Exported "${name}"`, 'success')
+  } catch (error) {
+    console.error('Export failed:', error)
+    showToast('Export failed', 'error')
+  }
+}
+
+/**
+ * Gathers the subtrees to export for a scope, in display order.
+ * @param {number} paneNum - Pane to export from
+ * @param {string} scope - An ExportScope value
+ * @param {string} folderId - Folder used by the folder scope
+ * @returns {Promise<{name: string, nodes: Object[]}>}
+ */
+async function collectExportNodes(paneNum, scope, folderId) {
+  switch (scope) {
+    case ExportScope.SEARCH:
+      return {
+        name: 'search-results',
+        nodes: await Promise.all(
+          state.panes[paneNum].searchResults.map((node) =>
+            captureBookmarkTree(node.id),
+          ),
+        ),
+      }
+
+    case ExportScope.SELECTION:
+      return {
+        name: 'selection',
+        nodes: await Promise.all(
+          getSelectedIds(paneNum).map((id) => captureBookmarkTree(id)),
+        ),
+      }
+
+    default: {
+      const subtree = await captureBookmarkTree(folderId)
+      // The virtual root has no title; export its children instead
+      return subtree.id === '0'
+        ? { name: 'bookmarks', nodes: subtree.children }
+        : { name: subtree.title || 'bookmarks', nodes: [subtree] }
+    }
+  }
+}
+
+/**
+ * Returns the titles of a folder and its ancestors, outermost first.
+ * @param {string} [folderId] - Folder ID
+ * @returns {Promise<string[]>}
+ */
+async function getFolderPathTitles(folderId) {
+  const titles = []
+  let currentId = folderId
+
+  while (currentId && currentId !== '0') {
+    const [node] = await chrome.bookmarks.get(currentId)
+    titles.unshift(node.title)
+    currentId = node.parentId
+  }
+
+  return titles
+}
+
+/**
+ * Serializes bookmark tree nodes into NETSCAPE-Bookmark-file-1 HTML.
+ * @param {Object[]} nodes - Subtrees from chrome.bookmarks.getSubTree
+ * @returns {string} Bookmark HTML document
+ */
+function serializeNetscapeBookmarks(nodes) {
+  const lines = [
+    '<!DOCTYPE NETSCAPE-Bookmark-file-1>',
+    '<!-- This is an automatically generated file.',
+    '     It will be read and overwritten.',
+    '     DO NOT EDIT! -->',
+    '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">',
+    '<TITLE>Bookmarks</TITLE>',
+    '<H1>Bookmarks</H1>',
+    '<DL><p>',
+  ]
+
+  nodes.forEach((node) => writeNetscapeNode(node, 1, lines))
+
+  lines.push('</DL><p>')
+  return lines.join('\n') + '\n'
+}
+
+/**
+ * Appends the DT entry for a node (and its nested DL for folders).
+ * @param {Object} node - Bookmark tree node
+ * @param {number} depth - Indentation level
+ * @param {string[]} lines - Output buffer
+ */
+function writeNetscapeNode(node, depth, lines) {
+  const indent = '    '.repeat(depth)
+  const addDate = toUnixSeconds(node.dateAdded)
+  const title = escapeNetscapeText(node.title || '')
+
+  if (node.url) {
+    lines.push(
+      `${indent}<DT><A HREF="${escapeNetscapeText(node.url)}" ADD_DATE="${addDate}">${title}</A>`,
+    )
+    return
+  }
+
+  const attributes = [`ADD_DATE="${addDate}"`]
+  if (node.dateGroupModified) {
+    attributes.push(`LAST_MODIFIED="${toUnixSeconds(node.dateGroupModified)}"`)
+  }
+  if (node.id === '1') {
+    attributes.push('PERSONAL_TOOLBAR_FOLDER="true"')
+  }
+
+  lines.push(`${indent}<DT><H3 ${attributes.join(' ')}>${title}</H3>`)
+  lines.push(`${indent}<DL><p>`)
+  ;(node.children || []).forEach((child) =>
+    writeNetscapeNode(child, depth + 1, lines),
+  )
+  lines.push(`${indent}</DL><p>`)
+}
+
+/**
+ * Converts a millisecond timestamp to whole seconds, as used by ADD_DATE.
+ * @param {number} [ms] - Timestamp in milliseconds
+ * @returns {number} Timestamp in seconds (0 if unknown)
+ */
+function toUnixSeconds(ms) {
+  return ms ? Math.floor(ms / 1000) : 0
+}
+
+/**
+ * Escapes text for use in bookmark HTML content and attribute values.
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeNetscapeText(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+}
+
+/**
+ * Serializes nodes as a nested Markdown list of [title](url) links.
+ * Folders become bold list items with their contents indented below.
+ * @param {Object[]} nodes - Bookmark subtrees
+ * @param {number} [depth=0] - Nesting level
+ * @returns {string} Markdown text
+ */
+function serializeMarkdownList(nodes, depth = 0) {
+  const indent = '  '.repeat(depth)
+
+  return nodes
+    .map((node) => {
+      const title = (node.title || 'Untitled').replace(/([\\[\]*_])/g, '\\$1')
+
+      if (node.url) {
+        const url = node.url.replace(
+          /[()\s]/g,
+          (ch) =>
+            '%' + ch.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0'),
+        )
+        return `${indent}- [${title}](${url})\n`
+      }
+      return (
+        `${indent}- **${title}**\n` +
+        serializeMarkdownList(node.children || [], depth + 1)
+      )
+    })
+    .join('')
+}
+
+/**
+ * Serializes the bookmarks inside nodes as CSV with title, URL,
+ * folder path and date added columns. Folders only contribute to paths.
+ * @param {Object[]} nodes - Bookmark subtrees
+ * @param {string[][]} basePaths - Ancestor folder titles of each node
+ * @returns {string} CSV text
+ */
+function serializeCsv(nodes, basePaths) {
+  const rows = [['title', 'url', 'folder', 'dateAdded']]
+
+  const visit = (node, path) => {
+    if (node.url) {
+      rows.push([
+        node.title,
+        node.url,
+        path.join(' / '),
+        node.dateAdded ? new Date(node.dateAdded).toISOString() : '',
+      ])
+      return
+    }
+    const childPath = [...path, node.title]
+    ;(node.children || []).forEach((child) => visit(child, childPath))
+  }
+  nodes.forEach((node, i) => visit(node, basePaths[i]))
+
+  return rows.map((row) => row.map(escapeCsvField).join(',')).join('\r\n')
+}
+
+/**
+ * Quotes a CSV field when it contains a delimiter, quote or newline.
+ * Fields that a spreadsheet would run as a formula get a leading "'".
+ * @param {string} value - Field value
+ * @returns {string} CSV-safe field
+ */
+function escapeCsvField(value) {
+  let text = String(value ?? '')
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * Lists every bookmark URL inside nodes, one per line.
+ * @param {Object[]} nodes - Bookmark subtrees
+ * @returns {string} Newline-separated URLs
+ */
+function serializeUrlList(nodes) {
+  const urls = collectBookmarks(nodes).map((node) => node.url)
+  return urls.join('\n') + '\n'
+}
+
+/**
+ * Flattens subtrees into the bookmarks they contain, in tree order.
+ * @param {Object[]} nodes - Bookmark subtrees
+ * @returns {Object[]} Bookmark nodes (those with a URL)
+ */
+function collectBookmarks(nodes) {
+  const bookmarks = []
+  const visit = (node) => {
+    if (node.url) bookmarks.push(node)
+    ;(node.children || []).forEach(visit)
+  }
+  nodes.forEach(visit)
+  return bookmarks
+}
+
+/**
+ * Replaces characters that are not allowed in file names.
+ * @param {string} name - Raw name
+ * @returns {string} Safe file name fragment
+ */
+function sanitizeFilename(name) {
+  return name.replace(/[\\/:*?"<>|]+/g, '_').trim() || 'bookmarks'
+}
+
+/**
+ * Formats a date as YYYY-MM-DD for file names.
+ * @param {Date} date - Date to format
+ * @returns {string} Date stamp
+ */
+function formatDateStamp(date) {
+  const pad = (n) => String(n).padStart(2, '0')
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`
+}
+
+/**
+ * Sets up the hidden file input used by the import action.
+ */
+function setupImport() {
+  const input = document.getElementById('import-file-input')
+
+  input.addEventListener('change', async () => {
+    const file = input.files[0]
+    const paneNum = parseInt(input.dataset.pane)
+    input.value = ''
+
+    if (file) {
+      await importBookmarksFile(file, paneNum)
+    }
+  })
+}
+
+/**
+ * Opens the file picker for importing into a pane's current folder.
+ * @param {number} paneNum - Pane whose folder receives the import
+ */
+function showImportPicker(paneNum) {
+  const input = document.getElementById('import-file-input')
+  input.dataset.pane = paneNum
+  input.click()
+}
+
+/**
+ * Imports a Netscape bookmark HTML file into the pane's current folder.
+ * Items are appended in file order and the whole import is recorded
+ * as a single undo action.
+ * @param {File} file - Bookmark HTML file
+ * @param {number} paneNum - Pane whose folder receives the import
+ * @returns {Promise<void>}
+ */
+async function importBookmarksFile(file, paneNum) {
+  const targetFolderId = state.panes[paneNum].currentFolderId
+  const statusText = document.querySelector(
+    `.status-text[data-pane="${paneNum}"]`,
+  )
+
+  let nodes
+  try {
+    nodes = parseNetscapeBookmarks(await file.text())
+  } catch (error) {
+    console.error('Import parse failed:', error)
+    showToast('Could not read bookmark file', 'error')
+    return
+  }
+
+  const skipped = { count: 0 }
+  nodes = pruneUnimportableNodes(nodes, skipped)
+  const total = countBookmarkNodes(nodes)
+
+  if (total === 0) {
+    showToast('No bookmarks found in file', 'info')
+    return
+  }
+
+  const createdIds = []
+  let imported = 0
+  const onCreated = (created) => {
+    imported++
+    statusText.textContent = `Importing... ${imported} / ${total}`
+    // Recorded straight away so a folder that fails halfway is undone too
+    if (created.parentId === targetFolderId) createdIds.push(created.id)
+  }
+
+  try {
+    const existing = await chrome.bookmarks.getChildren(targetFolderId)
+
+    await expectOwnBookmarks(nodes, async () => {
+      for (let i = 0; i < nodes.length; i++) {
+        await restoreBookmarkTree(
+          nodes[i],
+          targetFolderId,
+          existing.length + i,
+          onCreated,
+        )
+      }
+    })
+
+    const skippedNote = skipped.count ? ` (${skipped.count} skipped)` : ''
+    showToast(`Imported ${imported} items${skippedNote}`, 'success')
+  } catch (error) {
+    console.error('Import failed:', error)
+    showToast(`Import stopped after ${imported} items`, 'error')
+  }
+
+  // Even a partial import is undone as one step
+  if (createdIds.length > 0) {
+    pushUndoAction({
+      type: 'import',
+      createdIds: createdIds,
+    })
+  }
+
+  await loadPaneContent(1)
+  if (state.viewMode === 'split') await loadPaneContent(2)
+  await loadFolderTree()
+}
+
+/**
+ * Parses NETSCAPE-Bookmark-file-1 HTML into bookmark-like nodes.
+ * Exporters disagree on where the nested DL sits (inside the DT or
+ * right after it) and sprinkle unclosed <p> tags, so both are handled.
+ * @param {string} html - Bookmark file content
+ * @returns {Array<{title: string, url?: string, children?: Array}>} Top-level nodes
+ */
+function parseNetscapeBookmarks(html) {
+  const doc = new DOMParser().parseFromString(html, 'text/html')
+  const rootList = doc.querySelector('dl')
+  if (!rootList) {
+    throw new Error('Not a bookmark file')
+  }
+  return parseNetscapeList(rootList)
+}
+
+/**
+ * Converts the DT entries of a DL element into nodes, preserving order.
+ * @param {Element} list - DL element
+ * @returns {Array} Parsed nodes
+ */
+function parseNetscapeList(list) {
+  const nodes = []
+
+  getNetscapeEntries(list).forEach((entry) => {
+    const heading = entry.querySelector(':scope > h3')
+    const link = entry.querySelector(':scope > a')
+
+    if (heading) {
+      const childList = findNetscapeChildList(entry)
+      nodes.push({
+        title: heading.textContent.trim(),
+        children: childList ? parseNetscapeList(childList) : [],
+      })
+    } else if (link && link.getAttribute('href')) {
+      nodes.push({
+        title: link.textContent.trim(),
+        url: link.getAttribute('href'),
+      })
+    }
+  })
+
+  return nodes
+}
+
+/**
+ * Finds the DL holding a folder's children. It is usually nested in the
+ * folder's DT, but may follow it directly or sit inside a description DD.
+ * @param {Element} entry - DT element of the folder
+ * @returns {Element|null} DL element, if any
+ */
+function findNetscapeChildList(entry) {
+  const nested = entry.querySelector(':scope > dl')
+  if (nested) return nested
+
+  const next = entry.nextElementSibling
+  if (next?.tagName === 'DL') return next
+  if (next?.tagName === 'DD') return next.querySelector(':scope > dl')
+  return null
+}
+
+/**
+ * Collects the DT children of a DL, looking through stray <p> wrappers.
+ * @param {Element} list - DL element
+ * @returns {Element[]} DT elements in document order
+ */
+function getNetscapeEntries(list) {
+  const entries = []
+  for (const child of list.children) {
+    if (child.tagName === 'DT') {
+      entries.push(child)
+    } else if (child.tagName === 'P') {
+      entries.push(...getNetscapeEntries(child))
+    }
+  }
+  return entries
+}
+
+/**
+ * Drops bookmarks whose URL Chrome would reject (e.g. Firefox "place:"
+ * smart bookmarks) so one bad entry does not abort the import.
+ * @param {Array} nodes - Parsed nodes
+ * @param {{count: number}} skipped - Incremented for every dropped node
+ * @returns {Array} Importable nodes
+ */
+function pruneUnimportableNodes(nodes, skipped) {
+  return nodes.filter((node) => {
+    if (node.children) {
+      node.children = pruneUnimportableNodes(node.children, skipped)
+      return true
+    }
+    try {
+      const { protocol } = new URL(node.url)
+      if (protocol !== 'place:') return true
+    } catch {
+      // Invalid URL
+    }
+    skipped.count++
+    return false
+  })
+}
+
+/**
+ * Counts every bookmark and folder in a list of nodes.
+ * @param {Array} nodes - Bookmark-like nodes
+ * @returns {number} Total node count
+ */
+function countBookmarkNodes(nodes) {
+  return nodes.reduce(
+    (sum, node) => sum + 1 + countBookmarkNodes(node.children || []),
+    0,
+  )
+}
+
+// ============================================
+// Compare (Diff Viewer)
+// ============================================
+
+/**
+ * Changes listed in the compare dialog, indexed by row
+ * @type {Array}
+ */
+let diffChanges = []
+
+/**
+ * Option value in the source picker that opens a backup file
+ * @type {string}
+ */
+const DIFF_SOURCE_FILE = 'file'
+
+/**
+ * Display names for change types
+ * @type {Object<string, string>}
+ */
+const DIFF_LABELS = {
+  [ChangeType.ADDED]: 'Added',
+  [ChangeType.REMOVED]: 'Removed',
+  [ChangeType.MOVED]: 'Moved',
+  [ChangeType.RENAMED]: 'Renamed',
+  [ChangeType.URL_CHANGED]: 'URL changed',
+}
+
+/**
+ * Sets up the compare dialog and its source pickers.
+ */
+function setupDiffDialog() {
+  const dialog = document.getElementById('diff-dialog')
+  const source = document.getElementById('diff-source')
+  const fileInput = document.getElementById('diff-file-input')
+
+  document.getElementById('open-diff').addEventListener('click', showDiffDialog)
+  document
+    .getElementById('diff-close')
+    .addEventListener('click', () => hideDialog(dialog))
+  dialog
+    .querySelector('.dialog-close')
+    .addEventListener('click', () => hideDialog(dialog))
+
+  source.addEventListener('change', async () => {
+    if (source.value === DIFF_SOURCE_FILE) {
+      fileInput.click()
+    } else {
+      await compareWithSnapshot(source.value)
+    }
+  })
+
+  fileInput.addEventListener('change', async () => {
+    const file = fileInput.files[0]
+    fileInput.value = ''
+    if (!file) return
+
+    try {
+      const backup = parseBookmarkBackup(await file.text())
+      await compareWithBackup(backup, file.name)
+    } catch (error) {
+      showToast(error.message, 'error')
+    }
+  })
+
+  document.getElementById('diff-list').addEventListener('click', (e) => {
+    const button = e.target.closest('.diff-action')
+    if (button && !button.disabled) {
+      applyDiffChange(parseInt(button.dataset.index))
+    }
+  })
+}
+
+/**
+ * Opens the compare dialog and compares against the newest snapshot.
+ * @returns {Promise<void>}
+ */
+async function showDiffDialog() {
+  const dialog = document.getElementById('diff-dialog')
+  const source = document.getElementById('diff-source')
+  const snapshots = await listSnapshots()
+
+  source.innerHTML = ''
+  snapshots.forEach((entry) => {
+    const option = document.createElement('option')
+    option.value = entry.id
+    option.textContent = `Snapshot: ${new Date(entry.createdAt).toLocaleString()}`
+    source.appendChild(option)
+  })
+
+  const fileOption = document.createElement('option')
+  fileOption.value = DIFF_SOURCE_FILE
+  fileOption.textContent = 'Backup file...'
+  source.appendChild(fileOption)
+
+  diffChanges = []
+  document.getElementById('diff-list').innerHTML = ''
+  document.getElementById('diff-summary').textContent = snapshots.length
+    ? ''
+    : 'No snapshots yet. Choose a backup file to compare.'
+
+  showDialog(dialog)
+
+  if (snapshots.length > 0) {
+    await compareWithSnapshot(snapshots[0].id)
+  }
+}
+
+/**
+ * Compares the live tree with a stored snapshot.
+ * @param {string} snapshotId - Snapshot ID
+ * @returns {Promise<void>}
+ */
+async function compareWithSnapshot(snapshotId) {
+  const snapshot = await loadSnapshot(snapshotId)
+  if (!snapshot) {
+    showToast('Snapshot could not be loaded', 'error')
+    return
+  }
+  await compareWithBackup(
+    snapshot,
+    new Date(snapshot.createdAt).toLocaleString(),
+  )
+}
+
+/**
+ * Compares the live tree with a backup document and lists the changes.
+ * @param {Object} backup - Backup document (snapshot or backup file)
+ * @param {string} label - Describes the backup in the summary
+ * @returns {Promise<void>}
+ */
+async function compareWithBackup(backup, label) {
+  const live = createBookmarkBackup(await chrome.bookmarks.getTree())
+  diffChanges = diffBookmarkTrees(backup.roots, live.roots)
+  renderDiffList(label)
+}
+
+/**
+ * Renders one row per change, each with its restore/revert button.
+ * @param {string} label - Describes the compared backup
+ */
+function renderDiffList(label) {
+  const list = document.getElementById('diff-list')
+  const summary = document.getElementById('diff-summary')
+
+  if (diffChanges.length === 0) {
+    summary.textContent = `No changes since ${label}`
+    list.innerHTML = ''
+    return
+  }
+
+  const counts = {}
+  diffChanges.forEach((change) => {
+    counts[change.type] = (counts[change.type] || 0) + 1
+  })
+  const breakdown = Object.entries(counts)
+    .map(([type, count]) => `${count} ${DIFF_LABELS[type].toLowerCase()}`)
+    .join(', ')
+  summary.textContent = `${diffChanges.length} changes since ${label}: ${breakdown}`
+
+  list.innerHTML = diffChanges
+    .map((change, index) => {
+      const icon = change.node.url ? '🔗' : '📁'
+      const extra = change.count ? ` (+${change.count} items)` : ''
+      const action = change.type === ChangeType.REMOVED ? 'Restore' : 'Revert'
+
+      return `
+        <div class="diff-row" data-index="${index}">
+          <span class="diff-badge ${change.type}">${DIFF_LABELS[change.type]}</span>
+          <div class="diff-details">
+            <div class="diff-title">${icon} ${escapeHtml(change.node.title || 'Untitled')}${extra}</div>
+            <div class="diff-meta">${escapeHtml(describeDiffChange(change))}</div>
+          </div>
+          <button class="dialog-btn diff-action" data-index="${index}">${action}</button>
+        </div>
+      `
+    })
+    .join('')
+}
+
+/**
+ * Describes where a change happened, for the row's second line.
+ * @param {Object} change - Change from diffBookmarkTrees()
+ * @returns {string}
+ */
+function describeDiffChange(change) {
+  switch (change.type) {
+    case ChangeType.ADDED:
+      return `In ${change.newPath}`
+    case ChangeType.REMOVED:
+      return `Was in ${change.oldPath}`
+    case ChangeType.MOVED:
+      return `${change.before} → ${change.after}`
+    default:
+      return `${change.before} → ${change.after} (in ${change.newPath})`
+  }
+}
+
+/**
+ * Undoes one listed change in the live tree and records it on the
+ * undo stack, so the restore/revert itself can be undone.
+ * @param {number} index - Row index in diffChanges
+ * @returns {Promise<void>}
+ */
+async function applyDiffChange(index) {
+  const change = diffChanges[index]
+
+  try {
+    switch (change.type) {
+      case ChangeType.REMOVED: {
+        const parentExists = await bookmarkExists(change.oldParentId)
+        const parentId = parentExists ? change.oldParentId : '2'
+        const siblings = await chrome.bookmarks.getChildren(parentId)
+        const position = parentExists
+          ? Math.min(change.oldIndex, siblings.length)
+          : siblings.length
+
+        const created = await expectOwnBookmarks([change.node], () =>
+          restoreBookmarkTree(change.node, parentId, position),
+        )
+        pushUndoAction({ type: 'create', createdId: created.id })
+        break
+      }
+
+      case ChangeType.ADDED: {
+        const [node] = await chrome.bookmarks.get(change.id)
+        const fullData = await captureBookmarkTree(change.id)
+        if (node.url) {
+          await chrome.bookmarks.remove(change.id)
+        } else {
+          await chrome.bookmarks.removeTree(change.id)
+        }
+        pushUndoAction({
+          type: 'delete',
+          data: fullData,
+          parentId: node.parentId,
+          index: node.index,
+        })
+        break
+      }
+
+      case ChangeType.MOVED: {
+        const [node] = await chrome.bookmarks.get(change.id)
+        const siblings = await chrome.bookmarks.getChildren(change.oldParentId)
+        await chrome.bookmarks.move(change.id, {
+          parentId: change.oldParentId,
+          index: Math.min(change.oldIndex, siblings.length),
+        })
+        pushUndoAction({
+          type: 'move',
+          itemId: change.id,
+          originalParentId: node.parentId,
+          originalIndex: node.index,
+        })
+        break
+      }
+
+      case ChangeType.RENAMED: {
+        const [node] = await chrome.bookmarks.get(change.id)
+        await chrome.bookmarks.update(change.id, { title: change.before })
+        pushUndoAction({
+          type: 'rename',
+          itemId: change.id,
+          originalTitle: node.title,
+        })
+        break
+      }
+
+      case ChangeType.URL_CHANGED: {
+        const [node] = await chrome.bookmarks.get(change.id)
+        await chrome.bookmarks.update(change.id, { url: change.before })
+        pushUndoAction({
+          type: 'update-url',
+          itemId: change.id,
+          originalUrl: node.url,
+        })
+        break
+      }
+    }
+
+    const row = document.querySelector(`.diff-row[data-index="${index}"]`)
+    row.classList.add('applied')
+    row.querySelector('.diff-action').disabled = true
+    showToast(
+      `${change.type === ChangeType.REMOVED ? 'Restored' : 'Reverted'} "${change.node.title}"`,
+      'success',
+    )
+
+    await loadPaneContent(1)
+    if (state.viewMode === 'split') await loadPaneContent(2)
+    await loadFolderTree()
+  } catch (error) {
+    console.error('Applying change failed:', error)
+    showToast('Could not apply change: ' + error.message, 'error')
+  }
+}
+
+// ============================================
+// Duplicate Finder
+// ============================================
+const DUPLICATE_OPTIONS_KEY = 'duplicateFinderOptions'
+
+/**
+ * Groups shown in the duplicates dialog
+ * @type {Array<{key: string, items: Array<{node: Object, path: string[]}>}>}
+ */
+let duplicateGroups = []
+
+/**
+ * URL normalization used by the duplicates dialog
+ * @type {Object}
+ */
+let duplicateOptions = { ...DEFAULT_URL_NORMALIZATION }
+
+/**
+ * Sets up the duplicates dialog and its normalization options.
+ */
+function setupDuplicatesDialog() {
+  const dialog = document.getElementById('duplicates-dialog')
+
+  document
+    .getElementById('open-duplicates')
+    .addEventListener('click', showDuplicatesDialog)
+  document
+    .getElementById('duplicates-close')
+    .addEventListener('click', () => hideDialog(dialog))
+  dialog
+    .querySelector('.dialog-close')
+    .addEventListener('click', () => hideDialog(dialog))
+  document
+    .getElementById('duplicates-delete')
+    .addEventListener('click', deleteDuplicates)
+
+  document
+    .querySelectorAll('#duplicates-options input[type="checkbox"]')
+    .forEach((checkbox) => {
+      checkbox.addEventListener('change', async () => {
+        duplicateOptions[checkbox.dataset.option] = checkbox.checked
+        await chrome.storage.local.set({
+          [DUPLICATE_OPTIONS_KEY]: duplicateOptions,
+        })
+        await findDuplicates()
+      })
+    })
+
+  registerPaletteCommand({
+    id: 'find-duplicates',
+    title: 'Find Duplicate Bookmarks...',
+    icon: '👥',
+    run: () => showDuplicatesDialog(),
+  })
+}
+
+/**
+ * Opens the duplicates dialog and scans the whole tree.
+ * @returns {Promise<void>}
+ */
+async function showDuplicatesDialog() {
+  try {
+    const result = await chrome.storage.local.get([DUPLICATE_OPTIONS_KEY])
+    duplicateOptions = {
+      ...DEFAULT_URL_NORMALIZATION,
+      ...result[DUPLICATE_OPTIONS_KEY],
+    }
+  } catch (error) {
+    console.error('Failed to load duplicate finder options:', error)
+  }
+
+  document
+    .querySelectorAll('#duplicates-options input[type="checkbox"]')
+    .forEach((checkbox) => {
+      checkbox.checked = duplicateOptions[checkbox.dataset.option]
+    })
+
+  showDialog(document.getElementById('duplicates-dialog'))
+  await findDuplicates()
+}
+
+/**
+ * Scans the tree with the current options and renders the groups.
+ * @returns {Promise<void>}
+ */
+async function findDuplicates() {
+  duplicateGroups = findDuplicateBookmarks(
+    await chrome.bookmarks.getTree(),
+    duplicateOptions,
+  )
+  renderDuplicateGroups()
+}
+
+/**
+ * Renders one block per URL. The oldest bookmark is kept by default.
+ */
+function renderDuplicateGroups() {
+  const list = document.getElementById('duplicates-list')
+  const summary = document.getElementById('duplicates-summary')
+  const deleteButton = document.getElementById('duplicates-delete')
+
+  deleteButton.disabled = duplicateGroups.length === 0
+  if (duplicateGroups.length === 0) {
+    summary.textContent = 'No duplicate bookmarks found'
+    list.innerHTML = ''
+    return
+  }
+
+  const extra = duplicateGroups.reduce(
+    (sum, group) => sum + group.items.length - 1,
+    0,
+  )
+  summary.textContent = `${duplicateGroups.length} URLs are bookmarked more than once (${extra} extra bookmarks)`
+
+  list.innerHTML = duplicateGroups
+    .map(
+      (group, groupIndex) => `
+        <div class="duplicate-group" data-index="${groupIndex}">
+          <label class="duplicate-group-header">
+            <input type="checkbox" class="duplicate-group-toggle" checked />
+            <span class="duplicate-key">${escapeHtml(group.key)}</span>
+            <span class="duplicate-count">${group.items.length} bookmarks</span>
+          </label>
+          ${group.items
+            .map(
+              ({ node, path }, i) => `
+                <label class="diff-row duplicate-row">
+                  <input type="radio" name="duplicate-keep-${groupIndex}" value="${node.id}" ${i === 0 ? 'checked' : ''} />
+                  <div class="diff-details">
+                    <div class="diff-title">🔗 ${escapeHtml(node.title || node.url)}</div>
+                    <div class="diff-meta">${escapeHtml(formatBreadcrumb(path))} · Added ${formatDateAdded(node.dateAdded)}</div>
+                  </div>
+                </label>
+              `,
+            )
+            .join('')}
+        </div>
+      `,
+    )
+    .join('')
+}
+
+/**
+ * Formats a bookmark's dateAdded for display.
+ * @param {number} [time] - Timestamp in ms
+ * @returns {string}
+ */
+function formatDateAdded(time) {
+  return time ? new Date(time).toLocaleDateString() : 'unknown'
+}
+
+/**
+ * Deletes every bookmark except the chosen one in each ticked group,
+ * as a single undo step.
+ * @returns {Promise<void>}
+ */
+async function deleteDuplicates() {
+  const ids = []
+  document.querySelectorAll('.duplicate-group').forEach((groupEl) => {
+    if (!groupEl.querySelector('.duplicate-group-toggle').checked) return
+    groupEl
+      .querySelectorAll('input[type="radio"]:not(:checked)')
+      .forEach((radio) => ids.push(radio.value))
+  })
+
+  if (ids.length === 0) {
+    showToast('No duplicates selected', 'info')
+    return
+  }
+  if (!confirm(`Delete ${ids.length} duplicate bookmarks?`)) return
+
+  const actions = []
+  try {
+    for (const id of ids) {
+      actions.push(await removeWithUndoStep(id))
+    }
+    showToast(`Deleted ${ids.length} duplicates`, 'success')
+  } catch (error) {
+    showToast('Failed to delete some duplicates', 'error')
+    console.error('Duplicate removal failed:', error)
+  }
+
+  if (actions.length > 0) {
+    pushUndoAction({ type: 'batch', label: 'Duplicate removal', actions })
+  }
+
+  await loadPaneContent(1)
+  if (state.viewMode === 'split') await loadPaneContent(2)
+  await loadFolderTree()
+  await findDuplicates()
+}
+
+// ============================================
+// Link Checker
+// ============================================
+
+/**
+ * Problems found by the current or last link check, in report order
+ * @type {Array<{node: Object, result: Object}>}
+ */
+let linkCheckProblems = []
+
+/**
+ * The running check, so Stop can cancel it
+ * @type {{cancelled: boolean}|null}
+ */
+let linkCheckRun = null
+
+/**
+ * Sets up the link checker dialog and its bulk actions.
+ */
+function setupLinkCheckDialog() {
+  const dialog = document.getElementById('link-check-dialog')
+
+  document
+    .getElementById('open-link-check')
+    .addEventListener('click', () => showLinkCheckDialog())
+  document
+    .getElementById('link-check-close')
+    .addEventListener('click', () => hideDialog(dialog))
+  dialog
+    .querySelector('.dialog-close')
+    .addEventListener('click', () => hideDialog(dialog))
+
+  document.getElementById('link-check-start').addEventListener('click', () => {
+    if (linkCheckRun) {
+      linkCheckRun.cancelled = true
+    } else {
+      startLinkCheck()
+    }
+  })
+
+  document
+    .getElementById('link-check-select-all')
+    .addEventListener('change', (e) => {
+      document
+        .querySelectorAll('#link-check-list .link-check-select:not(:disabled)')
+        .forEach((checkbox) => (checkbox.checked = e.target.checked))
+    })
+
+  document
+    .getElementById('link-check-delete')
+    .addEventListener('click', deleteCheckedLinks)
+  document
+    .getElementById('link-check-update')
+    .addEventListener('click', updateCheckedRedirects)
+  document
+    .getElementById('link-check-move')
+    .addEventListener('click', moveCheckedLinks)
+
+  registerPaletteCommand({
+    id: 'check-links',
+    title: 'Check Links...',
+    icon: '🩺',
+    run: ({ paneNum }) => showLinkCheckDialog(paneNum),
+  })
+}
+
+/**
+ * Opens the link checker, set to check the pane's current folder.
+ * @param {number} [paneNum] - Pane whose folder to preselect
+ * @returns {Promise<void>}
+ */
+async function showLinkCheckDialog(paneNum = state.activePane) {
+  const { currentFolderId } = state.panes[paneNum]
+  const folderId = isSavedSearchId(currentFolderId) ? '0' : currentFolderId
+
+  await populateFolderSelect(
+    document.getElementById('link-check-folder'),
+    folderId,
+    'All Bookmarks',
+  )
+  await populateFolderSelect(document.getElementById('link-check-move-target'))
+
+  if (!linkCheckRun) {
+    linkCheckProblems = []
+    document.getElementById('link-check-list').innerHTML = ''
+    document.getElementById('link-check-summary').textContent =
+      'Choose a folder and press Start. Each bookmark is requested from its website.'
+  }
+  showDialog(document.getElementById('link-check-dialog'))
+}
+
+/**
+ * Checks every bookmark in the chosen folder and lists the problems
+ * as they are found.
+ * @returns {Promise<void>}
+ */
+async function startLinkCheck() {
+  // Ask first, while the click still counts as a user gesture
+  const granted = await chrome.permissions.request({ origins: ['<all_urls>'] })
+  if (!granted) {
+    showToast('Checking links needs permission to contact websites', 'error')
+    return
+  }
+
+  const folderId = document.getElementById('link-check-folder').value
+  const recursive = document.getElementById('link-check-recursive').checked
+  const summary = document.getElementById('link-check-summary')
+  const list = document.getElementById('link-check-list')
+  const startButton = document.getElementById('link-check-start')
+
+  const [root] = await chrome.bookmarks.getSubTree(folderId)
+  const bookmarks = collectLinkCheckBookmarks(root, recursive)
+
+  const run = { cancelled: false }
+  linkCheckRun = run
+  linkCheckProblems = []
+  list.innerHTML = ''
+  startButton.textContent = 'Stop'
+
+  await checkLinks(bookmarks, {
+    isCancelled: () => run.cancelled,
+    onResult: (node, result, done) => {
+      if (![LinkStatus.OK, LinkStatus.SKIPPED].includes(result.status)) {
+        linkCheckProblems.push({ node, result })
+        list.insertAdjacentHTML(
+          'beforeend',
+          renderLinkCheckRow(node, result, linkCheckProblems.length - 1),
+        )
+      }
+      summary.textContent = `Checked ${done} of ${bookmarks.length} bookmarks, ${linkCheckProblems.length} problems`
+    },
+  })
+
+  linkCheckRun = null
+  startButton.textContent = 'Start'
+
+  const checked = run.cancelled ? 'Stopped. Found' : 'Found'
+  summary.textContent =
+    linkCheckProblems.length === 0 && !run.cancelled
+      ? `All ${bookmarks.length} links work`
+      : `${checked} ${linkCheckProblems.length} problems in ${bookmarks.length} bookmarks`
+}
+
+/**
+ * Lists the bookmarks under a folder, with their folder paths.
+ * @param {Object} root - Folder from chrome.bookmarks.getSubTree()
+ * @param {boolean} recursive - Whether to include subfolders
+ * @returns {Object[]} Bookmark nodes, each with a path of folder titles
+ */
+function collectLinkCheckBookmarks(root, recursive) {
+  const bookmarks = []
+
+  const visit = (folder, path) => {
+    for (const child of folder.children || []) {
+      if (child.url) {
+        bookmarks.push({ ...child, path })
+      } else if (recursive) {
+        visit(child, [...path, child.title])
+      }
+    }
+  }
+  visit(root, root.id === '0' ? [] : [root.title])
+
+  return bookmarks
+}
+
+/**
+ * Returns the badge text and style for a probe result.
+ * @param {Object} result - Result from probeLink()
+ * @returns {{label: string, className: string}}
+ */
+function describeLinkResult(result) {
+  switch (result.status) {
+    case LinkStatus.NOT_FOUND:
+      return { label: String(result.httpStatus), className: 'broken' }
+    case LinkStatus.UNREACHABLE:
+      return { label: 'Unreachable', className: 'broken' }
+    case LinkStatus.REDIRECT:
+      return { label: 'Redirect', className: 'redirect' }
+    case LinkStatus.TIMEOUT:
+      return { label: 'Timeout', className: 'redirect' }
+    default:
+      return { label: `HTTP ${result.httpStatus}`, className: 'redirect' }
+  }
+}
+
+/**
+ * Renders one report row.
+ * @param {Object} node - Bookmark, with its folder path
+ * @param {Object} result - Result from probeLink()
+ * @param {number} index - Index in linkCheckProblems
+ * @returns {string} HTML
+ */
+function renderLinkCheckRow(node, result, index) {
+  const { label, className } = describeLinkResult(result)
+  const detail =
+    result.status === LinkStatus.REDIRECT
+      ? `→ ${result.finalUrl}`
+      : result.error || node.url
+
+  return `
+    <label class="diff-row link-check-row" data-index="${index}">
+      <input type="checkbox" class="link-check-select" data-index="${index}" />
+      <span class="diff-badge ${className}">${escapeHtml(label)}</span>
+      <div class="diff-details">
+        <div class="diff-title">🔗 ${escapeHtml(node.title || node.url)}</div>
+        <div class="diff-meta">${escapeHtml(formatBreadcrumb(node.path))} · ${escapeHtml(detail)}</div>
+      </div>
+    </label>
+  `
+}
+
+/**
+ * Returns the ticked report rows.
+ * @returns {Array<{index: number, node: Object, result: Object}>}
+ */
+function getCheckedLinkProblems() {
+  return Array.from(
+    document.querySelectorAll('#link-check-list .link-check-select:checked'),
+  ).map((checkbox) => {
+    const index = parseInt(checkbox.dataset.index)
+    return { index, ...linkCheckProblems[index] }
+  })
+}
+
+/**
+ * Greys out rows that have been dealt with.
+ * @param {number[]} indices - Row indices
+ */
+function markLinkProblemsHandled(indices) {
+  indices.forEach((index) => {
+    const row = document.querySelector(
+      `#link-check-list .link-check-row[data-index="${index}"]`,
+    )
+    row.classList.add('applied')
+    const checkbox = row.querySelector('.link-check-select')
+    checkbox.checked = false
+    checkbox.disabled = true
+  })
+  document.getElementById('link-check-select-all').checked = false
+}
+
+/**
+ * Applies a change to each ticked row and records the changes as one
+ * undo step.
+ * @param {Array<{index: number, node: Object}>} problems - Rows to change
+ * @param {string} label - Names the operation in the undo toast
+ * @param {function(Object): Promise<Object>} apply - Changes one
+ *   bookmark and returns the undo action that reverts it
+ * @returns {Promise<void>}
+ */
+async function applyToLinkProblems(problems, label, apply) {
+  const actions = []
+  const handled = []
+
+  try {
+    for (const problem of problems) {
+      actions.push(await apply(problem))
+      handled.push(problem.index)
+    }
+    showToast(`${label}: ${handled.length} bookmarks`, 'success')
+  } catch (error) {
+    showToast(`${label} failed`, 'error')
+    console.error(`${label} failed:`, error)
+  }
+
+  if (actions.length > 0) {
+    pushUndoAction({ type: 'batch', label, actions })
+  }
+  markLinkProblemsHandled(handled)
+
+  await loadPaneContent(1)
+  if (state.viewMode === 'split') await loadPaneContent(2)
+  await loadFolderTree()
+}
+
+async function deleteCheckedLinks() {
+  const problems = getCheckedLinkProblems()
+  if (problems.length === 0) {
+    showToast('No links selected', 'info')
+    return
+  }
+  if (!confirm(`Delete ${problems.length} bookmarks?`)) return
+
+  await applyToLinkProblems(problems, 'Delete', ({ node }) =>
+    removeWithUndoStep(node.id),
+  )
+}
+
+async function updateCheckedRedirects() {
+  const problems = getCheckedLinkProblems().filter(
+    ({ result }) => result.status === LinkStatus.REDIRECT,
+  )
+  if (problems.length === 0) {
+    showToast('No redirected links selected', 'info')
+    return
+  }
+
+  await applyToLinkProblems(
+    problems,
+    'Update to redirected URL',
+    async ({ node, result }) => {
+      const [current] = await chrome.bookmarks.get(node.id)
+      await chrome.bookmarks.update(node.id, { url: result.finalUrl })
+      return { type: 'update-url', itemId: node.id, originalUrl: current.url }
+    },
+  )
+}
+
+async function moveCheckedLinks() {
+  const problems = getCheckedLinkProblems()
+  if (problems.length === 0) {
+    showToast('No links selected', 'info')
+    return
+  }
+
+  const folderId = document.getElementById('link-check-move-target').value
+  await applyToLinkProblems(problems, 'Move', ({ node }) =>
+    moveWithUndoStep(node.id, folderId),
+  )
+}
+
+// ============================================
+// Folder Cleanup
+// ============================================
+const STRUCTURE_ISSUE_LABELS = {
+  [StructureIssue.EMPTY]: 'Empty',
+  [StructureIssue.NESTED]: 'Nested',
+  [StructureIssue.SAME_NAME]: 'Same name',
+}
+
+/**
+ * Issues listed in the cleanup dialog
+ * @type {Object[]}
+ */
+let structureIssues = []
+
+/**
+ * Sets up the cleanup dialog.
+ */
+function setupCleanupDialog() {
+  const dialog = document.getElementById('cleanup-dialog')
+
+  document
+    .getElementById('open-cleanup')
+    .addEventListener('click', showCleanupDialog)
+  document
+    .getElementById('cleanup-close')
+    .addEventListener('click', () => hideDialog(dialog))
+  dialog
+    .querySelector('.dialog-close')
+    .addEventListener('click', () => hideDialog(dialog))
+  document
+    .getElementById('cleanup-apply')
+    .addEventListener('click', applyCleanupFixes)
+
+  registerPaletteCommand({
+    id: 'cleanup',
+    title: 'Clean Up Folders...',
+    icon: '🧹',
+    run: () => showCleanupDialog(),
+  })
+}
+
+/**
+ * Opens the cleanup dialog and scans the whole tree.
+ * @returns {Promise<void>}
+ */
+async function showCleanupDialog() {
+  showDialog(document.getElementById('cleanup-dialog'))
+  await findCleanupIssues()
+}
+
+async function findCleanupIssues() {
+  structureIssues = findStructureIssues(await chrome.bookmarks.getTree())
+  renderCleanupIssues()
+}
+
+/**
+ * Lists each issue with the fix that will be applied to it.
+ */
+function renderCleanupIssues() {
+  const list = document.getElementById('cleanup-list')
+  const summary = document.getElementById('cleanup-summary')
+
+  document.getElementById('cleanup-apply').disabled =
+    structureIssues.length === 0
+  if (structureIssues.length === 0) {
+    summary.textContent = 'No empty, nested or same-name folders found'
+    list.innerHTML = ''
+    return
+  }
+
+  const counts = {}
+  structureIssues.forEach((issue) => {
+    counts[issue.type] = (counts[issue.type] || 0) + 1
+  })
+  summary.textContent = `Found ${Object.entries(counts)
+    .map(
+      ([type, count]) =>
+        `${count} ${STRUCTURE_ISSUE_LABELS[type].toLowerCase()}`,
+    )
+    .join(', ')}. Untick anything you want to keep as it is.`
+
+  list.innerHTML = structureIssues
+    .map((issue, index) => {
+      const location = formatBreadcrumb([...issue.path, issue.folder.title])
+      return `
+        <label class="diff-row cleanup-row" data-index="${index}">
+          <input type="checkbox" class="cleanup-select" data-index="${index}" checked />
+          <span class="diff-badge ${issue.type}">${STRUCTURE_ISSUE_LABELS[issue.type]}</span>
+          <div class="diff-details">
+            <div class="diff-title">📁 ${escapeHtml(location)}</div>
+            <div class="diff-meta">${escapeHtml(describeCleanupFix(issue))}</div>
+          </div>
+        </label>
+      `
+    })
+    .join('')
+}
+
+/**
+ * Describes the fix for an issue, as the row's preview line.
+ * @param {Object} issue - Issue from findStructureIssues()
+ * @returns {string}
+ */
+function describeCleanupFix(issue) {
+  switch (issue.type) {
+    case StructureIssue.EMPTY: {
+      const subfolders = countDescendants(issue.folder)
+      return subfolders
+        ? `Delete it and its ${subfolders} empty subfolders`
+        : 'Delete it'
+    }
+
+    case StructureIssue.NESTED: {
+      const last = issue.chain[issue.chain.length - 1]
+      const inner = issue.chain.map((folder) => folder.title).join(' › ')
+      return `Flatten: move the ${last.children.length} items in "${inner}" up into "${issue.folder.title}"`
+    }
+
+    default: {
+      const [first, ...others] = issue.folders
+      const moved = others.reduce((sum, f) => sum + f.children.length, 0)
+      return `Merge ${issue.folders.length} folders named "${first.title}": move ${moved} items into the first`
+    }
+  }
+}
+
+/**
+ * Applies the ticked fixes as one undo entry. Outer folders are fixed
+ * first, so undoing restores inner folders before their ancestors.
+ * Each fix re-checks the live tree and is skipped if an earlier fix
+ * already dealt with it.
+ * @returns {Promise<void>}
+ */
+async function applyCleanupFixes() {
+  const issues = Array.from(
+    document.querySelectorAll('#cleanup-list .cleanup-select:checked'),
+  )
+    .map((checkbox) => structureIssues[parseInt(checkbox.dataset.index)])
+    .sort((a, b) => a.depth - b.depth)
+
+  if (issues.length === 0) {
+    showToast('No fixes selected', 'info')
+    return
+  }
+
+  const actions = []
+  let applied = 0
+  try {
+    for (const issue of issues) {
+      if (await applyCleanupFix(issue, actions)) applied++
+    }
+    showToast(`Applied ${applied} fixes`, 'success')
+  } catch (error) {
+    showToast('Cleanup failed partway; undo restores what changed', 'error')
+    console.error('Cleanup failed:', error)
+  }
+
+  if (actions.length > 0) {
+    pushUndoAction({ type: 'batch', label: 'Cleanup', actions })
+  }
+
+  await loadPaneContent(1)
+  if (state.viewMode === 'split') await loadPaneContent(2)
+  await loadFolderTree()
+  await findCleanupIssues()
+}
+
+/**
+ * Fixes one issue in the live tree. Undo steps are added to actions as
+ * they happen, so a fix that fails partway can still be undone.
+ * @param {Object} issue - Issue from findStructureIssues()
+ * @param {Object[]} actions - Receives the undo steps, in order
+ * @returns {Promise<boolean>} False if the issue no longer applies
+ */
+async function applyCleanupFix(issue, actions) {
+  if (!(await bookmarkExists(issue.folder.id))) return false
+  const [folder] = await chrome.bookmarks.getSubTree(issue.folder.id)
+
+  switch (issue.type) {
+    case StructureIssue.EMPTY:
+      if (countTreeBookmarks(folder) > 0) return false
+      actions.push(await removeWithUndoStep(folder.id))
+      return true
+
+    case StructureIssue.NESTED: {
+      const chain = getNestingChain(folder)
+      if (chain.length === 0) return false
+
+      const last = chain[chain.length - 1]
+      for (const child of last.children) {
+        actions.push(await moveWithUndoStep(child.id, folder.id))
+      }
+      actions.push(await removeWithUndoStep(chain[0].id))
+      redirectPanes((id) => chain.some((link) => link.id === id), folder.id)
+      return true
+    }
+
+    default: {
+      const name = issue.folders[0].title.trim().toLowerCase()
+      const [keep, ...others] = folder.children.filter(
+        (child) => !child.url && child.title.trim().toLowerCase() === name,
+      )
+      if (others.length === 0) return false
+
+      // Same-name subfolders are merged too, so no new pairs are left
+      // one level down. Nothing is dropped: duplicates keep both copies
+      for (const other of others) {
+        const [source] = await chrome.bookmarks.getSubTree(other.id)
+        await applyFolderMerge(source, keep.id, false, actions)
+      }
+      return true
+    }
+  }
+}
+
+// ============================================
+// Search
+// ============================================
+
+/**
+ * Where a pane search looks, relative to the pane's current folder
+ * @readonly
+ * @enum {string}
+ */
+const SearchScope = {
+  ALL: 'all',
+  SUBTREE: 'subtree',
+  FOLDER: 'folder',
+}
+
+/**
+ * Fuzzy search index, built on first search and kept current from
+ * bookmark events (see bookmark-search-index.js)
+ * @type {Object|null}
+ */
+let searchIndexState = null
+
+/**
+ * Bookmark events that update the search index, mapped to the event type
+ * applySearchIndexEvent() expects
+ * @type {Object<string, string>}
+ */
+const SEARCH_INDEX_EVENTS = {
+  onCreated: 'created',
+  onRemoved: 'removed',
+  onChanged: 'changed',
+  onMoved: 'moved',
+  onChildrenReordered: 'reordered',
+  onImportEnded: 'import-ended',
+}
+
+function setupSearch() {
+  Object.entries(SEARCH_INDEX_EVENTS).forEach(([event, type]) => {
+    chrome.bookmarks[event].addListener((id, info) => {
+      if (searchIndexState)
+        applySearchIndexEvent(searchIndexState, type, id, info)
+    })
+  })
+
+  document.querySelectorAll('.search-input').forEach((input) => {
+    let searchTimeout
+    const paneNum = parseInt(input.dataset.pane)
+
+    input.addEventListener('input', () => {
+      clearTimeout(searchTimeout)
+      searchTimeout = setTimeout(() => refreshSearch(paneNum), 300)
+    })
+  })
+
+  document.querySelectorAll('.search-regex-toggle').forEach((btn) => {
+    const paneNum = parseInt(btn.dataset.pane)
+    const fieldSelect = document.querySelector(
+      `.search-regex-field[data-pane="${paneNum}"]`,
+    )
+
+    btn.addEventListener('click', () => {
+      const paneState = state.panes[paneNum]
+      paneState.searchRegex = !paneState.searchRegex
+      btn.classList.toggle('active', paneState.searchRegex)
+      btn.setAttribute('aria-pressed', String(paneState.searchRegex))
+      fieldSelect.hidden = !paneState.searchRegex
+      refreshSearch(paneNum)
+    })
+
+    fieldSelect.addEventListener('change', () => {
+      state.panes[paneNum].searchRegexField = fieldSelect.value
+      refreshSearch(paneNum)
+    })
+  })
+
+  document.querySelectorAll('.search-scope').forEach((select) => {
+    const paneNum = parseInt(select.dataset.pane)
+    select.value = state.panes[paneNum].searchScope
+
+    select.addEventListener('change', () => {
+      state.panes[paneNum].searchScope = select.value
+      saveState()
+      refreshSearch(paneNum)
+    })
+  })
+
+  document.querySelectorAll('.search-group-toggle').forEach((btn) => {
+    const paneNum = parseInt(btn.dataset.pane)
+
+    btn.addEventListener('click', () => {
+      const paneState = state.panes[paneNum]
+      paneState.searchGroupByFolder = !paneState.searchGroupByFolder
+      btn.classList.toggle('active', paneState.searchGroupByFolder)
+      btn.setAttribute('aria-pressed', String(paneState.searchGroupByFolder))
+      if (paneState.searchResults) refreshSearch(paneNum)
+    })
+  })
+}
+
+/**
+ * Re-runs the pane's search for the current input, or shows the folder
+ * again when the query is too short. Any pattern counts in regex mode.
+ * @param {number} paneNum - Pane number
+ */
+function refreshSearch(paneNum) {
+  const paneState = state.panes[paneNum]
+  const input = document.querySelector(`.search-input[data-pane="${paneNum}"]`)
+  const query = paneState.searchRegex ? input.value : input.value.trim()
+
+  input.classList.remove('invalid')
+
+  if (query.length < (paneState.searchRegex ? 1 : 2)) {
+    loadPaneContent(paneNum)
+    return
+  }
+
+  performSearch(paneNum, query)
+}
+
+/**
+ * Converts regex match spans into title highlights. Each capture group
+ * gets its own color, drawn over the whole-match highlight.
+ * @param {Array<Array<[number, number]|undefined>>} groups - Spans from
+ *   searchIndexByRegex(), whole match first
+ * @returns {Map<number, string>} CSS classes keyed by character offset
+ */
+function getRegexHighlights(groups) {
+  const highlights = new Map()
+
+  groups.forEach((spans) => {
+    spans.forEach((span, group) => {
+      if (!span) return // Group did not participate
+      const className =
+        group === 0
+          ? 'search-highlight'
+          : `search-highlight search-group-${((group - 1) % 3) + 1}`
+      for (let i = span[0]; i < span[1]; i++) highlights.set(i, className)
+    })
+  })
+
+  return highlights
+}
+
+/**
+ * Formats folder titles as a breadcrumb, e.g. "Bookmarks bar › Work".
+ * @param {string[]} path - Folder titles, outermost first
+ * @returns {string}
+ */
+function formatBreadcrumb(path) {
+  return path.map((title) => title || 'Bookmarks').join(' › ')
+}
+
+/**
+ * Adds the folder path under a search result's label.
+ * @param {HTMLElement} item - Rendered content item
+ * @param {string[]} path - Folder titles, outermost first
+ */
+function appendResultPath(item, path) {
+  const breadcrumb = formatBreadcrumb(path)
+  const pathEl = document.createElement('div')
+  pathEl.className = 'content-item-path'
+  pathEl.textContent = breadcrumb
+  pathEl.title = breadcrumb
+  item.appendChild(pathEl)
+}
+
+/**
+ * Renders search results under a header per containing folder. Folders
+ * are ordered by their best result, and results keep their rank inside.
+ * @param {Array<{node: Object, path: string[], highlights: Map}>} matches
+ * @param {HTMLElement} content - Pane content element
+ */
+function renderGroupedSearchResults(matches, content) {
+  const groups = new Map()
+  matches.forEach((match) => {
+    const group = groups.get(match.node.parentId)
+    if (group) group.push(match)
+    else groups.set(match.node.parentId, [match])
+  })
+
+  groups.forEach((groupMatches, folderId) => {
+    const header = document.createElement('div')
+    header.className = 'search-folder-header'
+    header.dataset.folderId = folderId
+    header.textContent = `📁 ${formatBreadcrumb(groupMatches[0].path)}`
+    content.appendChild(header)
+
+    groupMatches.forEach((match) =>
+      renderContentItem(match.node, content, match.highlights),
+    )
+  })
+}
+
+/**
+ * Shows an item in its folder: navigates a pane there, selects the item
+ * and scrolls it into view.
+ * @param {number} paneNum - Pane to navigate
+ * @param {string} itemId - Bookmark or folder ID
+ * @returns {Promise<void>}
+ */
+async function revealItem(paneNum, itemId) {
+  const [node] = await chrome.bookmarks.get(itemId)
+
+  await navigatePane(paneNum, node.parentId)
+  setActivePane(paneNum)
+
+  const item = document.querySelector(
+    `.pane-content[data-pane="${paneNum}"] .content-item[data-id="${itemId}"]`,
+  )
+  if (item) {
+    selectItem(paneNum, item)
+    item.scrollIntoView({ block: 'nearest' })
+  }
+}
+
+/**
+ * Returns the search index, rebuilding it if events left it stale.
+ * @returns {Promise<Object>}
+ */
+async function getSearchIndex() {
+  if (!searchIndexState || searchIndexState.stale) {
+    searchIndexState = buildSearchIndex(await chrome.bookmarks.getTree())
+  }
+  return searchIndexState
+}
+
+/**
+ * Returns the index scope for a pane's search scope setting.
+ * @param {number} paneNum - Pane number
+ * @returns {{folderId: string, recursive: boolean}|undefined} Undefined
+ *   when searching everywhere
+ */
+function getPaneSearchScope(paneNum) {
+  const { searchScope, currentFolderId } = state.panes[paneNum]
+  if (searchScope === SearchScope.ALL || isSavedSearchId(currentFolderId)) {
+    return undefined
+  }
+  return {
+    folderId: currentFolderId,
+    recursive: searchScope === SearchScope.SUBTREE,
+  }
+}
+
+/**
+ * Runs a query against the search index.
+ * @param {string} query - Query, or a pattern in regex mode
+ * @param {{regex?: boolean, regexField?: string, scope?: Object}} [options]
+ * @returns {Promise<Array<{node: Object, path: string[], highlights: Map<number, string>}>>}
+ * @throws {Error} If the query or pattern is invalid
+ */
+async function runSearchQuery(query, options = {}) {
+  const index = await getSearchIndex()
+
+  if (options.regex) {
+    return searchIndexByRegex(
+      index,
+      query,
+      options.regexField,
+      options.scope,
+    ).map((match) => ({
+      node: match.node,
+      path: match.path,
+      highlights: getRegexHighlights(match.groups),
+    }))
+  }
+
+  return searchIndex(index, query, options.scope).map((match) => ({
+    node: match.node,
+    path: match.path,
+    highlights: new Map(match.highlights.map((i) => [i, 'search-highlight'])),
+  }))
+}
+
+async function performSearch(paneNum, query) {
+  const statusText = document.querySelector(
+    `.status-text[data-pane="${paneNum}"]`,
+  )
+
+  const paneState = state.panes[paneNum]
+  let matches
+  try {
+    matches = await runSearchQuery(query, {
+      regex: paneState.searchRegex,
+      regexField: paneState.searchRegexField,
+      scope: getPaneSearchScope(paneNum),
+    })
+  } catch (error) {
+    // Keep the previous results while the query is being fixed
+    document
+      .querySelector(`.search-input[data-pane="${paneNum}"]`)
+      .classList.add('invalid')
+    statusText.textContent = paneState.searchRegex
+      ? `Invalid pattern: ${error.message}`
+      : error.message
+    return
+  }
+
+  renderSearchResults(paneNum, matches, `No results for "${query}"`)
+  if (matches.length > 0) statusText.textContent = `Search: "${query}"`
+}
+
+/**
+ * Shows search matches in a pane, with their folder paths or grouped by
+ * folder depending on the pane's setting.
+ * @param {number} paneNum - Pane number
+ * @param {Array} matches - Matches from runSearchQuery()
+ * @param {string} emptyText - Message shown when there are no matches
+ */
+function renderSearchResults(paneNum, matches, emptyText) {
+  const paneState = state.panes[paneNum]
+  const content = document.querySelector(
+    `.pane-content[data-pane="${paneNum}"]`,
+  )
+
+  content.innerHTML = ''
+  paneState.searchResults = matches.map((match) => match.node)
+
+  if (matches.length === 0) {
+    content.innerHTML = `
+      <div class="empty-state">
+        <div class="empty-state-icon">🔍</div>
+        <div class="empty-state-text">${escapeHtml(emptyText)}</div>
+      </div>
+    `
+    updatePaneStatus(paneNum, 0)
+    updateViewSortControls(paneNum)
+    return
+  }
+
+  if (paneState.searchGroupByFolder) {
+    renderGroupedSearchResults(matches, content)
+  } else {
+    matches.forEach((match) => {
+      const item = renderContentItem(match.node, content, match.highlights)
+      appendResultPath(item, match.path)
+    })
+  }
+  updatePaneStatus(paneNum, matches.length)
+  updateViewSortControls(paneNum)
+}
+
+// ============================================
+// Saved Searches
+// ============================================
+
+/**
+ * Storage key for saved search definitions
+ * @type {string}
+ */
+const SAVED_SEARCHES_KEY = 'savedSearches'
+
+/**
+ * Sidebar ID of the "Saved Searches" node
+ * @type {string}
+ */
+const SAVED_SEARCHES_ROOT_ID = 'saved-searches'
+
+/**
+ * Prefix that marks a pane folder ID as a saved search
+ * @type {string}
+ */
+const SAVED_SEARCH_PREFIX = 'saved:'
+
+/**
+ * Saved search definitions, in creation order
+ * @type {Array<{id: string, name: string, query: string, regex: boolean, regexField: string, scope?: Object}>}
+ */
+let savedSearches = []
+
+async function loadSavedSearches() {
+  try {
+    const result = await chrome.storage.local.get([SAVED_SEARCHES_KEY])
+    savedSearches = result[SAVED_SEARCHES_KEY] || []
+  } catch (error) {
+    console.error('Failed to load saved searches:', error)
+  }
+}
+
+async function persistSavedSearches() {
+  await chrome.storage.local.set({ [SAVED_SEARCHES_KEY]: savedSearches })
+}
+
+/**
+ * Whether a folder ID refers to a saved search rather than a bookmark
+ * folder.
+ * @param {string} folderId
+ * @returns {boolean}
+ */
+function isSavedSearchId(folderId) {
+  return (
+    folderId === SAVED_SEARCHES_ROOT_ID ||
+    folderId.startsWith(SAVED_SEARCH_PREFIX)
+  )
+}
+
+/**
+ * Looks up the saved search shown under a pane folder ID.
+ * @param {string} folderId - Pane folder ID ("saved:<id>")
+ * @returns {Object|undefined}
+ */
+function getSavedSearch(folderId) {
+  return savedSearches.find(
+    (search) => SAVED_SEARCH_PREFIX + search.id === folderId,
+  )
+}
+
+/**
+ * Shows a toast and returns true when a pane shows a saved search, which
+ * cannot hold new items.
+ * @param {number} paneNum - Pane number
+ * @returns {boolean}
+ */
+function rejectSavedSearchTarget(paneNum) {
+  if (!isSavedSearchId(state.panes[paneNum].currentFolderId)) return false
+  showToast('Saved searches cannot hold new items', 'info')
+  return true
+}
+
+function setupSavedSearches() {
+  const dialog = document.getElementById('save-search-dialog')
+  const nameInput = document.getElementById('save-search-name')
+
+  document.querySelectorAll('.search-save').forEach((btn) => {
+    btn.addEventListener('click', () => {
+      const paneNum = parseInt(btn.dataset.pane)
+      const query = document.querySelector(
+        `.search-input[data-pane="${paneNum}"]`,
+      ).value
+
+      if (!query.trim()) {
+        showToast('Type a search to save first', 'info')
+        return
+      }
+
+      dialog.dataset.pane = paneNum
+      nameInput.value = query.trim()
+      showDialog(dialog)
+      nameInput.select()
+    })
+  })
+
+  document
+    .getElementById('save-search-ok')
+    .addEventListener('click', saveCurrentSearch)
+  document
+    .getElementById('save-search-cancel')
+    .addEventListener('click', () => hideDialog(dialog))
+  dialog
+    .querySelector('.dialog-close')
+    .addEventListener('click', () => hideDialog(dialog))
+  nameInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') saveCurrentSearch()
+  })
+
+  elements.folderTree.addEventListener('click', async (e) => {
+    const deleteBtn = e.target.closest('.saved-search-delete')
+    if (!deleteBtn) return
+
+    await deleteSavedSearch(deleteBtn.closest('.tree-item').dataset.id)
+  })
+}
+
+/**
+ * Saves the active pane's search as a smart folder and opens it.
+ * @returns {Promise<void>}
+ */
+async function saveCurrentSearch() {
+  const dialog = document.getElementById('save-search-dialog')
+  const paneNum = parseInt(dialog.dataset.pane)
+  const paneState = state.panes[paneNum]
+  const name = document.getElementById('save-search-name').value.trim()
+  const query = document.querySelector(
+    `.search-input[data-pane="${paneNum}"]`,
+  ).value
+
+  if (!name) return
+
+  const search = {
+    id: String(Date.now()),
+    name,
+    query: paneState.searchRegex ? query : query.trim(),
+    regex: paneState.searchRegex,
+    regexField: paneState.searchRegexField,
+    scope: getPaneSearchScope(paneNum),
+  }
+
+  hideDialog(dialog)
+
+  try {
+    savedSearches.push(search)
+    await persistSavedSearches()
+    state.expandedFolders.add(SAVED_SEARCHES_ROOT_ID)
+    saveState()
+    await loadFolderTree()
+    await navigatePane(paneNum, SAVED_SEARCH_PREFIX + search.id)
+    showToast(`Saved search "${name}"`, 'success')
+  } catch (error) {
+    console.error('Failed to save search:', error)
+    showToast('Failed to save search', 'error')
+  }
+}
+
+/**
+ * Deletes a saved search after confirmation. Panes showing it return to
+ * the Bookmarks bar.
+ * @param {string} folderId - Pane folder ID of the saved search
+ * @returns {Promise<void>}
+ */
+async function deleteSavedSearch(folderId) {
+  const search = getSavedSearch(folderId)
+  if (!search || !confirm(`Delete saved search "${search.name}"?`)) return
+
+  savedSearches = savedSearches.filter((s) => s !== search)
+  await persistSavedSearches()
+  await loadFolderTree()
+
+  for (const paneNum of [1, 2]) {
+    if (state.panes[paneNum].currentFolderId === folderId) {
+      await navigatePane(paneNum, '1')
+    }
+  }
+  showToast(`Deleted saved search "${search.name}"`, 'success')
+}
+
+/**
+ * Adds the "Saved Searches" node and its smart folders to the sidebar.
+ * @param {HTMLElement} container - Folder tree element
+ */
+function renderSavedSearchesNode(container) {
+  if (savedSearches.length === 0) return
+
+  const isExpanded = state.expandedFolders.has(SAVED_SEARCHES_ROOT_ID)
+  const root = document.createElement('div')
+  root.className = 'tree-item saved-search'
+  root.dataset.id = SAVED_SEARCHES_ROOT_ID
+  root.style.paddingLeft = '12px'
+  root.innerHTML = `
+    <span class="tree-toggle">${isExpanded ? '−' : '+'}</span>
+    <span class="tree-icon">🔎</span>
+    <span class="tree-label">Saved Searches</span>
+  `
+  container.appendChild(root)
+
+  const children = document.createElement('div')
+  children.className = `tree-children ${isExpanded ? 'expanded' : ''}`
+  children.dataset.parentId = SAVED_SEARCHES_ROOT_ID
+  container.appendChild(children)
+
+  if (!isExpanded) return
+
+  savedSearches.forEach((search) => {
+    const item = document.createElement('div')
+    item.className = 'tree-item saved-search'
+    item.dataset.id = SAVED_SEARCH_PREFIX + search.id
+    item.style.paddingLeft = '30px'
+    item.title = search.query
+    item.innerHTML = `
+      <span class="tree-toggle empty">+</span>
+      <span class="tree-icon">🔍</span>
+      <span class="tree-label">${escapeHtml(search.name)}</span>
+      <button class="saved-search-delete" title="Delete saved search">✕</button>
+    `
+    children.appendChild(item)
+  })
+}
+
+/**
+ * Runs a pane's saved search live and shows the results like a folder.
+ * @param {number} paneNum - Pane number
+ * @returns {Promise<void>}
+ */
+async function loadSavedSearch(paneNum) {
+  const search = getSavedSearch(state.panes[paneNum].currentFolderId)
+  const statusText = document.querySelector(
+    `.status-text[data-pane="${paneNum}"]`,
+  )
+
+  if (!search) {
+    renderSearchResults(paneNum, [], 'This saved search no longer exists')
+  } else {
+    try {
+      const matches = await runSearchQuery(search.query, search)
+      renderSearchResults(paneNum, matches, 'Nothing matches this search')
+      statusText.textContent = `Saved search: "${search.query}"`
+    } catch (error) {
+      renderSearchResults(paneNum, [], error.message)
+    }
+  }
+
+  await updatePanePath(paneNum)
+  updatePaneNavButtons(paneNum)
+}
+
+// ============================================
+// Command Palette
+// ============================================
+
+/**
+ * Most folders and bookmarks listed at once in the palette
+ * @type {number}
+ */
+const PALETTE_RESULT_LIMIT = 50
+
+/**
+ * Commands offered by the command palette, in display order.
+ * Add more with registerPaletteCommand().
+ * @type {Array<{id: string, title: string, icon: string, shortcut?: string, isAvailable?: function(Object): boolean, run: function(Object): *}>}
+ */
+const paletteCommands = []
+
+/**
+ * What the open palette is working on. context is handed to commands:
+ * the pane that was active and the item selected in it, if any.
+ * step is null at the top level, or the bookmark being acted on.
+ */
+const paletteState = {
+  context: { paneNum: 1, target: null },
+  step: null, // { type: 'bookmark'|'move', node }
+  entries: [],
+  activeIndex: 0,
+  requestId: 0,
+}
+
+/**
+ * Adds a command to the palette.
+ * @param {Object} command - Command definition
+ * @param {string} command.id - Unique ID
+ * @param {string} command.title - Text shown and matched against
+ * @param {string} command.icon - Emoji shown before the title
+ * @param {string} [command.shortcut] - Key hint shown after the title
+ * @param {function(Object): boolean} [command.isAvailable] - Hides the
+ *   command when it returns false for the palette context
+ * @param {function(Object): *} command.run - Runs the command with the
+ *   palette context ({paneNum, target})
+ */
+function registerPaletteCommand(command) {
+  paletteCommands.push(command)
+}
+
+/**
+ * Registers the built-in commands. Every pane toolbar and context menu
+ * action is listed; item actions apply to the selected item.
+ */
+function registerDefaultPaletteCommands() {
+  const isSplit = () => state.viewMode === 'split'
+  const hasTarget = ({ target }) => !!target
+  const isFolderTarget = ({ target }) => !!target && !target.url
+  const isBookmarkTarget = ({ target }) => !!target && !!target.url
+  const isSearchResultTarget = ({ paneNum, target }) =>
+    !!target && !!state.panes[paneNum].searchResults
+  const paneAction =
+    (action) =>
+    ({ paneNum }) =>
+      handlePaneAction(paneNum, action)
+  const contextAction =
+    (action) =>
+    ({ paneNum, target }) =>
+      handleContextAction(action, target?.id, paneNum)
+
+  const commands = [
+    { id: 'back', title: 'Go Back', icon: '⬅️', run: paneAction('back') },
+    {
+      id: 'forward',
+      title: 'Go Forward',
+      icon: '➡️',
+      run: paneAction('forward'),
+    },
+    {
+      id: 'up',
+      title: 'Go Up One Level',
+      icon: '⬆️',
+      shortcut: 'Backspace',
+      run: paneAction('up'),
+    },
+    {
+      id: 'refresh',
+      title: 'Refresh Pane',
+      icon: '🔄',
+      run: paneAction('refresh'),
+    },
+    {
+      id: 'undo',
+      title: 'Undo',
+      icon: '↩️',
+      shortcut: 'Ctrl+Z',
+      run: paneAction('undo'),
+    },
+    {
+      id: 'open',
+      title: 'Open Selected Item',
+      icon: '🔗',
+      isAvailable: hasTarget,
+      run: contextAction('open'),
+    },
+    {
+      id: 'open-new-tab',
+      title: 'Open Selected Bookmark in New Tab',
+      icon: '📑',
+      isAvailable: isBookmarkTarget,
+      run: contextAction('open-new-tab'),
+    },
+    {
+      id: 'open-other-pane',
+      title: 'Open Selected Folder in Other Pane',
+      icon: '↔️',
+      isAvailable: (context) => isSplit() && isFolderTarget(context),
+      run: contextAction('open-other-pane'),
+    },
+    {
+      id: 'open-containing-folder',
+      title: 'Open Containing Folder',
+      icon: '📂',
+      isAvailable: isSearchResultTarget,
+      run: contextAction('open-containing-folder'),
+    },
+    {
+      id: 'open-containing-folder-other-pane',
+      title: 'Open Containing Folder in Other Pane',
+      icon: '↔️',
+      isAvailable: (context) => isSplit() && isSearchResultTarget(context),
+      run: contextAction('open-containing-folder-other-pane'),
+    },
+    {
+      id: 'copy',
+      title: 'Copy Selected Items',
+      icon: '📋',
+      shortcut: 'Ctrl+C',
+      isAvailable: hasTarget,
+      run: contextAction('copy'),
+    },
+    {
+      id: 'paste',
+      title: 'Paste',
+      icon: '📥',
+      shortcut: 'Ctrl+V',
+      isAvailable: () => !!state.clipboard,
+      run: contextAction('paste'),
+    },
+    {
+      id: 'rename',
+      title: 'Rename Selected Item',
+      icon: '✏️',
+      shortcut: 'F2',
+      isAvailable: hasTarget,
+      run: contextAction('rename'),
+    },
+    {
+      id: 'delete',
+      title: 'Delete Selected Item',
+      icon: '🗑️',
+      shortcut: 'Del',
+      isAvailable: hasTarget,
+      run: contextAction('delete'),
+    },
+    {
+      id: 'new-folder',
+      title: 'New Folder',
+      icon: '📁',
+      run: paneAction('new-folder'),
+    },
+    {
+      id: 'new-bookmark',
+      title: 'New Bookmark',
+      icon: '🔖',
+      run: paneAction('new-bookmark'),
+    },
+    {
+      id: 'import',
+      title: 'Import Bookmarks...',
+      icon: '📂',
+      run: paneAction('import'),
+    },
+    {
+      id: 'export',
+      title: 'Export...',
+      icon: '📤',
+      run: paneAction('export'),
+    },
+    {
+      id: 'export-folder',
+      title: 'Export Selected Folder...',
+      icon: '📤',
+      isAvailable: isFolderTarget,
+      run: contextAction('export'),
+    },
+    {
+      id: 'sort',
+      title: 'Sort Folder...',
+      icon: '🔤',
+      run: ({ paneNum }) => handleContextAction('sort', null, paneNum),
+    },
+    {
+      id: 'toggle-split',
+      title: 'Toggle Split View',
+      icon: '◫',
+      run: () => setViewMode(isSplit() ? 'single' : 'split'),
+    },
+    {
+      id: 'switch-pane',
+      title: 'Switch to Other Pane',
+      icon: '⇄',
+      shortcut: 'Tab',
+      isAvailable: isSplit,
+      run: ({ paneNum }) => setActivePane(paneNum === 1 ? 2 : 1),
+    },
+    {
+      id: 'focus-search',
+      title: 'Search in Pane',
+      icon: '🔍',
+      run: ({ paneNum }) =>
+        document.querySelector(`.search-input[data-pane="${paneNum}"]`).focus(),
+    },
+    {
+      id: 'compare',
+      title: 'Compare with Snapshot...',
+      icon: '🔀',
+      run: () => showDiffDialog(),
+    },
+    {
+      id: 'settings',
+      title: 'Open Settings',
+      icon: '⚙️',
+      run: () => openSettings(),
+    },
+  ]
+
+  commands.forEach(registerPaletteCommand)
+}
+
+function setupCommandPalette() {
+  const dialog = document.getElementById('command-palette')
+  const input = document.getElementById('command-palette-input')
+  const list = document.getElementById('command-palette-list')
+
+  // Ctrl+K / Cmd+K works even while typing in a search box
+  document.addEventListener('keydown', (e) => {
+    if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k') {
+      e.preventDefault()
+      if (dialog.classList.contains('visible')) {
+        hideDialog(dialog)
+      } else {
+        openCommandPalette()
+      }
+    }
+  })
+
+  input.addEventListener('input', () => {
+    paletteState.activeIndex = 0
+    updatePaletteEntries()
+  })
+
+  input.addEventListener('keydown', (e) => {
+    const count = paletteState.entries.length
+
+    switch (e.key) {
+      case 'ArrowDown':
+        e.preventDefault()
+        if (count > 0)
+          setPaletteActiveIndex((paletteState.activeIndex + 1) % count)
+        break
+
+      case 'ArrowUp':
+        e.preventDefault()
+        if (count > 0) {
+          setPaletteActiveIndex((paletteState.activeIndex - 1 + count) % count)
+        }
+        break
+
+      case 'Enter':
+        e.preventDefault()
+        runPaletteEntry(paletteState.activeIndex)
+        break
+
+      case 'Escape':
+        e.preventDefault()
+        if (paletteState.step) {
+          setPaletteStep(null)
+        } else {
+          hideDialog(dialog)
+        }
+        break
 
-    // Push undo action
-    pushUndoAction({
-      type: 'create',
-      createdId: created.id,
-    })
+      case 'Backspace':
+        if (!input.value && paletteState.step) {
+          e.preventDefault()
+          setPaletteStep(null)
+        }
+        break
+    }
+  })
 
-    showToast('Bookmark created', 'success')
+  list.addEventListener('click', (e) => {
+    const item = e.target.closest('.command-palette-item')
+    if (item) runPaletteEntry(parseInt(item.dataset.index))
+  })
 
-    await loadPaneContent(paneNum)
-  } catch (error) {
-    showToast('Failed to create bookmark', 'error')
+  list.addEventListener('mousemove', (e) => {
+    const item = e.target.closest('.command-palette-item')
+    if (item) setPaletteActiveIndex(parseInt(item.dataset.index))
+  })
+}
+
+/**
+ * Opens the palette for the active pane and its selected item.
+ */
+async function openCommandPalette() {
+  const paneNum = state.activePane
+  const [targetId] = getSelectedIds(paneNum)
+  let target = null
+  if (targetId) {
+    try {
+      ;[target] = await chrome.bookmarks.get(targetId)
+    } catch {
+      // The selection was removed; offer only commands without a target
+    }
   }
 
-  hideDialog(dialog)
+  hideContextMenu()
+  paletteState.context = { paneNum, target }
+  setPaletteStep(null)
+  showDialog(document.getElementById('command-palette'))
 }
 
-// Delete
-async function deleteItem(id) {
-  const [node] = await chrome.bookmarks.get(id)
-  if (!node) return
+/**
+ * Switches the palette between the top level and a bookmark's actions.
+ * @param {{type: string, node: Object}|null} step - Step to show
+ */
+function setPaletteStep(step) {
+  const input = document.getElementById('command-palette-input')
+  const label = document.getElementById('command-palette-step')
+
+  paletteState.step = step
+  paletteState.activeIndex = 0
+  input.value = ''
+
+  if (!step) {
+    label.hidden = true
+    input.placeholder =
+      'Search commands, folders and bookmarks (start with > for commands)'
+  } else {
+    label.hidden = false
+    label.textContent =
+      step.type === 'move'
+        ? `Move "${step.node.title}" to...`
+        : `"${step.node.title}"`
+    input.placeholder =
+      step.type === 'move' ? 'Search folders' : 'Choose an action'
+  }
 
-  const isFolder = !node.url
-  const message = isFolder
-    ? `Delete folder "${node.title}" and all its contents?`
-    : `Delete bookmark "${node.title}"?`
+  input.focus()
+  updatePaletteEntries()
+}
 
-  if (!confirm(message)) return
+/**
+ * Rebuilds the palette list for the current step and query.
+ * @returns {Promise<void>}
+ */
+async function updatePaletteEntries() {
+  const requestId = ++paletteState.requestId
+  const query = document.getElementById('command-palette-input').value.trim()
+  const { step } = paletteState
+  let entries
+
+  if (step?.type === 'bookmark') {
+    entries = filterPaletteEntries(getPaletteBookmarkActions(step.node), query)
+  } else if (step?.type === 'move') {
+    entries = await getPaletteFolderEntries(query, (folder) =>
+      moveItemToFolder(step.node.id, folder.id),
+    )
+  } else if (query.startsWith('>')) {
+    entries = getPaletteCommandEntries(query.slice(1).trim())
+  } else {
+    entries = getPaletteCommandEntries(query)
+    if (query) entries = entries.concat(await getPaletteTreeEntries(query))
+  }
 
-  try {
-    // Capture full data before deletion for undo
-    const fullData = await captureBookmarkTree(id)
-    const parentId = node.parentId
-    const index = node.index
+  // A newer keystroke has already started another update
+  if (requestId !== paletteState.requestId) return
 
-    if (isFolder) {
-      await chrome.bookmarks.removeTree(id)
-    } else {
-      await chrome.bookmarks.remove(id)
-    }
+  paletteState.entries = entries
+  paletteState.activeIndex = Math.min(
+    paletteState.activeIndex,
+    Math.max(entries.length - 1, 0),
+  )
+  renderPaletteEntries()
+}
 
-    // Push undo action
-    pushUndoAction({
-      type: 'delete',
-      data: fullData,
-      parentId: parentId,
-      index: index,
+/**
+ * Keeps entries whose title fuzzy-matches the query, best first.
+ * @param {Object[]} entries - Palette entries
+ * @param {string} query - Text typed in the palette
+ * @returns {Object[]} Entries with highlights set
+ */
+function filterPaletteEntries(entries, query) {
+  if (!query) return entries
+
+  const pattern = query.toLowerCase()
+  return entries
+    .map((entry) => {
+      const match = fuzzyMatch(pattern, entry.title.toLowerCase(), true)
+      return match && { ...entry, score: match.score, indices: match.indices }
     })
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score)
+    .map(({ score, indices, ...entry }) => ({
+      ...entry,
+      highlights: new Map(indices.map((i) => [i, 'search-highlight'])),
+    }))
+}
 
-    showToast('Deleted successfully', 'success')
+/**
+ * Lists the commands available in the palette context.
+ * @param {string} query - Text typed in the palette
+ * @returns {Object[]} Palette entries
+ */
+function getPaletteCommandEntries(query) {
+  const { context } = paletteState
+  const entries = paletteCommands
+    .filter((command) => !command.isAvailable || command.isAvailable(context))
+    .map((command) => ({
+      icon: command.icon,
+      title: command.title,
+      detail: command.shortcut || '',
+      run: () => command.run(context),
+    }))
+
+  return filterPaletteEntries(entries, query)
+}
 
-    await loadPaneContent(1)
-    if (state.viewMode === 'split') await loadPaneContent(2)
-    await loadFolderTree()
-  } catch (error) {
-    showToast('Failed to delete', 'error')
+/**
+ * Lists folders and bookmarks matching the query, ranked like a search.
+ * Folders open in the active pane; bookmarks lead to their actions.
+ * @param {string} query - Search query
+ * @returns {Promise<Object[]>} Palette entries
+ */
+async function getPaletteTreeEntries(query) {
+  let matches
+  try {
+    matches = await runSearchQuery(query)
+  } catch {
+    return [] // Half-typed operators; commands still show
   }
+
+  const roots = await getPaletteRootEntries(query, (folder) =>
+    navigatePane(paletteState.context.paneNum, folder.id),
+  )
+  const items = matches
+    .slice(0, PALETTE_RESULT_LIMIT)
+    .map(({ node, path, highlights }) => ({
+      icon: node.url ? '🔖' : '📁',
+      title: node.title || node.url,
+      detail: formatBreadcrumb(path),
+      highlights,
+      run: node.url
+        ? () => setPaletteStep({ type: 'bookmark', node })
+        : () => navigatePane(paletteState.context.paneNum, node.id),
+      keepOpen: !!node.url,
+    }))
+
+  return roots.concat(items)
 }
 
-// ============================================
-// Search
-// ============================================
-function setupSearch() {
-  document.querySelectorAll('.search-input').forEach((input) => {
-    let searchTimeout
-    const paneNum = parseInt(input.dataset.pane)
+/**
+ * Lists folders matching the query, for picking a destination.
+ * @param {string} query - Search query
+ * @param {function(Object): *} onPick - Called with the chosen folder
+ * @returns {Promise<Object[]>} Palette entries
+ */
+async function getPaletteFolderEntries(query, onPick) {
+  const roots = await getPaletteRootEntries(query, onPick)
+  if (!query) return roots
 
-    input.addEventListener('input', (e) => {
-      clearTimeout(searchTimeout)
-      const query = e.target.value.trim()
+  let matches
+  try {
+    matches = await runSearchQuery(query)
+  } catch {
+    return roots
+  }
 
-      if (query.length < 2) {
-        loadPaneContent(paneNum)
-        return
-      }
+  const folders = matches
+    .filter(({ node }) => !node.url)
+    .slice(0, PALETTE_RESULT_LIMIT)
+    .map(({ node, path, highlights }) => ({
+      icon: '📁',
+      title: node.title,
+      detail: formatBreadcrumb(path),
+      highlights,
+      run: () => onPick(node),
+    }))
+
+  return roots.concat(folders)
+}
 
-      searchTimeout = setTimeout(() => performSearch(paneNum, query), 300)
-    })
-  })
+/**
+ * Lists the fixed root folders (Bookmarks bar, ...), which searches skip.
+ * @param {string} query - Text typed in the palette
+ * @param {function(Object): *} onPick - Called with the chosen folder
+ * @returns {Promise<Object[]>} Palette entries
+ */
+async function getPaletteRootEntries(query, onPick) {
+  const [tree] = await chrome.bookmarks.getTree()
+  const entries = tree.children.map((root) => ({
+    icon: getFolderIcon(root.id),
+    title: root.title,
+    detail: '',
+    run: () => onPick(root),
+  }))
+
+  return filterPaletteEntries(entries, query)
 }
 
-async function performSearch(paneNum, query) {
-  const content = document.querySelector(
-    `.pane-content[data-pane="${paneNum}"]`,
-  )
-  const allResults = await chrome.bookmarks.search(query)
-  // Filter to only match titles, not URLs
-  const queryLower = query.toLowerCase()
-  const results = allResults.filter(
-    (node) => node.title && node.title.toLowerCase().includes(queryLower),
-  )
+/**
+ * Lists what can be done with a bookmark picked in the palette.
+ * @param {Object} node - Bookmark
+ * @returns {Object[]} Palette entries
+ */
+function getPaletteBookmarkActions(node) {
+  const { paneNum } = paletteState.context
+  const otherPane = paneNum === 1 ? 2 : 1
+  const actions = [
+    {
+      icon: '🔗',
+      title: 'Open',
+      run: () => chrome.tabs.update({ url: node.url }),
+    },
+    {
+      icon: '📑',
+      title: 'Open in New Tab',
+      run: () => chrome.tabs.create({ url: node.url }),
+    },
+    {
+      icon: '📂',
+      title: 'Reveal in Folder',
+      run: () => revealItem(paneNum, node.id),
+    },
+    state.viewMode === 'split' && {
+      icon: '↔️',
+      title: 'Reveal in Other Pane',
+      run: () => revealItem(otherPane, node.id),
+    },
+    {
+      icon: '📦',
+      title: 'Move to Folder...',
+      run: () => setPaletteStep({ type: 'move', node }),
+      keepOpen: true,
+    },
+    {
+      icon: '📋',
+      title: 'Copy',
+      run: () => copyItems(paneNum, [node.id]),
+    },
+    {
+      icon: '✏️',
+      title: 'Rename',
+      run: () => showRenameDialog(node.id),
+    },
+    {
+      icon: '🗑️',
+      title: 'Delete',
+      run: () => deleteItem(node.id),
+    },
+  ]
 
-  content.innerHTML = ''
+  return actions.filter(Boolean).map((action) => ({ detail: '', ...action }))
+}
 
-  if (results.length === 0) {
-    content.innerHTML = `
-      <div class="empty-state">
-        <div class="empty-state-icon">🔍</div>
-        <div class="empty-state-text">No results for "${escapeHtml(query)}"</div>
-      </div>
-    `
-    updatePaneStatus(paneNum, 0)
+function renderPaletteEntries() {
+  const list = document.getElementById('command-palette-list')
+  list.innerHTML = ''
+
+  if (paletteState.entries.length === 0) {
+    list.innerHTML = '<div class="command-palette-empty">No matches</div>'
     return
   }
 
-  results.forEach((node) => renderContentItem(node, content))
-  updatePaneStatus(paneNum, results.length)
+  paletteState.entries.forEach((entry, i) => {
+    const item = document.createElement('div')
+    item.className = 'command-palette-item'
+    item.classList.toggle('active', i === paletteState.activeIndex)
+    item.dataset.index = i
+    item.setAttribute('role', 'option')
+    item.innerHTML = `
+      <span class="command-palette-icon">${entry.icon}</span>
+      <span class="command-palette-title">${highlightText(entry.title, entry.highlights || new Map())}</span>
+      <span class="command-palette-detail">${escapeHtml(entry.detail)}</span>
+    `
+    list.appendChild(item)
+  })
+}
+
+/**
+ * Moves the keyboard highlight to another entry.
+ * @param {number} index - Entry index
+ */
+function setPaletteActiveIndex(index) {
+  paletteState.activeIndex = index
+
+  document
+    .querySelectorAll('#command-palette-list .command-palette-item')
+    .forEach((item) => {
+      const isActive = parseInt(item.dataset.index) === index
+      item.classList.toggle('active', isActive)
+      if (isActive) item.scrollIntoView({ block: 'nearest' })
+    })
+}
+
+/**
+ * Runs an entry, closing the palette unless the entry opens another step.
+ * @param {number} index - Entry index
+ * @returns {Promise<void>}
+ */
+async function runPaletteEntry(index) {
+  const entry = paletteState.entries[index]
+  if (!entry) return
+
+  if (!entry.keepOpen) {
+    hideDialog(document.getElementById('command-palette'))
+  }
+
+  try {
+    await entry.run()
+  } catch (error) {
+    showToast('Command failed', 'error')
+    console.error('Command palette action failed:', error)
+  }
+}
+
+/**
+ * Moves an item into a folder as one undoable step.
+ * @param {string} itemId - Bookmark or folder ID
+ * @param {string} folderId - Destination folder ID
+ * @returns {Promise<void>}
+ */
+async function moveItemToFolder(itemId, folderId) {
+  try {
+    pushUndoAction(await moveWithUndoStep(itemId, folderId))
 
-  const statusText = document.querySelector(
-    `.status-text[data-pane="${paneNum}"]`,
-  )
-  statusText.textContent = `Search: "${query}"`
+    showToast('Item moved successfully', 'success')
+    await loadPaneContent(1)
+    if (state.viewMode === 'split') {
+      await loadPaneContent(2)
+    }
+    await loadFolderTree()
+  } catch (error) {
+    showToast('Failed to move item', 'error')
+    console.error('Move failed:', error)
+  }
 }
 
 // ============================================
@@ -1700,16 +6082,13 @@ function setupKeyboardShortcuts() {
     if (
       (e.ctrlKey || e.metaKey) &&
       e.key === 'c' &&
-      paneState.selectedItems.size === 1
+      paneState.selectedItems.size > 0
     ) {
-      const firstSelected = paneState.selectedItems.values().next().value
-      handleContextAction('copy', firstSelected, paneNum)
+      e.preventDefault()
+      copyItems(paneNum, getSelectedIds(paneNum))
     }
 
-    // Ctrl+V Paste
-    if ((e.ctrlKey || e.metaKey) && e.key === 'v' && state.clipboard) {
-      pasteItem(paneNum)
-    }
+    // Ctrl+V Paste is handled by the paste event (setupSystemPaste)
 
     // Tab - switch panes in split mode
     if (e.key === 'Tab' && state.viewMode === 'split') {
@@ -1830,13 +6209,16 @@ async function captureBookmarkTree(id) {
 }
 
 /**
- * Restores a bookmark tree recursively.
+ * Restores a bookmark tree recursively. Callers wrap it in
+ * expectOwnBookmarks() so auto-filing leaves the bookmarks alone.
  * @param {Object} node - Bookmark tree node to restore
  * @param {string} parentId - Parent folder ID
  * @param {number} index - Position index
+ * @param {Function} [onCreated] - Called after each node is created,
+ *   with the created node and the node it was restored from
  * @returns {Promise<Object>} Created bookmark
  */
-async function restoreBookmarkTree(node, parentId, index) {
+async function restoreBookmarkTree(node, parentId, index, onCreated) {
   const createData = {
     parentId,
     title: node.title,
@@ -1849,11 +6231,12 @@ async function restoreBookmarkTree(node, parentId, index) {
   }
 
   const created = await chrome.bookmarks.create(createData)
+  if (onCreated) onCreated(created, node)
 
   // If folder with children, restore children recursively
   if (node.children && node.children.length > 0) {
     for (let i = 0; i < node.children.length; i++) {
-      await restoreBookmarkTree(node.children[i], created.id, i)
+      await restoreBookmarkTree(node.children[i], created.id, i, onCreated)
     }
   }
 
@@ -1904,60 +6287,14 @@ async function performUndo() {
   updateUndoButtons()
 
   try {
-    switch (action.type) {
-      case 'delete':
-        // Restore deleted bookmark/folder
-        await restoreBookmarkTree(action.data, action.parentId, action.index)
-        showToast(`Restored "${action.data.title}"`, 'success')
-        break
-
-      case 'move':
-        // Move item back to original location
-        await chrome.bookmarks.move(action.itemId, {
-          parentId: action.originalParentId,
-          index: action.originalIndex,
-        })
-        showToast('Move undone', 'success')
-        break
-
-      case 'rename':
-        // Restore original title
-        await chrome.bookmarks.update(action.itemId, {
-          title: action.originalTitle,
-        })
-        showToast('Rename undone', 'success')
-        break
-
-      case 'create':
-        // Delete the created item
-        const [node] = await chrome.bookmarks.get(action.createdId)
-        if (node) {
-          if (node.url) {
-            await chrome.bookmarks.remove(action.createdId)
-          } else {
-            await chrome.bookmarks.removeTree(action.createdId)
-          }
-        }
-        showToast('Creation undone', 'success')
-        break
-
-      case 'paste':
-        // Delete the pasted item
-        const [pastedNode] = await chrome.bookmarks.get(action.createdId)
-        if (pastedNode) {
-          if (pastedNode.url) {
-            await chrome.bookmarks.remove(action.createdId)
-          } else {
-            await chrome.bookmarks.removeTree(action.createdId)
-          }
-        }
-        showToast('Paste undone', 'success')
-        break
-
-      default:
-        showToast('Unknown action type', 'error')
-        return
+    const message = await expectOwnBookmarks(getUndoRestoredNodes(action), () =>
+      revertUndoAction(action),
+    )
+    if (!message) {
+      showToast('Unknown action type', 'error')
+      return
     }
+    showToast(message, 'success')
 
     // Refresh UI
     await loadPaneContent(1)
@@ -1971,6 +6308,198 @@ async function performUndo() {
   }
 }
 
+/**
+ * Lists the items an undo action recreates.
+ * @param {Object} action - Action from the undo stack
+ * @returns {Object[]} Captured trees of the deleted items
+ */
+function getUndoRestoredNodes(action) {
+  if (action.type === 'delete') return [action.data]
+  if (action.type === 'batch') {
+    return action.actions.flatMap(getUndoRestoredNodes)
+  }
+  return []
+}
+
+/**
+ * Reverses one undo action in the bookmark tree.
+ * @param {Object} action - Action from the undo stack
+ * @param {Map<string, string>} [restoredIds] - Old to new IDs of items
+ *   recreated by earlier steps of the same batch; steps that refer to
+ *   them use the new IDs
+ * @returns {Promise<string|null>} Message for the toast, or null if the
+ *   action type is unknown
+ */
+async function revertUndoAction(action, restoredIds = new Map()) {
+  const resolve = (id) => restoredIds.get(id) || id
+
+  switch (action.type) {
+    case 'delete':
+      // Restore deleted bookmark/folder
+      await restoreBookmarkTree(
+        action.data,
+        resolve(action.parentId),
+        action.index,
+        (created, node) => restoredIds.set(node.id, created.id),
+      )
+      return `Restored "${action.data.title}"`
+
+    case 'move':
+      // Move item back to original location
+      await chrome.bookmarks.move(resolve(action.itemId), {
+        parentId: resolve(action.originalParentId),
+        index: action.originalIndex,
+      })
+      return 'Move undone'
+
+    case 'rename':
+      // Restore original title
+      await chrome.bookmarks.update(resolve(action.itemId), {
+        title: action.originalTitle,
+      })
+      return 'Rename undone'
+
+    case 'update-url':
+      // Restore original URL
+      await chrome.bookmarks.update(resolve(action.itemId), {
+        url: action.originalUrl,
+      })
+      return 'URL change undone'
+
+    case 'create':
+      // Delete the created item
+      await removeBookmarkItems([action.createdId])
+      return 'Creation undone'
+
+    case 'paste':
+      // Delete the pasted items
+      await removeBookmarkItems(action.createdIds)
+      return 'Paste undone'
+
+    case 'import':
+      // Remove everything the import created at the top level
+      await removeBookmarkItems(action.createdIds)
+      return 'Import undone'
+
+    case 'reorder':
+      // Put the children back in their recorded order
+      await applyChildOrder(action.parentId, action.childIds)
+      return 'Order restored'
+
+    case 'batch':
+      // Steps were recorded in the order they happened
+      for (const step of [...action.actions].reverse()) {
+        await revertUndoAction(step, restoredIds)
+      }
+      return `${action.label} undone`
+
+    default:
+      return null
+  }
+}
+
+/**
+ * Removes an item and returns the 'delete' action that restores it, for
+ * operations that record several steps as one 'batch' undo action.
+ * @param {string} id - Bookmark or folder ID
+ * @returns {Promise<Object>} Undo action
+ */
+async function removeWithUndoStep(id) {
+  const [node] = await chrome.bookmarks.get(id)
+  const data = await captureBookmarkTree(id)
+
+  if (node.url) {
+    await chrome.bookmarks.remove(id)
+  } else {
+    await chrome.bookmarks.removeTree(id)
+  }
+
+  return { type: 'delete', data, parentId: node.parentId, index: node.index }
+}
+
+/**
+ * Points panes (and their history) away from folders that no longer
+ * exist, e.g. a folder recreated by undo or merged into another one.
+ * @param {Function} isRemoved - Tests a folder ID
+ * @param {string} replacementId - Folder to show instead
+ */
+function redirectPanes(isRemoved, replacementId) {
+  for (const paneNum of [1, 2]) {
+    const paneState = state.panes[paneNum]
+    if (isRemoved(paneState.currentFolderId)) {
+      paneState.currentFolderId = replacementId
+      paneState.selectedItems.clear()
+    }
+    paneState.history = paneState.history.map((id) =>
+      isRemoved(id) ? replacementId : id,
+    )
+  }
+}
+
+/**
+ * Moves an item to a folder and returns the 'move' action that puts it
+ * back.
+ * @param {string} id - Bookmark or folder ID
+ * @param {string} parentId - Destination folder ID
+ * @param {number} [index] - Position in the folder; the end if omitted
+ * @returns {Promise<Object>} Undo action
+ */
+async function moveWithUndoStep(id, parentId, index) {
+  const [node] = await chrome.bookmarks.get(id)
+  await chrome.bookmarks.move(
+    id,
+    index === undefined ? { parentId } : { parentId, index },
+  )
+
+  return {
+    type: 'move',
+    itemId: id,
+    originalParentId: node.parentId,
+    originalIndex: node.index,
+  }
+}
+
+/**
+ * Puts a folder's children into the given order. IDs no longer in the
+ * folder are ignored; children missing from the list keep their
+ * relative order after the listed ones.
+ * @param {string} parentId - Folder ID
+ * @param {string[]} orderedIds - Child IDs in the wanted order
+ * @returns {Promise<void>}
+ */
+async function applyChildOrder(parentId, orderedIds) {
+  const current = (await chrome.bookmarks.getChildren(parentId)).map(
+    (child) => child.id,
+  )
+  const wanted = orderedIds.filter((id) => current.includes(id))
+
+  for (let i = 0; i < wanted.length; i++) {
+    const from = current.indexOf(wanted[i])
+    if (from === i) continue
+
+    // Items only ever move towards the front, where Chrome's index is exact
+    await chrome.bookmarks.move(wanted[i], { parentId, index: i })
+    current.splice(from, 1)
+    current.splice(i, 0, wanted[i])
+  }
+}
+
+/**
+ * Removes bookmarks and folders (with their contents) by ID.
+ * @param {string[]} ids - Item IDs
+ * @returns {Promise<void>}
+ */
+async function removeBookmarkItems(ids) {
+  for (const id of ids) {
+    const [node] = await chrome.bookmarks.get(id)
+    if (node.url) {
+      await chrome.bookmarks.remove(id)
+    } else {
+      await chrome.bookmarks.removeTree(id)
+    }
+  }
+}
+
 // ============================================
 // Utilities
 // ============================================
@@ -1145,11 +1145,13 @@ async function confirmNewBookmark() {
   if (!title || !url) return
 
   try {
-    const created = await chrome.bookmarks.create({
+    const createData = {
       parentId: state.currentFolderId,
       title: title,
       url: url,
-    })
+    }
+    await expectOwnBookmark(createData)
+    const created = await chrome.bookmarks.create(createData)
 
     // Push undo action
     pushUndoAction({
@@ -1229,17 +1231,18 @@ function setupSearch() {
 }
 
 async function performSearch(query) {
+  let results
+  try {
+    results = searchBookmarkTree(await chrome.bookmarks.getTree(), query)
+  } catch (error) {
+    elements.statusText.textContent = error.message
+    return
+  }
+
   state.searchMode = true
   elements.contentView.innerHTML = ''
   elements.contentView.classList.add('search-results')
 
-  const allResults = await chrome.bookmarks.search(query)
-  // Filter to only match titles, not URLs
-  const queryLower = query.toLowerCase()
-  const results = allResults.filter(
-    (node) => node.title && node.title.toLowerCase().includes(queryLower),
-  )
-
   if (results.length === 0) {
     elements.contentView.innerHTML = `
       <div class="empty-state">
@@ -1336,7 +1339,8 @@ async function captureBookmarkTree(id) {
 }
 
 /**
- * Restores a bookmark tree recursively.
+ * Restores a bookmark tree recursively. Callers wrap it in
+ * expectOwnBookmarks() so auto-filing leaves the bookmarks alone.
  * @param {Object} node - Bookmark tree node to restore
  * @param {string} parentId - Parent folder ID
  * @param {number} index - Position index
@@ -1416,7 +1420,9 @@ async function performUndo() {
     switch (action.type) {
       case 'delete':
         // Restore deleted bookmark/folder
-        await restoreBookmarkTree(action.data, action.parentId, action.index)
+        await expectOwnBookmarks([action.data], () =>
+          restoreBookmarkTree(action.data, action.parentId, action.index),
+        )
         elements.statusText.textContent = `Restored "${action.data.title}"`
         break
 
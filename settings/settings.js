@@ -1,6 +1,7 @@
 /**
  * Settings page logic for Bookmark XP Explorer
- * Manages user preferences for default view mode and theme
+ * Manages user preferences for default view mode and theme,
+ * full bookmark backup/restore and auto-filing rules
  */
 
 /** @type {HTMLInputElement} */
@@ -12,6 +13,24 @@ let saveStatus
 /** @type {NodeListOf<HTMLInputElement>} */
 let themeRadios
 
+/**
+ * Backup document loaded from the restore file input
+ * @type {Object|null}
+ */
+let pendingBackup = null
+
+/**
+ * Auto-filing rules being edited, in priority order
+ * @type {Object[]}
+ */
+let filingRules = []
+
+/**
+ * Folders a rule can file into, with their full paths
+ * @type {Array<{id: string, path: string}>}
+ */
+let filingFolders = []
+
 /**
  * Storage key for the default view mode preference
  * @type {string}
@@ -133,6 +152,453 @@ async function handleThemeChange(event) {
   }
 }
 
+/**
+ * Downloads a backup of the whole bookmark tree as JSON.
+ * @returns {Promise<void>}
+ */
+async function handleBackup() {
+  try {
+    const tree = await chrome.bookmarks.getTree()
+    const backup = createBookmarkBackup(tree)
+    const { bookmarks, folders } = countBackupNodes(backup.roots)
+    const stamp = backup.createdAt.slice(0, 10)
+
+    downloadFile(
+      `bookmarks-backup-${stamp}.json`,
+      JSON.stringify(backup, null, 2),
+      'application/json',
+    )
+    showSaveStatus(
+      `✓ Backed up ${bookmarks} bookmarks in ${folders} folders`,
+      'success',
+    )
+  } catch (error) {
+    console.error('Failed to back up bookmarks:', error)
+    showSaveStatus('✕ Failed to back up bookmarks', 'error')
+  }
+}
+
+/**
+ * Fills the "replace" folder picker with the current root folders.
+ * @returns {Promise<void>}
+ */
+async function loadRestoreRoots() {
+  const select = document.getElementById('restore-root')
+  const tree = await chrome.bookmarks.getTree()
+
+  select.innerHTML = ''
+  tree[0].children.forEach((root) => {
+    const option = document.createElement('option')
+    option.value = root.id
+    option.textContent = root.title
+    select.appendChild(option)
+  })
+}
+
+/**
+ * Reads and validates the chosen backup file, then shows its summary.
+ * @param {Event} event - The change event from the file input
+ * @returns {Promise<void>}
+ */
+async function handleRestoreFileChange(event) {
+  const summary = document.getElementById('restore-summary')
+  const restoreBtn = document.getElementById('restore-bookmarks')
+  const file = event.target.files[0]
+
+  pendingBackup = null
+  restoreBtn.disabled = true
+  summary.textContent = ''
+
+  if (!file) return
+
+  try {
+    pendingBackup = parseBookmarkBackup(await file.text())
+    const { bookmarks, folders } = countBackupNodes(pendingBackup.roots)
+    const created = new Date(pendingBackup.createdAt).toLocaleString()
+    summary.textContent = `Backup from ${created}: ${bookmarks} bookmarks in ${folders} folders`
+    restoreBtn.disabled = false
+  } catch (error) {
+    summary.textContent = error.message
+    showSaveStatus('✕ Could not read backup file', 'error')
+  }
+}
+
+/**
+ * Restores the loaded backup using the selected mode.
+ * "merge" copies every backup root into a new folder in Other Bookmarks;
+ * "replace" swaps the contents of one root folder for its backup copy.
+ * @returns {Promise<void>}
+ */
+async function handleRestore() {
+  if (!pendingBackup) return
+
+  const mode = document.querySelector(
+    'input[name="restore-mode"]:checked',
+  ).value
+  const restoreBtn = document.getElementById('restore-bookmarks')
+  restoreBtn.disabled = true
+
+  try {
+    if (mode === 'replace') {
+      const rootId = document.getElementById('restore-root').value
+      const restored = await replaceRootFromBackup(pendingBackup, rootId)
+      if (restored) {
+        showSaveStatus('✓ Folder restored from backup', 'success')
+      }
+    } else {
+      await mergeBackupIntoNewFolder(pendingBackup)
+      showSaveStatus('✓ Backup restored into a new folder', 'success')
+    }
+  } catch (error) {
+    console.error('Failed to restore backup:', error)
+    showSaveStatus('✕ Restore failed', 'error')
+  }
+
+  restoreBtn.disabled = false
+}
+
+/**
+ * Recreates every backup root as a subfolder of a new dated folder
+ * in Other Bookmarks, leaving existing bookmarks untouched.
+ * @param {Object} backup - Backup document
+ * @returns {Promise<void>}
+ */
+async function mergeBackupIntoNewFolder(backup) {
+  const stamp = backup.createdAt.slice(0, 10)
+  const container = await chrome.bookmarks.create({
+    parentId: '2',
+    title: `Restored backup ${stamp}`,
+  })
+
+  for (const root of backup.roots) {
+    const folder = await chrome.bookmarks.create({
+      parentId: container.id,
+      title: root.title,
+    })
+    await restoreBackupNodes(root.children, folder.id)
+  }
+}
+
+/**
+ * Replaces the contents of a root folder with its copy from the backup.
+ * Roots are matched by ID, falling back to title. The copy is built in
+ * a temporary folder first, so the current contents are only removed
+ * once it is complete.
+ * @param {Object} backup - Backup document
+ * @param {string} rootId - Root folder to replace
+ * @returns {Promise<boolean>} False if the user cancelled
+ */
+async function replaceRootFromBackup(backup, rootId) {
+  const [root] = await chrome.bookmarks.getSubTree(rootId)
+  const source =
+    backup.roots.find((r) => r.id === rootId) ||
+    backup.roots.find((r) => r.title === root.title)
+
+  if (!source) {
+    throw new Error(`Backup has no copy of "${root.title}"`)
+  }
+
+  const message = `Replace all ${root.children.length} items in "${root.title}" with the backup copy? This cannot be undone.`
+  if (!confirm(message)) return false
+
+  const staging = await chrome.bookmarks.create({
+    parentId: rootId,
+    title: `Restoring ${source.title}`,
+  })
+
+  let restoredIds
+  try {
+    restoredIds = await restoreBackupNodes(source.children, staging.id)
+  } catch (error) {
+    await chrome.bookmarks.removeTree(staging.id)
+    throw error
+  }
+
+  for (const child of root.children) {
+    if (child.url) {
+      await chrome.bookmarks.remove(child.id)
+    } else {
+      await chrome.bookmarks.removeTree(child.id)
+    }
+  }
+
+  for (let i = 0; i < restoredIds.length; i++) {
+    await chrome.bookmarks.move(restoredIds[i], { parentId: rootId, index: i })
+  }
+  await chrome.bookmarks.remove(staging.id)
+  return true
+}
+
+/**
+ * Lists every folder with its path, e.g. "Bookmarks bar › Work".
+ * @returns {Promise<Array<{id: string, path: string}>>}
+ */
+async function listFilingFolders() {
+  const folders = []
+
+  const visit = (node, parentPath) => {
+    if (node.url) return
+    const path = parentPath ? `${parentPath} › ${node.title}` : node.title
+    folders.push({ id: node.id, path })
+    node.children.forEach((child) => visit(child, path))
+  }
+  const [root] = await chrome.bookmarks.getTree()
+  root.children.forEach((child) => visit(child, ''))
+
+  return folders
+}
+
+/**
+ * Loads the rules and folders, then shows the rules and the log.
+ * @returns {Promise<void>}
+ */
+async function loadFilingSettings() {
+  filingFolders = await listFilingFolders()
+  filingRules = await loadFilingRules()
+  renderFilingRules()
+  await renderFilingLog()
+}
+
+/**
+ * Shows one editable row per rule.
+ * @returns {void}
+ */
+function renderFilingRules() {
+  const container = document.getElementById('filing-rules')
+  container.innerHTML = ''
+
+  if (filingRules.length === 0) {
+    container.innerHTML =
+      '<p class="backup-summary">No rules yet. New bookmarks stay where Chrome puts them.</p>'
+    return
+  }
+
+  filingRules.forEach((rule, index) => {
+    container.appendChild(createFilingRuleRow(rule, index))
+  })
+}
+
+/**
+ * Builds the editor row for a rule.
+ * @param {Object} rule - Filing rule
+ * @param {number} index - Position in the rule list
+ * @returns {HTMLElement}
+ */
+function createFilingRuleRow(rule, index) {
+  const row = document.createElement('div')
+  row.className = 'filing-rule'
+  row.dataset.index = index
+  row.innerHTML = `
+    <div class="filing-rule-line">
+      <input type="checkbox" class="filing-enabled" aria-label="Rule enabled" />
+      <select class="filing-type" aria-label="Match on"></select>
+      <input type="text" class="filing-input filing-pattern" aria-label="Pattern" />
+      <button class="filing-rule-btn" data-action="up" title="Check this rule earlier">↑</button>
+      <button class="filing-rule-btn" data-action="delete" title="Delete rule">✕</button>
+    </div>
+    <div class="filing-rule-line">
+      <span class="filing-arrow">→</span>
+      <select class="filing-folder" aria-label="Target folder"></select>
+    </div>
+    <div class="filing-rule-line">
+      <span class="filing-arrow">✎</span>
+      <input type="text" class="filing-input filing-title-find" placeholder="Title rewrite: find (regex, optional)" aria-label="Title text to find" />
+      <input type="text" class="filing-input filing-title-replace" placeholder="Replace with" aria-label="Replacement title text" />
+    </div>
+    <p class="filing-error"></p>
+  `
+
+  const typeSelect = row.querySelector('.filing-type')
+  Object.entries(FILING_RULE_LABELS).forEach(([value, label]) => {
+    typeSelect.appendChild(new Option(label, value))
+  })
+
+  const folderSelect = row.querySelector('.filing-folder')
+  folderSelect.appendChild(new Option('Choose a folder…', ''))
+  filingFolders.forEach((folder) => {
+    folderSelect.appendChild(new Option(folder.path, folder.id))
+  })
+
+  row.querySelector('.filing-enabled').checked = rule.enabled
+  typeSelect.value = rule.type
+  row.querySelector('.filing-pattern').value = rule.pattern
+  row.querySelector('.filing-pattern').placeholder = getPatternPlaceholder(
+    rule.type,
+  )
+  folderSelect.value = rule.folderId
+  row.querySelector('.filing-title-find').value = rule.titleFind || ''
+  row.querySelector('.filing-title-replace').value = rule.titleReplace || ''
+  row.querySelector('[data-action="up"]').disabled = index === 0
+  showFilingRuleError(row, rule)
+
+  return row
+}
+
+/**
+ * Example pattern for a rule type.
+ * @param {string} type - A FilingRuleType value
+ * @returns {string}
+ */
+function getPatternPlaceholder(type) {
+  switch (type) {
+    case FilingRuleType.DOMAIN:
+      return 'github.com'
+    case FilingRuleType.TITLE:
+      return 'recipe|cooking'
+    default:
+      return 'docs.google.com/*'
+  }
+}
+
+/**
+ * Shows a rule's validation problem under its row.
+ * @param {HTMLElement} row - Rule row
+ * @param {Object} rule - Filing rule
+ * @returns {void}
+ */
+function showFilingRuleError(row, rule) {
+  const error = validateFilingRule(rule)
+  row.classList.toggle('invalid', !!error)
+  row.querySelector('.filing-error').textContent = error
+    ? `${error}. This rule is skipped until it is fixed.`
+    : ''
+}
+
+/**
+ * Saves an edited rule row.
+ * @param {Event} event - Change event from inside a rule row
+ * @returns {Promise<void>}
+ */
+async function handleFilingRuleChange(event) {
+  const row = event.target.closest('.filing-rule')
+  if (!row) return
+
+  const rule = filingRules[parseInt(row.dataset.index)]
+  rule.enabled = row.querySelector('.filing-enabled').checked
+  rule.type = row.querySelector('.filing-type').value
+  rule.pattern = row.querySelector('.filing-pattern').value.trim()
+  rule.folderId = row.querySelector('.filing-folder').value
+  rule.titleFind = row.querySelector('.filing-title-find').value
+  rule.titleReplace = row.querySelector('.filing-title-replace').value
+
+  row.querySelector('.filing-pattern').placeholder = getPatternPlaceholder(
+    rule.type,
+  )
+  showFilingRuleError(row, rule)
+  await saveFilingRules()
+}
+
+/**
+ * Moves a rule up or deletes it.
+ * @param {Event} event - Click event from inside the rule list
+ * @returns {Promise<void>}
+ */
+async function handleFilingRuleClick(event) {
+  const button = event.target.closest('.filing-rule-btn')
+  if (!button) return
+
+  const index = parseInt(button.closest('.filing-rule').dataset.index)
+  if (button.dataset.action === 'delete') {
+    filingRules.splice(index, 1)
+  } else if (index > 0) {
+    const [rule] = filingRules.splice(index, 1)
+    filingRules.splice(index - 1, 0, rule)
+  }
+
+  renderFilingRules()
+  await saveFilingRules()
+}
+
+/**
+ * Adds an empty rule at the end of the list.
+ * @returns {void}
+ */
+function handleAddFilingRule() {
+  filingRules.push({
+    id: String(Date.now()),
+    enabled: true,
+    type: FilingRuleType.DOMAIN,
+    pattern: '',
+    folderId: '',
+    titleFind: '',
+    titleReplace: '',
+  })
+  renderFilingRules()
+  document.querySelector('.filing-rule:last-child .filing-pattern').focus()
+}
+
+/**
+ * Stores the rules; the service worker reads them for each new bookmark.
+ * @returns {Promise<void>}
+ */
+async function saveFilingRules() {
+  try {
+    await chrome.storage.local.set({ [FILING_RULES_KEY]: filingRules })
+    showSaveStatus('✓ Filing rules saved', 'success')
+  } catch (error) {
+    console.error('Failed to save filing rules:', error)
+    showSaveStatus('✕ Failed to save filing rules', 'error')
+  }
+}
+
+/**
+ * Shows which rule would file the test URL and title, and how.
+ * @returns {void}
+ */
+function handleFilingTest() {
+  const result = document.getElementById('filing-test-result')
+  const bookmark = {
+    url: document.getElementById('filing-test-url').value.trim(),
+    title: document.getElementById('filing-test-title').value.trim(),
+  }
+
+  const rule = findFilingRule(filingRules, bookmark)
+  if (!rule) {
+    result.textContent = 'No rule matches; the bookmark would stay put.'
+    return
+  }
+
+  const position = filingRules.indexOf(rule) + 1
+  const folder = filingFolders.find((f) => f.id === rule.folderId)
+  const title = rewriteFilingTitle(rule, bookmark.title)
+  result.textContent = `Rule ${position} (${describeFilingRule(rule)}) files it into ${folder ? folder.path : 'a missing folder'}${title !== bookmark.title ? ` as "${title}"` : ''}.`
+}
+
+/**
+ * Lists the latest filing log entries.
+ * @returns {Promise<void>}
+ */
+async function renderFilingLog() {
+  const list = document.getElementById('filing-log')
+  const log = await loadFilingLog()
+
+  list.innerHTML = ''
+  if (log.length === 0) {
+    list.innerHTML = '<li class="backup-summary">Nothing filed yet.</li>'
+    return
+  }
+
+  log.forEach((entry) => {
+    const item = document.createElement('li')
+    item.className = entry.error ? 'filing-log-entry error' : 'filing-log-entry'
+    const outcome = entry.error
+      ? `failed: ${entry.error}`
+      : `→ ${entry.folderTitle}`
+    item.textContent = `${new Date(entry.time).toLocaleString()} — "${entry.title}" ${outcome} (${entry.rule})`
+    item.title = entry.url
+    list.appendChild(item)
+  })
+}
+
+/**
+ * Empties the filing log.
+ * @returns {Promise<void>}
+ */
+async function handleClearFilingLog() {
+  await chrome.storage.local.remove(FILING_LOG_KEY)
+  await renderFilingLog()
+}
+
 /**
  * Initializes the settings page by loading current preferences
  * and setting up event listeners.
@@ -180,6 +646,43 @@ async function init() {
     radio.addEventListener('change', handleThemeChange)
   })
 
+  // Backup & restore
+  document
+    .getElementById('backup-bookmarks')
+    .addEventListener('click', handleBackup)
+  document
+    .getElementById('restore-file-input')
+    .addEventListener('change', handleRestoreFileChange)
+  document
+    .getElementById('restore-bookmarks')
+    .addEventListener('click', handleRestore)
+  document.getElementById('browse-snapshots').addEventListener('click', () => {
+    chrome.tabs.create({
+      url: chrome.runtime.getURL('snapshots/snapshots.html'),
+    })
+  })
+  loadRestoreRoots().catch((error) =>
+    console.error('Failed to load bookmark roots:', error),
+  )
+
+  // Auto-filing rules
+  const filingRulesList = document.getElementById('filing-rules')
+  filingRulesList.addEventListener('change', handleFilingRuleChange)
+  filingRulesList.addEventListener('click', handleFilingRuleClick)
+  document
+    .getElementById('add-filing-rule')
+    .addEventListener('click', handleAddFilingRule)
+  document
+    .getElementById('filing-test-run')
+    .addEventListener('click', handleFilingTest)
+  document
+    .getElementById('clear-filing-log')
+    .addEventListener('click', handleClearFilingLog)
+  chrome.storage.onChanged.addListener((changes, namespace) => {
+    if (namespace === 'local' && changes[FILING_LOG_KEY]) renderFilingLog()
+  })
+  loadFilingSettings()
+
   // Load version from manifest
   loadVersion()
 }
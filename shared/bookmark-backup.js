@@ -0,0 +1,156 @@
+/**
+ * Bookmark XP Explorer - Backup Format
+ * Shared by extension pages and the service worker
+ *
+ * A backup is a versioned JSON document holding a copy of the whole
+ * bookmark tree: titles, URLs, dateAdded and ordering (array order).
+ */
+
+/**
+ * Identifies backup files written by this extension
+ * @type {string}
+ */
+const BACKUP_FORMAT = 'bookmark-xp-explorer-backup'
+
+/**
+ * Current backup format version.
+ * Bump when the document shape changes and keep reading older versions.
+ * @type {number}
+ */
+const BACKUP_VERSION = 1
+
+/**
+ * Creates a backup document from the result of chrome.bookmarks.getTree().
+ * @param {chrome.bookmarks.BookmarkTreeNode[]} tree - Full bookmark tree
+ * @returns {{format: string, version: number, createdAt: string, roots: Object[]}}
+ */
+function createBookmarkBackup(tree) {
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    createdAt: new Date().toISOString(),
+    roots: (tree[0].children || []).map(serializeBackupNode),
+  }
+}
+
+/**
+ * Copies the fields worth keeping from a bookmark tree node.
+ * IDs are kept so backups can be compared against the live tree.
+ * @param {chrome.bookmarks.BookmarkTreeNode} node - Bookmark tree node
+ * @returns {Object} Serialized node
+ */
+function serializeBackupNode(node) {
+  const serialized = {
+    id: node.id,
+    title: node.title || '',
+    dateAdded: node.dateAdded || 0,
+  }
+
+  if (node.url) {
+    serialized.url = node.url
+  } else {
+    serialized.children = (node.children || []).map(serializeBackupNode)
+  }
+
+  return serialized
+}
+
+/**
+ * Parses and validates backup JSON.
+ * @param {string} text - File content
+ * @returns {Object} Backup document
+ * @throws {Error} If the content is not a supported backup
+ */
+function parseBookmarkBackup(text) {
+  let backup
+  try {
+    backup = JSON.parse(text)
+  } catch {
+    throw new Error('File is not valid JSON')
+  }
+
+  if (!backup || backup.format !== BACKUP_FORMAT) {
+    throw new Error('File is not a Bookmark XP Explorer backup')
+  }
+  if (typeof backup.version !== 'number' || backup.version > BACKUP_VERSION) {
+    throw new Error(`Unsupported backup version: ${backup.version}`)
+  }
+  if (!Array.isArray(backup.roots) || !backup.roots.every(isValidBackupNode)) {
+    throw new Error('Backup contains invalid bookmark data')
+  }
+
+  return backup
+}
+
+/**
+ * Checks that a serialized node (and its children) has a usable shape.
+ * @param {Object} node - Serialized node
+ * @returns {boolean}
+ */
+function isValidBackupNode(node) {
+  if (!node || typeof node.title !== 'string') return false
+  if (node.url !== undefined) return typeof node.url === 'string'
+  return Array.isArray(node.children) && node.children.every(isValidBackupNode)
+}
+
+/**
+ * Counts bookmarks and folders in a list of serialized nodes.
+ * @param {Object[]} nodes - Serialized nodes
+ * @returns {{bookmarks: number, folders: number}}
+ */
+function countBackupNodes(nodes) {
+  const counts = { bookmarks: 0, folders: 0 }
+
+  const visit = (node) => {
+    if (node.url) {
+      counts.bookmarks++
+    } else {
+      counts.folders++
+      node.children.forEach(visit)
+    }
+  }
+  nodes.forEach(visit)
+
+  return counts
+}
+
+/**
+ * Recreates serialized nodes under a parent folder, in order.
+ * Auto-filing skips them so the bookmarks stay where they are restored
+ * (needs bookmark-filing.js).
+ * @param {Object[]} nodes - Serialized nodes
+ * @param {string} parentId - Folder that receives the nodes
+ * @param {Function} [onCreated] - Called after each node is created
+ * @returns {Promise<string[]>} IDs of the created top-level nodes
+ */
+async function restoreBackupNodes(nodes, parentId, onCreated) {
+  return expectOwnBookmarks(nodes, () =>
+    createBackupNodes(nodes, parentId, onCreated),
+  )
+}
+
+/**
+ * Creates serialized nodes under a parent folder, in order.
+ * @param {Object[]} nodes - Serialized nodes
+ * @param {string} parentId - Folder that receives the nodes
+ * @param {Function} [onCreated] - Called after each node is created
+ * @returns {Promise<string[]>} IDs of the created top-level nodes
+ */
+async function createBackupNodes(nodes, parentId, onCreated) {
+  const createdIds = []
+
+  for (const node of nodes) {
+    const createData = { parentId, title: node.title }
+    if (node.url) createData.url = node.url
+
+    const created = await chrome.bookmarks.create(createData)
+    if (onCreated) onCreated(created)
+    createdIds.push(created.id)
+
+    if (node.children && node.children.length > 0) {
+      await createBackupNodes(node.children, created.id, onCreated)
+    }
+  }
+
+  return createdIds
+}
@@ -0,0 +1,131 @@
+/**
+ * Bookmark XP Explorer - Folder Cleanup
+ * Shared by extension pages
+ *
+ * Finds folder structures that only get in the way:
+ *
+ *   empty      - folders with no bookmarks anywhere inside them
+ *   nested     - folders whose only content is another folder
+ *   same-name  - sibling folders with the same name
+ *
+ * Only the outermost folder of an empty or nested chain is reported,
+ * since fixing it fixes everything below. Root folders (Bookmarks bar,
+ * Other bookmarks, ...) are never reported themselves.
+ */
+
+/**
+ * Kinds of issue reported by findStructureIssues()
+ * @readonly
+ * @enum {string}
+ */
+const StructureIssue = {
+  EMPTY: 'empty',
+  NESTED: 'nested',
+  SAME_NAME: 'same-name',
+}
+
+/**
+ * Lists structure issues in tree order.
+ * @param {Object[]} roots - Tree from chrome.bookmarks.getTree()
+ * @returns {Array<{type: string, folder: Object, path: string[], depth: number, chain?: Object[], folders?: Object[]}>}
+ *   folder is the folder to fix (the parent, for same-name groups); path
+ *   holds the titles of its ancestors. Nested issues list the chain of
+ *   single folders below it; same-name issues list the sibling folders,
+ *   first one first.
+ */
+function findStructureIssues(roots) {
+  const issues = []
+
+  const visit = (folder, path, depth) => {
+    const isRoot = depth < 2
+
+    if (!isRoot && countTreeBookmarks(folder) === 0) {
+      issues.push({ type: StructureIssue.EMPTY, folder, path, depth })
+      return // Deleting it removes every folder inside
+    }
+
+    // Below a nesting chain, carry on from its last folder
+    let contents = folder
+    let contentsPath = path
+    let contentsDepth = depth
+    const chain = isRoot ? [] : getNestingChain(folder)
+    if (chain.length > 0) {
+      issues.push({ type: StructureIssue.NESTED, folder, path, depth, chain })
+      contents = chain[chain.length - 1]
+      contentsPath = [
+        ...path,
+        folder.title,
+        ...chain.slice(0, -1).map((f) => f.title),
+      ]
+      contentsDepth = depth + chain.length
+    }
+
+    findSameNameFolders(contents).forEach((folders) => {
+      issues.push({
+        type: StructureIssue.SAME_NAME,
+        folder: contents,
+        path: contentsPath,
+        depth: contentsDepth,
+        folders,
+      })
+    })
+
+    const childPath =
+      contentsDepth > 0 ? [...contentsPath, contents.title] : contentsPath
+    for (const child of contents.children || []) {
+      if (!child.url) visit(child, childPath, contentsDepth + 1)
+    }
+  }
+
+  roots.forEach((root) => visit(root, [], 0))
+  return issues
+}
+
+/**
+ * Counts the bookmarks anywhere inside a folder.
+ * @param {Object} folder - Folder with children
+ * @returns {number}
+ */
+function countTreeBookmarks(folder) {
+  return (folder.children || []).reduce(
+    (sum, child) => sum + (child.url ? 1 : countTreeBookmarks(child)),
+    0,
+  )
+}
+
+/**
+ * Follows a folder down while each level holds exactly one folder and
+ * nothing else.
+ * @param {Object} folder - Folder with children
+ * @returns {Object[]} The single folders, outermost first; empty when
+ *   the folder is not needlessly nested
+ */
+function getNestingChain(folder) {
+  const chain = []
+  let current = folder
+
+  while (current.children?.length === 1 && !current.children[0].url) {
+    current = current.children[0]
+    chain.push(current)
+  }
+  return chain
+}
+
+/**
+ * Groups a folder's subfolders that share a name, ignoring case and
+ * surrounding spaces.
+ * @param {Object} folder - Folder with children
+ * @returns {Object[][]} Groups of two or more, in sibling order
+ */
+function findSameNameFolders(folder) {
+  const byName = new Map()
+
+  for (const child of folder.children || []) {
+    if (child.url) continue
+    const name = child.title.trim().toLowerCase()
+    if (!byName.has(name)) byName.set(name, [])
+    byName.get(name).push(child)
+  }
+
+  return [...byName.values()].filter((folders) => folders.length > 1)
+}
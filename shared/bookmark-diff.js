@@ -0,0 +1,157 @@
+/**
+ * Bookmark XP Explorer - Tree Diff
+ * Shared by extension pages
+ *
+ * Compares two bookmark trees in backup format (see bookmark-backup.js).
+ * Items are matched by bookmark ID, which Chrome keeps stable for the
+ * lifetime of a profile.
+ */
+
+/**
+ * Kinds of change reported by diffBookmarkTrees()
+ * @readonly
+ * @enum {string}
+ */
+const ChangeType = {
+  ADDED: 'added',
+  REMOVED: 'removed',
+  MOVED: 'moved',
+  RENAMED: 'renamed',
+  URL_CHANGED: 'url-changed',
+}
+
+/**
+ * Lists what changed between two trees.
+ * Added and removed folders are reported once, not once per descendant.
+ * Reordering inside the same folder is not reported as a move.
+ * @param {Object[]} oldRoots - Roots of the earlier tree
+ * @param {Object[]} newRoots - Roots of the later tree
+ * @returns {Array<{type: string, id: string, node: Object, before?: string, after?: string, oldParentId?: string, oldIndex?: number, oldPath: string, newPath: string, count: number}>}
+ */
+function diffBookmarkTrees(oldRoots, newRoots) {
+  const oldIndex = indexBookmarkTree(oldRoots)
+  const newIndex = indexBookmarkTree(newRoots)
+  const changes = []
+
+  const visitOld = (node) => {
+    if (!newIndex.nodes.has(node.id)) {
+      changes.push({
+        type: ChangeType.REMOVED,
+        id: node.id,
+        node,
+        oldParentId: oldIndex.parents.get(node.id),
+        oldIndex: oldIndex.positions.get(node.id),
+        oldPath: getBookmarkPath(oldIndex, node.id),
+        newPath: '',
+        count: countDescendants(node),
+      })
+      return // Descendants are removed with it
+    }
+
+    const current = newIndex.nodes.get(node.id)
+    const oldPath = getBookmarkPath(oldIndex, node.id)
+    const newPath = getBookmarkPath(newIndex, node.id)
+    const base = { id: node.id, node: current, oldPath, newPath, count: 0 }
+
+    if (oldIndex.parents.get(node.id) !== newIndex.parents.get(node.id)) {
+      changes.push({
+        ...base,
+        type: ChangeType.MOVED,
+        oldParentId: oldIndex.parents.get(node.id),
+        oldIndex: oldIndex.positions.get(node.id),
+        before: oldPath,
+        after: newPath,
+      })
+    }
+    if (node.title !== current.title) {
+      changes.push({
+        ...base,
+        type: ChangeType.RENAMED,
+        before: node.title,
+        after: current.title,
+      })
+    }
+    if (node.url && current.url && node.url !== current.url) {
+      changes.push({
+        ...base,
+        type: ChangeType.URL_CHANGED,
+        before: node.url,
+        after: current.url,
+      })
+    }
+
+    ;(node.children || []).forEach(visitOld)
+  }
+
+  const visitNew = (node) => {
+    if (!oldIndex.nodes.has(node.id)) {
+      changes.push({
+        type: ChangeType.ADDED,
+        id: node.id,
+        node,
+        oldPath: '',
+        newPath: getBookmarkPath(newIndex, node.id),
+        count: countDescendants(node),
+      })
+      return // Descendants were added with it
+    }
+    ;(node.children || []).forEach(visitNew)
+  }
+
+  // Roots always exist on both sides; compare their contents
+  oldRoots.forEach((root) => (root.children || []).forEach(visitOld))
+  newRoots.forEach((root) => (root.children || []).forEach(visitNew))
+
+  return changes
+}
+
+/**
+ * Builds ID lookups for a tree.
+ * @param {Object[]} roots - Tree roots
+ * @returns {{nodes: Map<string, Object>, parents: Map<string, string>, positions: Map<string, number>}}
+ */
+function indexBookmarkTree(roots) {
+  const nodes = new Map()
+  const parents = new Map()
+  const positions = new Map()
+
+  const visit = (node, parentId, position) => {
+    nodes.set(node.id, node)
+    parents.set(node.id, parentId)
+    positions.set(node.id, position)
+    ;(node.children || []).forEach((child, i) => visit(child, node.id, i))
+  }
+  roots.forEach((root, i) => visit(root, '0', i))
+
+  return { nodes, parents, positions }
+}
+
+/**
+ * Returns the folder path of an item, e.g. "Bookmarks bar / Work".
+ * @param {{nodes: Map, parents: Map}} index - Tree index
+ * @param {string} id - Item ID
+ * @returns {string}
+ */
+function getBookmarkPath(index, id) {
+  const parts = []
+  let parentId = index.parents.get(id)
+
+  while (parentId && parentId !== '0') {
+    parts.unshift(index.nodes.get(parentId).title)
+    parentId = index.parents.get(parentId)
+  }
+
+  return parts.join(' / ')
+}
+
+/**
+ * Counts the items inside a folder (0 for bookmarks).
+ * @param {Object} node - Serialized node
+ * @returns {number}
+ */
+function countDescendants(node) {
+  return (node.children || []).reduce(
+    (sum, child) => sum + 1 + countDescendants(child),
+    0,
+  )
+}
@@ -0,0 +1,101 @@
+/**
+ * Bookmark XP Explorer - Duplicate Finder
+ * Shared by extension pages
+ *
+ * Groups bookmarks whose URLs are equal once normalized. Each kind of
+ * normalization can be turned off, for sites where the scheme or a
+ * trailing slash really does lead to a different page.
+ */
+
+/**
+ * URL differences ignored by default when comparing bookmarks
+ * @type {{ignoreScheme: boolean, ignoreWww: boolean, ignoreTrailingSlash: boolean, ignoreFragment: boolean, ignoreTrackingParams: boolean}}
+ */
+const DEFAULT_URL_NORMALIZATION = {
+  ignoreScheme: true,
+  ignoreWww: true,
+  ignoreTrailingSlash: true,
+  ignoreFragment: true,
+  ignoreTrackingParams: true,
+}
+
+/**
+ * Query parameters that only record where a click came from
+ * @type {RegExp}
+ */
+const TRACKING_PARAM_PATTERN =
+  /^(utm_\w+|fbclid|gclid|dclid|msclkid|yclid|igshid|mc_cid|mc_eid|_ga|_hsenc|_hsmi|ref_src)$/i
+
+/**
+ * Reduces a URL to the key used to compare bookmarks.
+ * Hostnames are always compared case-insensitively.
+ * @param {string} url - Bookmark URL
+ * @param {Object} [options] - Which differences to ignore, as in
+ *   DEFAULT_URL_NORMALIZATION
+ * @returns {string} Comparison key; unparseable URLs are returned as is
+ */
+function normalizeBookmarkUrl(url, options = DEFAULT_URL_NORMALIZATION) {
+  let parsed
+  try {
+    parsed = new URL(url)
+  } catch {
+    return url.trim()
+  }
+
+  if (options.ignoreTrackingParams) {
+    // Deleting re-encodes the rest of the query, so only delete on a match
+    ;[...parsed.searchParams.keys()]
+      .filter((name) => TRACKING_PARAM_PATTERN.test(name))
+      .forEach((name) => parsed.searchParams.delete(name))
+  }
+  if (options.ignoreFragment) {
+    parsed.hash = ''
+  }
+
+  const scheme =
+    options.ignoreScheme && /^https?:$/.test(parsed.protocol)
+      ? ''
+      : parsed.protocol
+  const host = options.ignoreWww
+    ? parsed.host.replace(/^www\./, '')
+    : parsed.host
+  const pathname = options.ignoreTrailingSlash
+    ? parsed.pathname.replace(/\/+$/, '')
+    : parsed.pathname
+
+  return `${scheme}//${host}${pathname}${parsed.search}${parsed.hash}`
+}
+
+/**
+ * Finds bookmarks that share a normalized URL.
+ * @param {Object[]} roots - Tree from chrome.bookmarks.getTree()
+ * @param {Object} [options] - Normalization options
+ * @returns {Array<{key: string, items: Array<{node: Object, path: string[]}>}>}
+ *   Groups of two or more, in tree order of their first bookmark; items
+ *   within a group run from oldest to newest
+ */
+function findDuplicateBookmarks(roots, options = DEFAULT_URL_NORMALIZATION) {
+  const groups = new Map()
+
+  const visit = (node, path) => {
+    if (node.url) {
+      const key = normalizeBookmarkUrl(node.url, options)
+      if (!groups.has(key)) groups.set(key, [])
+      groups.get(key).push({ node, path })
+    }
+    if (node.children) {
+      const childPath = node.id === '0' ? path : [...path, node.title]
+      node.children.forEach((child) => visit(child, childPath))
+    }
+  }
+  roots.forEach((root) => visit(root, []))
+
+  return [...groups]
+    .filter(([, items]) => items.length > 1)
+    .map(([key, items]) => ({
+      key,
+      items: items.sort(
+        (a, b) => (a.node.dateAdded || 0) - (b.node.dateAdded || 0),
+      ),
+    }))
+}
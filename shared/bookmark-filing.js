@@ -0,0 +1,373 @@
+/**
+ * Bookmark XP Explorer - Auto-Filing Rules
+ * Shared by extension pages and the service worker
+ *
+ * Rules file new bookmarks into a folder when their URL, domain or title
+ * matches. The service worker applies the first enabled rule that
+ * matches each bookmark created in Chrome and logs what it did.
+ *
+ * Bookmarks created by this extension's own pages (new bookmark dialog,
+ * paste, import, undo, restore) are never filed: those pages call
+ * expectOwnBookmark() before a single write, or expectOwnBookmarks()
+ * around a restore or import. Bookmarks the user creates in Chrome at
+ * the same time are still filed.
+ */
+
+/**
+ * Storage key for the rule list, in priority order
+ * @type {string}
+ */
+const FILING_RULES_KEY = 'filingRules'
+
+/**
+ * Storage key for the filing log (newest first)
+ * @type {string}
+ */
+const FILING_LOG_KEY = 'filingLog'
+
+/**
+ * Number of log entries kept
+ * @type {number}
+ */
+const FILING_LOG_MAX_COUNT = 50
+
+/**
+ * Prefix of the session storage keys listing the bookmarks each page is
+ * about to create
+ * @type {string}
+ */
+const FILING_OWN_KEY_PREFIX = 'filingOwn:'
+
+/**
+ * How long an expectOwnBookmark() entry is honoured (ms). Covers
+ * bookmark events that arrive after the write has finished.
+ * @type {number}
+ */
+const FILING_OWN_MS = 5000
+
+/**
+ * Longest an expectOwnBookmarks() entry is honoured while its writes
+ * are still running (ms), in case the page closes halfway
+ * @type {number}
+ */
+const FILING_OWN_BATCH_MS = 10 * 60 * 1000
+
+/**
+ * How long isOwnBookmark() reuses the entries it read (ms), so a restore
+ * of many bookmarks is not one storage read per bookmark
+ * @type {number}
+ */
+const FILING_OWN_CACHE_MS = 1000
+
+/**
+ * What a rule matches against
+ * @readonly
+ * @enum {string}
+ */
+const FilingRuleType = {
+  URL: 'url',
+  DOMAIN: 'domain',
+  TITLE: 'title',
+}
+
+/**
+ * Rule type names shown in the settings page and the log
+ * @type {Object<string, string>}
+ */
+const FILING_RULE_LABELS = {
+  [FilingRuleType.URL]: 'URL',
+  [FilingRuleType.DOMAIN]: 'Domain',
+  [FilingRuleType.TITLE]: 'Title',
+}
+
+/**
+ * Loads the saved rules.
+ * @returns {Promise<Array<{id: string, enabled: boolean, type: string, pattern: string, folderId: string, titleFind?: string, titleReplace?: string}>>}
+ */
+async function loadFilingRules() {
+  const result = await chrome.storage.local.get(FILING_RULES_KEY)
+  return result[FILING_RULES_KEY] || []
+}
+
+/**
+ * Loads the filing log, newest first.
+ * @returns {Promise<Array<{time: number, bookmarkId: string, title: string, url: string, rule: string, folderTitle?: string, error?: string}>>}
+ */
+async function loadFilingLog() {
+  const result = await chrome.storage.local.get(FILING_LOG_KEY)
+  return result[FILING_LOG_KEY] || []
+}
+
+/**
+ * Pending log writes; each append waits for the one before it
+ * @type {Promise<void>}
+ */
+let filingLogWrites = Promise.resolve()
+
+/**
+ * Adds an entry to the filing log, dropping the oldest past the limit.
+ * Appends run one at a time, so entries logged close together are not
+ * lost to overlapping read-and-write cycles.
+ * @param {Object} entry - Log entry
+ * @returns {Promise<void>}
+ */
+function appendFilingLog(entry) {
+  const write = filingLogWrites.then(async () => {
+    const log = await loadFilingLog()
+    await chrome.storage.local.set({
+      [FILING_LOG_KEY]: [entry, ...log].slice(0, FILING_LOG_MAX_COUNT),
+    })
+  })
+  // A failed write must not block the ones after it
+  filingLogWrites = write.catch(() => {})
+  return write
+}
+
+/**
+ * Describes a rule in one line, e.g. 'Domain "github.com"'.
+ * @param {Object} rule - Filing rule
+ * @returns {string}
+ */
+function describeFilingRule(rule) {
+  return `${FILING_RULE_LABELS[rule.type]} "${rule.pattern}"`
+}
+
+/**
+ * Checks a rule for missing fields and invalid patterns.
+ * @param {Object} rule - Filing rule
+ * @returns {string|null} Problem description, or null if the rule is valid
+ */
+function validateFilingRule(rule) {
+  if (!rule.pattern.trim()) return 'Enter a pattern'
+  if (!rule.folderId) return 'Choose a folder'
+
+  try {
+    if (rule.type === FilingRuleType.TITLE) new RegExp(rule.pattern, 'i')
+    if (rule.titleFind) new RegExp(rule.titleFind, 'i')
+  } catch (error) {
+    return `Invalid regular expression: ${error.message}`
+  }
+  return null
+}
+
+/**
+ * Tests a bookmark against one rule. URL patterns use * as a wildcard
+ * and must match the whole URL; without a "://" they are matched
+ * against the URL minus its scheme. Domains also match subdomains.
+ * Title patterns are case-insensitive regular expressions.
+ * @param {Object} rule - Filing rule
+ * @param {{title?: string, url?: string}} bookmark
+ * @returns {boolean}
+ * @throws {SyntaxError} If a title pattern is not a valid expression
+ */
+function matchesFilingRule(rule, bookmark) {
+  const pattern = rule.pattern.trim()
+  const url = bookmark.url || ''
+
+  switch (rule.type) {
+    case FilingRuleType.DOMAIN: {
+      let hostname
+      try {
+        hostname = new URL(url).hostname.toLowerCase()
+      } catch {
+        return false
+      }
+      const domain = pattern.toLowerCase().replace(/^\*?\./, '')
+      return hostname === domain || hostname.endsWith(`.${domain}`)
+    }
+
+    case FilingRuleType.TITLE:
+      return new RegExp(pattern, 'i').test(bookmark.title || '')
+
+    default: {
+      const target = pattern.includes('://')
+        ? url
+        : url.replace(/^[a-z][a-z\d+.-]*:\/\//i, '')
+      return wildcardToRegExp(pattern).test(target)
+    }
+  }
+}
+
+/**
+ * Converts a pattern with * wildcards into an anchored, case-insensitive
+ * regular expression.
+ * @param {string} pattern
+ * @returns {RegExp}
+ */
+function wildcardToRegExp(pattern) {
+  const source = pattern
+    .split('*')
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*')
+  return new RegExp(`^${source}$`, 'i')
+}
+
+/**
+ * Finds the first enabled, valid rule that matches a bookmark.
+ * @param {Object[]} rules - Rules in priority order
+ * @param {{title?: string, url?: string}} bookmark
+ * @returns {Object|null}
+ */
+function findFilingRule(rules, bookmark) {
+  return (
+    rules.find(
+      (rule) =>
+        rule.enabled &&
+        !validateFilingRule(rule) &&
+        matchesFilingRule(rule, bookmark),
+    ) || null
+  )
+}
+
+/**
+ * Applies a rule's title rewrite: the first match of titleFind (a
+ * case-insensitive regular expression) is replaced with titleReplace,
+ * which may use $1-style group references. Titles that would end up
+ * empty are left alone.
+ * @param {Object} rule - Filing rule
+ * @param {string} title - Bookmark title
+ * @returns {string}
+ */
+function rewriteFilingTitle(rule, title) {
+  if (!rule.titleFind) return title
+  const rewritten = title
+    .replace(new RegExp(rule.titleFind, 'i'), rule.titleReplace || '')
+    .trim()
+  return rewritten || title
+}
+
+/**
+ * Session storage key for this page's entries
+ * @type {string}
+ */
+const filingOwnKey = `${FILING_OWN_KEY_PREFIX}${crypto.randomUUID()}`
+
+/**
+ * Bookmarks this page is about to create. An entry without parentId
+ * covers its URLs in any folder.
+ * @type {Array<{urls: string[], parentId?: string, until: number}>}
+ */
+let ownBookmarks = []
+
+/**
+ * Entries last read by isOwnBookmark(), with URLs as sets
+ * @type {{entries: Array<{urls: Set<string>, parentId?: string, until: number}>, readAt: number}}
+ */
+const ownBookmarkCache = { entries: [], readAt: 0 }
+
+/**
+ * Stores this page's live entries for the service worker to read.
+ * @param {Object} [entry] - Entry to add first
+ * @returns {Promise<void>}
+ */
+async function saveOwnBookmarks(entry) {
+  const now = Date.now()
+  ownBookmarks = ownBookmarks.filter((own) => own.until > now)
+  if (entry) ownBookmarks.push(entry)
+  await chrome.storage.session.set({ [filingOwnKey]: ownBookmarks })
+}
+
+/**
+ * Keeps auto-filing from moving a bookmark this page is about to
+ * create. Only a bookmark with the same URL in the same folder is
+ * skipped, so bookmarks created elsewhere are still filed.
+ * @param {{parentId: string, url: string}} createData - Arguments for
+ *   chrome.bookmarks.create()
+ * @returns {Promise<void>}
+ */
+async function expectOwnBookmark({ parentId, url }) {
+  await saveOwnBookmarks({
+    parentId,
+    urls: [normalizeFilingUrl(url)],
+    until: Date.now() + FILING_OWN_MS,
+  })
+}
+
+/**
+ * Keeps auto-filing away from a whole tree of bookmarks while create()
+ * writes it, with one storage write before and one after. The folders
+ * they go into do not exist yet, so the URLs are skipped in any folder
+ * until shortly after create() settles.
+ * @template T
+ * @param {Object[]} nodes - Nodes about to be created, with children
+ * @param {function(): Promise<T>} create - Creates the nodes
+ * @returns {Promise<T>} What create() returns
+ */
+async function expectOwnBookmarks(nodes, create) {
+  const urls = new Set()
+  const visit = (node) => {
+    if (node.url) urls.add(normalizeFilingUrl(node.url))
+    if (node.children) node.children.forEach(visit)
+  }
+  nodes.forEach(visit)
+  if (urls.size === 0) return create()
+
+  const entry = { urls: [...urls], until: Date.now() + FILING_OWN_BATCH_MS }
+  await saveOwnBookmarks(entry)
+  try {
+    return await create()
+  } finally {
+    entry.until = Date.now() + FILING_OWN_MS
+    await saveOwnBookmarks()
+  }
+}
+
+/**
+ * Whether an extension page created this bookmark itself. Lists whose
+ * entries have all run out are removed on the way.
+ * @param {{parentId: string, url: string}} bookmark - Created bookmark
+ * @returns {Promise<boolean>}
+ */
+async function isOwnBookmark(bookmark) {
+  const url = normalizeFilingUrl(bookmark.url)
+  const matches = (entries, now) =>
+    entries.some(
+      (entry) =>
+        entry.until > now &&
+        entry.urls.has(url) &&
+        (!entry.parentId || entry.parentId === bookmark.parentId),
+    )
+
+  // A recent read that already matches needs no new one; a miss is
+  // checked again, as the entry may have been written since
+  let now = Date.now()
+  if (
+    now - ownBookmarkCache.readAt < FILING_OWN_CACHE_MS &&
+    matches(ownBookmarkCache.entries, now)
+  ) {
+    return true
+  }
+
+  const stored = await chrome.storage.session.get(null)
+  now = Date.now()
+  const entries = []
+  const expired = []
+
+  Object.entries(stored).forEach(([key, list]) => {
+    if (!key.startsWith(FILING_OWN_KEY_PREFIX)) return
+    const live = list.filter((entry) => entry.until > now)
+    if (live.length === 0) expired.push(key)
+    live.forEach((entry) =>
+      entries.push({ ...entry, urls: new Set(entry.urls) }),
+    )
+  })
+
+  ownBookmarkCache.entries = entries
+  ownBookmarkCache.readAt = now
+  if (expired.length > 0) await chrome.storage.session.remove(expired)
+  return matches(entries, now)
+}
+
+/**
+ * Normalizes a URL the way Chrome stores it, so a URL passed to
+ * chrome.bookmarks.create() matches the created bookmark.
+ * @param {string} url
+ * @returns {string}
+ */
+function normalizeFilingUrl(url) {
+  try {
+    return new URL(url).href
+  } catch {
+    return url
+  }
+}
@@ -0,0 +1,51 @@
+/**
+ * Bookmark XP Explorer - Flatten Folder
+ * Shared by extension pages
+ *
+ * Plans how a folder's nested subfolders collapse into the folder
+ * itself. Each subfolder's bookmarks take its place, in tree order, and
+ * can have the subfolder path they came from added to their titles.
+ */
+
+/**
+ * Separator between path segments and the title in prefixed titles
+ * @type {string}
+ */
+const FLATTEN_PATH_SEPARATOR = ' / '
+
+/**
+ * Plans flattening a folder. Bookmarks directly in the folder stay as
+ * they are; every subfolder is replaced by the bookmarks found anywhere
+ * inside it.
+ * @param {Object} folder - Folder with children, from getSubTree()
+ * @param {Object} [options]
+ * @param {boolean} [options.prefixPath=false] - Prefix titles with the
+ *   subfolder path, e.g. "Work / Docs / Title". Untitled bookmarks keep
+ *   their empty title.
+ * @returns {Array<{folder: Object, bookmarks: Array<{node: Object, path: string[], title: string}>}>}
+ *   One entry per direct subfolder, in order; path lists the folders
+ *   from that subfolder down to the bookmark's parent
+ */
+function planFolderFlatten(folder, { prefixPath = false } = {}) {
+  return folder.children
+    .filter((child) => !child.url)
+    .map((subfolder) => {
+      const bookmarks = []
+      const visit = (node, path) => {
+        node.children.forEach((child) => {
+          if (!child.url) {
+            visit(child, [...path, child.title])
+            return
+          }
+          const title =
+            prefixPath && child.title
+              ? [...path, child.title].join(FLATTEN_PATH_SEPARATOR)
+              : child.title
+          bookmarks.push({ node: child, path, title })
+        })
+      }
+      visit(subfolder, [subfolder.title])
+
+      return { folder: subfolder, bookmarks }
+    })
+}
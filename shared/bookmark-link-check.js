@@ -0,0 +1,157 @@
+/**
+ * Bookmark XP Explorer - Link Checker
+ * Shared by extension pages
+ *
+ * Probes bookmark URLs over HTTP to find dead links and redirects.
+ * A HEAD request is tried first; servers that reject HEAD get a GET
+ * whose body is discarded. Redirects are followed, so the final URL of
+ * a moved page can be offered as a replacement.
+ */
+
+/**
+ * Outcomes of probing one URL
+ * @readonly
+ * @enum {string}
+ */
+const LinkStatus = {
+  OK: 'ok',
+  REDIRECT: 'redirect',
+  NOT_FOUND: 'not-found',
+  ERROR: 'error',
+  UNREACHABLE: 'unreachable',
+  TIMEOUT: 'timeout',
+  SKIPPED: 'skipped',
+}
+
+/**
+ * Default limits for checkLinks()
+ * @type {{concurrency: number, timeout: number}}
+ */
+const LINK_CHECK_DEFAULTS = {
+  concurrency: 6,
+  timeout: 10000,
+}
+
+/**
+ * HEAD responses that mean "try GET instead"
+ * @type {number[]}
+ */
+const HEAD_UNSUPPORTED_STATUSES = [400, 403, 405, 501]
+
+/**
+ * Probes one URL.
+ * @param {string} url - URL to check
+ * @param {{timeout?: number}} [options]
+ * @returns {Promise<{status: string, httpStatus?: number, finalUrl?: string, error?: string}>}
+ */
+async function probeLink(url, options = {}) {
+  const timeout = options.timeout ?? LINK_CHECK_DEFAULTS.timeout
+
+  if (!/^https?:/i.test(url)) {
+    return { status: LinkStatus.SKIPPED }
+  }
+
+  try {
+    let response = await fetchWithTimeout(url, 'HEAD', timeout)
+    if (HEAD_UNSUPPORTED_STATUSES.includes(response.status)) {
+      response = await fetchWithTimeout(url, 'GET', timeout)
+    }
+    return classifyResponse(url, response)
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      return {
+        status: LinkStatus.TIMEOUT,
+        error: `No response in ${timeout / 1000}s`,
+      }
+    }
+    return { status: LinkStatus.UNREACHABLE, error: error.message }
+  }
+}
+
+/**
+ * Fetches a URL, giving up after a timeout. GET bodies are cancelled
+ * unread since only the status matters.
+ * @param {string} url - URL to fetch
+ * @param {string} method - 'HEAD' or 'GET'
+ * @param {number} timeout - Milliseconds to wait for the response headers
+ * @returns {Promise<Response>}
+ * @throws {DOMException} AbortError on timeout
+ * @throws {TypeError} If the host cannot be resolved or reached
+ */
+async function fetchWithTimeout(url, method, timeout) {
+  const controller = new AbortController()
+  const timer = setTimeout(() => controller.abort(), timeout)
+
+  try {
+    const response = await fetch(url, {
+      method,
+      redirect: 'follow',
+      credentials: 'omit',
+      cache: 'no-store',
+      signal: controller.signal,
+    })
+    if (method === 'GET') {
+      response.body?.cancel().catch(() => {})
+    }
+    return response
+  } finally {
+    clearTimeout(timer)
+  }
+}
+
+/**
+ * Turns a response into a probe result.
+ * @param {string} url - Requested URL
+ * @param {Response} response - Final response after redirects
+ * @returns {{status: string, httpStatus: number, finalUrl?: string}}
+ */
+function classifyResponse(url, response) {
+  const httpStatus = response.status
+
+  if (httpStatus === 404 || httpStatus === 410) {
+    return { status: LinkStatus.NOT_FOUND, httpStatus }
+  }
+  if (!response.ok) {
+    return { status: LinkStatus.ERROR, httpStatus }
+  }
+  if (response.redirected && response.url && response.url !== url) {
+    return { status: LinkStatus.REDIRECT, httpStatus, finalUrl: response.url }
+  }
+  return { status: LinkStatus.OK, httpStatus }
+}
+
+/**
+ * Probes many bookmarks, a few at a time.
+ * @param {Object[]} bookmarks - Nodes with id and url
+ * @param {Object} [options]
+ * @param {number} [options.concurrency] - Requests in flight at once
+ * @param {number} [options.timeout] - Per-request timeout in ms
+ * @param {function(Object, Object, number): void} [options.onResult] -
+ *   Called with each bookmark, its result and the number checked so far
+ * @param {function(): boolean} [options.isCancelled] - Stops starting new
+ *   requests once it returns true
+ * @returns {Promise<Array<{node: Object, result: Object}>>} Results in
+ *   the order of the input
+ */
+async function checkLinks(bookmarks, options = {}) {
+  const { concurrency, timeout } = { ...LINK_CHECK_DEFAULTS, ...options }
+  const results = new Array(bookmarks.length)
+  let next = 0
+  let done = 0
+
+  const worker = async () => {
+    while (next < bookmarks.length && !options.isCancelled?.()) {
+      const i = next++
+      const node = bookmarks[i]
+      const result = await probeLink(node.url, { timeout })
+      results[i] = { node, result }
+      done++
+      options.onResult?.(node, result, done)
+    }
+  }
+
+  const workers = Math.max(1, Math.min(concurrency, bookmarks.length))
+  await Promise.all(Array.from({ length: workers }, worker))
+
+  return results.filter(Boolean)
+}
@@ -0,0 +1,102 @@
+/**
+ * Bookmark XP Explorer - Folder Merge
+ * Shared by extension pages
+ *
+ * Plans how one folder's contents join another. Subfolders whose name
+ * matches a subfolder at the same level in the target are merged
+ * recursively; everything else moves across as it is. Bookmarks whose
+ * URL is already somewhere in the target are reported as duplicates.
+ */
+
+/**
+ * Plans a merge of source into target. The source may sit inside the
+ * target (merging a folder into its parent); it is left out of the
+ * comparison.
+ * @param {Object} source - Folder with children, from getSubTree()
+ * @param {Object} target - Folder with children, from getSubTree()
+ * @returns {{moves: Array<{node: Object, parentId: string}>, merged: Array<{source: Object, target: Object}>, duplicates: Array<{node: Object, existing: Object, parentId?: string}>}}
+ *   moves and merged in tree order. A duplicate has a parentId when it
+ *   sits in a merged folder and would have to move to stay; duplicates
+ *   inside moved folders travel with them.
+ */
+function planFolderMerge(source, target) {
+  const plan = { moves: [], merged: [], duplicates: [] }
+
+  const existingUrls = new Map()
+  const collect = (node) => {
+    if (node.id === source.id) return
+    if (node.url) {
+      if (!existingUrls.has(node.url)) existingUrls.set(node.url, node)
+    } else {
+      node.children.forEach(collect)
+    }
+  }
+  collect(target)
+
+  const findDuplicatesIn = (folder) => {
+    folder.children.forEach((child) => {
+      if (!child.url) {
+        findDuplicatesIn(child)
+      } else if (existingUrls.has(child.url)) {
+        plan.duplicates.push({
+          node: child,
+          existing: existingUrls.get(child.url),
+        })
+      }
+    })
+  }
+
+  const visit = (from, into) => {
+    from.children.forEach((child) => {
+      if (child.url) {
+        const existing = existingUrls.get(child.url)
+        if (existing) {
+          plan.duplicates.push({ node: child, existing, parentId: into.id })
+        } else {
+          plan.moves.push({ node: child, parentId: into.id })
+        }
+        return
+      }
+
+      const name = normalizeFolderName(child.title)
+      const match = into.children.find(
+        (other) =>
+          !other.url &&
+          other.id !== source.id &&
+          normalizeFolderName(other.title) === name,
+      )
+      if (match) {
+        plan.merged.push({ source: child, target: match })
+        visit(child, match)
+      } else {
+        plan.moves.push({ node: child, parentId: into.id })
+        findDuplicatesIn(child)
+      }
+    })
+  }
+  visit(source, target)
+
+  return plan
+}
+
+/**
+ * Folder names match ignoring case and surrounding spaces.
+ * @param {string} [title]
+ * @returns {string}
+ */
+function normalizeFolderName(title) {
+  return (title || '').trim().toLowerCase()
+}
+
+/**
+ * Whether a folder is the given folder or somewhere inside it.
+ * @param {Object} folder - Folder with children
+ * @param {string} id - ID to look for
+ * @returns {boolean}
+ */
+function folderContains(folder, id) {
+  return (
+    folder.id === id ||
+    (folder.children || []).some((child) => folderContains(child, id))
+  )
+}
@@ -0,0 +1,127 @@
+/**
+ * Bookmark XP Explorer - Organize by Site
+ * Shared by extension pages
+ *
+ * Groups a folder's bookmarks by the site they belong to. A site is the
+ * registrable domain ("example.co.uk" for "news.example.co.uk"), worked
+ * out from common suffix patterns rather than the full Public Suffix
+ * List, so rare suffixes group one level too high.
+ */
+
+/**
+ * Defaults for groupBookmarksBySite()
+ * @type {{minGroupSize: number}}
+ */
+const ORGANIZE_DEFAULTS = {
+  minGroupSize: 3,
+}
+
+/**
+ * Second-level labels that, under a two-letter country domain, are part
+ * of the suffix (co.uk, com.au, ac.jp, ...)
+ * @type {Set<string>}
+ */
+const COUNTRY_SECOND_LEVELS = new Set([
+  'ac',
+  'co',
+  'com',
+  'edu',
+  'gob',
+  'gov',
+  'ltd',
+  'mil',
+  'ne',
+  'net',
+  'nic',
+  'or',
+  'org',
+  'plc',
+  'sch',
+])
+
+/**
+ * Hosting suffixes whose subdomains belong to different owners
+ * @type {Set<string>}
+ */
+const SHARED_HOST_SUFFIXES = new Set([
+  'appspot.com',
+  'blogspot.com',
+  'github.io',
+  'gitlab.io',
+  'herokuapp.com',
+  'netlify.app',
+  'pages.dev',
+  'vercel.app',
+])
+
+/**
+ * Returns the registrable domain of a web URL, e.g. "example.co.uk" for
+ * "https://news.example.co.uk/". IP addresses and single-label hosts
+ * are returned as they are.
+ * @param {string} [url]
+ * @returns {string} Lowercase domain, or '' for folders and non-web URLs
+ */
+function getRegistrableDomain(url) {
+  let hostname
+  try {
+    const parsed = new URL(url)
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return ''
+    hostname = parsed.hostname.toLowerCase().replace(/\.$/, '')
+  } catch {
+    return ''
+  }
+
+  if (/^[\d.]+$/.test(hostname) || hostname.startsWith('[')) return hostname
+
+  const labels = hostname.split('.')
+  const lastTwo = labels.slice(-2).join('.')
+  const suffixLength =
+    SHARED_HOST_SUFFIXES.has(lastTwo) ||
+    (labels[labels.length - 1].length === 2 &&
+      COUNTRY_SECOND_LEVELS.has(labels[labels.length - 2]))
+      ? 2
+      : 1
+
+  return labels.slice(-(suffixLength + 1)).join('.')
+}
+
+/**
+ * Plans how to group a folder's bookmarks into one subfolder per site.
+ * Sites with fewer than minGroupSize bookmarks stay where they are,
+ * unless the folder already has a subfolder named after the site; those
+ * bookmarks always join it. Subfolders and their contents are not
+ * touched.
+ * @param {Object[]} children - The folder's children
+ * @param {Object} [options]
+ * @param {number} [options.minGroupSize=3] - Smallest group that gets a
+ *   new subfolder
+ * @returns {Array<{domain: string, folder: Object|null, bookmarks: Object[]}>}
+ *   Groups sorted by domain; folder is the existing subfolder, if any
+ */
+function groupBookmarksBySite(
+  children,
+  { minGroupSize = ORGANIZE_DEFAULTS.minGroupSize } = {},
+) {
+  const bySite = new Map()
+
+  children.forEach((child) => {
+    const domain = getRegistrableDomain(child.url)
+    if (!domain) return
+    if (!bySite.has(domain)) bySite.set(domain, [])
+    bySite.get(domain).push(child)
+  })
+
+  const existing = new Map()
+  children.forEach((child) => {
+    const title = (child.title || '').trim().toLowerCase()
+    if (!child.url && !existing.has(title)) existing.set(title, child)
+  })
+
+  return Array.from(bySite, ([domain, bookmarks]) => ({
+    domain,
+    folder: existing.get(domain) || null,
+    bookmarks,
+  }))
+    .filter((group) => group.folder || group.bookmarks.length >= minGroupSize)
+    .sort((a, b) => a.domain.localeCompare(b.domain))
+}
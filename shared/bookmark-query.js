@@ -0,0 +1,234 @@
+/**
+ * Bookmark XP Explorer - Search Query Language
+ * Shared by the fullpage and popup search boxes
+ *
+ * A query is a list of terms that must all match. Terms are plain words,
+ * "quoted phrases" or field operators, and a leading "-" negates a term:
+ *
+ *   title:react url:github domain:example.com in:"Bookmarks bar/Work"
+ *   is:folder is:bookmark added:>2024-01-01 -"old stuff"
+ *
+ * Plain words and phrases match titles and URLs, case-insensitively.
+ */
+
+/**
+ * Fields a query term can target
+ * @readonly
+ * @enum {string}
+ */
+const QueryField = {
+  TEXT: 'text',
+  TITLE: 'title',
+  URL: 'url',
+  DOMAIN: 'domain',
+  IN: 'in',
+  IS: 'is',
+  ADDED: 'added',
+}
+
+/**
+ * Splits a query into optional "-", optional "field:", then a quoted or
+ * bare value
+ * @type {RegExp}
+ */
+const QUERY_TOKEN_PATTERN = /(-?)(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi
+
+/**
+ * Parses a query string into terms.
+ * Unknown field prefixes (e.g. "https:") are kept as plain text.
+ * @param {string} query - Query typed by the user
+ * @returns {Array<{field: string, value: string, negate: boolean, range?: {operator: string, start: number, end: number}}>}
+ * @throws {Error} If an is: or added: value is not understood
+ */
+function parseSearchQuery(query) {
+  const terms = []
+
+  for (const match of query.matchAll(QUERY_TOKEN_PATTERN)) {
+    const [, minus, rawField, quoted, bare] = match
+    let field = rawField ? rawField.toLowerCase() : QueryField.TEXT
+    let value = quoted ?? bare ?? ''
+
+    if (!Object.values(QueryField).includes(field)) {
+      value = `${rawField}:${value}`
+      field = QueryField.TEXT
+    }
+    if (!value) continue
+
+    const term = { field, value: value.toLowerCase(), negate: minus === '-' }
+
+    if (
+      field === QueryField.IS &&
+      !['folder', 'bookmark'].includes(term.value)
+    ) {
+      throw new Error(`Unknown is: value "${value}" (use folder or bookmark)`)
+    }
+    if (field === QueryField.ADDED) {
+      term.range = parseDateRange(value)
+    }
+    if (field === QueryField.IN) {
+      term.value = splitFolderPath(term.value).join('/')
+    }
+
+    terms.push(term)
+  }
+
+  return terms
+}
+
+/**
+ * Parses an added: value such as ">2024-01-01", "<=2023-06" or "2022".
+ * The date covers a whole day, month or year depending on its precision.
+ * @param {string} value - Operator and date
+ * @returns {{operator: string, start: number, end: number}} Range in ms
+ * @throws {Error} If the date is malformed
+ */
+function parseDateRange(value) {
+  const match = /^(>=|<=|>|<|=)?(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/.exec(
+    value,
+  )
+  if (!match) {
+    throw new Error(`Invalid date "${value}" (use YYYY-MM-DD)`)
+  }
+
+  const [, operator = '=', year, month, day] = match
+  const y = Number(year)
+  const m = month ? Number(month) - 1 : 0
+  const d = day ? Number(day) : 1
+  const start = new Date(y, m, d)
+  const end = day
+    ? new Date(y, m, d + 1)
+    : month
+      ? new Date(y, m + 1, 1)
+      : new Date(y + 1, 0, 1)
+
+  return { operator, start: start.getTime(), end: end.getTime() }
+}
+
+/**
+ * Splits a folder path on "/" and drops empty segments.
+ * @param {string} path - Path such as "Bookmarks bar/Work"
+ * @returns {string[]}
+ */
+function splitFolderPath(path) {
+  return path
+    .split('/')
+    .map((segment) => segment.trim())
+    .filter(Boolean)
+}
+
+/**
+ * Tests a node against parsed terms.
+ * @param {Object} node - Bookmark tree node
+ * @param {Array} terms - Terms from parseSearchQuery()
+ * @param {string[]} folderPath - Titles of the node's ancestors, outermost first
+ * @returns {boolean} Whether every term matches
+ */
+function matchesSearchQuery(node, terms, folderPath) {
+  return terms.every(
+    (term) => matchesTerm(node, term, folderPath) !== term.negate,
+  )
+}
+
+/**
+ * Tests a node against one term, ignoring negation.
+ * @param {Object} node - Bookmark tree node
+ * @param {Object} term - Parsed term
+ * @param {string[]} folderPath - Ancestor titles
+ * @returns {boolean}
+ */
+function matchesTerm(node, term, folderPath) {
+  const title = (node.title || '').toLowerCase()
+  const url = (node.url || '').toLowerCase()
+
+  switch (term.field) {
+    case QueryField.TITLE:
+      return title.includes(term.value)
+
+    case QueryField.URL:
+      return url.includes(term.value)
+
+    case QueryField.DOMAIN: {
+      const hostname = getHostname(node.url)
+      return hostname === term.value || hostname.endsWith(`.${term.value}`)
+    }
+
+    case QueryField.IN: {
+      const path = folderPath.map((t) => t.toLowerCase()).join('/')
+      // Match whole segments anywhere in the path, so subfolders count
+      return `/${path}/`.includes(`/${term.value}/`)
+    }
+
+    case QueryField.IS:
+      return term.value === 'folder' ? !node.url : !!node.url
+
+    case QueryField.ADDED:
+      return matchesDateRange(node.dateAdded, term.range)
+
+    default:
+      return title.includes(term.value) || url.includes(term.value)
+  }
+}
+
+/**
+ * Tests a timestamp against an added: range.
+ * @param {number} [time] - Timestamp in ms
+ * @param {{operator: string, start: number, end: number}} range
+ * @returns {boolean}
+ */
+function matchesDateRange(time, range) {
+  if (!time) return false
+
+  switch (range.operator) {
+    case '>':
+      return time >= range.end
+    case '>=':
+      return time >= range.start
+    case '<':
+      return time < range.start
+    case '<=':
+      return time < range.end
+    default:
+      return time >= range.start && time < range.end
+  }
+}
+
+/**
+ * Returns the lowercase hostname of a URL, or '' for folders and
+ * unparseable URLs.
+ * @param {string} [url]
+ * @returns {string}
+ */
+function getHostname(url) {
+  try {
+    return new URL(url).hostname.toLowerCase()
+  } catch {
+    return ''
+  }
+}
+
+/**
+ * Runs a query over a whole tree from chrome.bookmarks.getTree().
+ * Root folders (Bookmarks bar, Other bookmarks, ...) are never results.
+ * @param {Object[]} roots - Tree roots
+ * @param {string} query - Query string
+ * @returns {Object[]} Matching nodes in tree order
+ * @throws {Error} If the query cannot be parsed
+ */
+function searchBookmarkTree(roots, query) {
+  const terms = parseSearchQuery(query)
+  const results = []
+  if (terms.length === 0) return results
+
+  const visit = (node, folderPath, depth) => {
+    if (depth > 1 && matchesSearchQuery(node, terms, folderPath)) {
+      results.push(node)
+    }
+    if (node.children) {
+      const childPath = depth > 0 ? [...folderPath, node.title] : folderPath
+      node.children.forEach((child) => visit(child, childPath, depth + 1))
+    }
+  }
+  roots.forEach((root) => visit(root, [], 0))
+
+  return results
+}
@@ -0,0 +1,97 @@
+/**
+ * Bookmark XP Explorer - Find and Replace
+ * Shared by extension pages
+ *
+ * Plans a bulk rewrite of bookmark titles and URLs, e.g. when a company
+ * domain or wiki host changes. The find text is literal unless regex is
+ * on, in which case the replacement may use $1-style group references.
+ * Every match in a value is replaced.
+ */
+
+/**
+ * Builds the expression that finds matches.
+ * @param {string} find - Text or regular expression source
+ * @param {Object} [options]
+ * @param {boolean} [options.regex=false] - Treat find as an expression
+ * @param {boolean} [options.matchCase=false] - Match case exactly
+ * @returns {RegExp} Global expression
+ * @throws {SyntaxError} If a regular expression is invalid
+ */
+function buildFindPattern(find, { regex = false, matchCase = false } = {}) {
+  const source = regex ? find : find.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+  return new RegExp(source, matchCase ? 'g' : 'gi')
+}
+
+/**
+ * Plans the changes a find-and-replace makes. Root folders, which
+ * cannot be renamed, are never changed.
+ * @param {Object[]} nodes - Bookmarks and folders in scope
+ * @param {Object} options
+ * @param {string} options.find - Text or regular expression source
+ * @param {string} options.replace - Replacement
+ * @param {boolean} [options.regex=false] - Treat find as an expression
+ * @param {boolean} [options.matchCase=false] - Match case exactly
+ * @param {boolean} [options.titles=true] - Rewrite titles
+ * @param {boolean} [options.urls=true] - Rewrite bookmark URLs
+ * @returns {Array<{node: Object, title?: string, url?: string, invalidUrl?: boolean}>}
+ *   One entry per changed node, holding only the values that change.
+ *   invalidUrl is set when the new URL does not parse; such entries
+ *   cannot be applied.
+ * @throws {SyntaxError} If a regular expression is invalid
+ */
+function planBulkReplace(
+  nodes,
+  {
+    find,
+    replace,
+    regex = false,
+    matchCase = false,
+    titles = true,
+    urls = true,
+  },
+) {
+  if (!find) return []
+
+  const pattern = buildFindPattern(find, { regex, matchCase })
+  // A function replacer keeps "$" in literal replacements literal
+  const rewrite = (value) =>
+    regex
+      ? value.replace(pattern, replace)
+      : value.replace(pattern, () => replace)
+
+  const changes = []
+  nodes.forEach((node) => {
+    if (!node.parentId || node.parentId === '0') return
+
+    const change = { node }
+    if (titles) {
+      const title = rewrite(node.title || '')
+      if (title !== (node.title || '')) change.title = title
+    }
+    if (urls && node.url) {
+      const url = rewrite(node.url)
+      if (url !== node.url) {
+        change.url = url
+        if (!isParseableUrl(url)) change.invalidUrl = true
+      }
+    }
+
+    if ('title' in change || 'url' in change) changes.push(change)
+  })
+
+  return changes
+}
+
+/**
+ * Whether a string parses as an absolute URL.
+ * @param {string} url
+ * @returns {boolean}
+ */
+function isParseableUrl(url) {
+  try {
+    new URL(url)
+    return true
+  } catch {
+    return false
+  }
+}
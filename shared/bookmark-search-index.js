@@ -0,0 +1,424 @@
+/**
+ * Bookmark XP Explorer - Fuzzy Search Index
+ * Shared by extension pages
+ *
+ * Keeps a flat, in-memory copy of the bookmark tree so searches do not
+ * hit chrome.bookmarks on every keystroke. Plain text terms from the
+ * query language (see bookmark-query.js) match fuzzily against titles,
+ * URLs and folder paths; field operators and negated terms filter
+ * exactly. Results are ranked by match quality, then recency.
+ *
+ * The index is kept current with applySearchIndexEvent(). Changes that
+ * affect many paths at once (folder renames and moves, reorders,
+ * imports) mark it stale so the owner rebuilds it before the next search.
+ */
+
+/**
+ * How much each field contributes to a text term's score
+ * @type {{title: number, url: number, path: number}}
+ */
+const SEARCH_FIELD_WEIGHTS = { title: 1, url: 0.6, path: 0.4 }
+
+/**
+ * Score added for a bookmark created today, decaying over about a year
+ * @type {number}
+ */
+const SEARCH_RECENCY_WEIGHT = 15
+
+/**
+ * Builds an index from chrome.bookmarks.getTree() output.
+ * @param {Object[]} roots - Tree roots
+ * @returns {{entries: Map<string, {node: Object, path: string[], ancestors: string[]}>, stale: boolean}}
+ */
+function buildSearchIndex(roots) {
+  const index = { entries: new Map(), stale: false }
+
+  const visit = (node, location) => {
+    addSearchIndexEntry(index, node, location)
+    ;(node.children || []).forEach((child) =>
+      visit(child, getChildLocation(node, location)),
+    )
+  }
+  roots.forEach((root) => visit(root, { path: [], ancestors: [] }))
+
+  return index
+}
+
+/**
+ * Stores one node, without its children, under its ID.
+ * @param {Object} index - Search index
+ * @param {Object} node - Bookmark tree node
+ * @param {{path: string[], ancestors: string[]}} location - Ancestor
+ *   titles and IDs, outermost first
+ */
+function addSearchIndexEntry(index, node, location) {
+  const { id, parentId, title, url, dateAdded } = node
+  index.entries.set(id, {
+    node: { id, parentId, title, url, dateAdded },
+    path: location.path,
+    ancestors: location.ancestors,
+  })
+}
+
+/**
+ * Returns the location of a folder's children.
+ * Children of the virtual root have an empty path, like search results.
+ * @param {Object} folder - Folder node
+ * @param {{path: string[], ancestors: string[]}} location - The folder's
+ *   own location
+ * @returns {{path: string[], ancestors: string[]}}
+ */
+function getChildLocation(folder, location) {
+  return {
+    path: folder.id === '0' ? location.path : [...location.path, folder.title],
+    ancestors: [...location.ancestors, folder.id],
+  }
+}
+
+/**
+ * Returns the location children of an indexed folder get.
+ * @param {Object} index - Search index
+ * @param {string} parentId - Folder ID
+ * @returns {{path: string[], ancestors: string[]}|null} Location, or null
+ *   if the folder is not indexed
+ */
+function getSearchIndexChildLocation(index, parentId) {
+  const parent = index.entries.get(parentId)
+  return parent ? getChildLocation(parent.node, parent) : null
+}
+
+/**
+ * Tests whether an entry lies within a search scope.
+ * @param {{node: Object, ancestors: string[]}} entry - Index entry
+ * @param {{folderId: string, recursive: boolean}} [scope] - Folder to
+ *   search; everything when omitted
+ * @returns {boolean}
+ */
+function isInSearchScope(entry, scope) {
+  if (!scope) return true
+  return scope.recursive
+    ? entry.ancestors.includes(scope.folderId)
+    : entry.ancestors[entry.ancestors.length - 1] === scope.folderId
+}
+
+/**
+ * Applies a chrome.bookmarks event to the index.
+ * @param {Object} index - Search index
+ * @param {string} type - 'created', 'removed', 'changed', 'moved' or
+ *   any other event name, which marks the index stale
+ * @param {string} id - Bookmark ID from the event
+ * @param {Object} [info] - Second argument of the event listener
+ */
+function applySearchIndexEvent(index, type, id, info) {
+  const entry = index.entries.get(id)
+
+  switch (type) {
+    case 'created': {
+      const location = getSearchIndexChildLocation(index, info.parentId)
+      if (location) addSearchIndexEntry(index, info, location)
+      else index.stale = true
+      break
+    }
+
+    case 'removed': {
+      const remove = (node) => {
+        index.entries.delete(node.id)
+        ;(node.children || []).forEach(remove)
+      }
+      remove({ ...info.node, id })
+      break
+    }
+
+    case 'changed':
+      if (!entry) {
+        index.stale = true
+      } else if (entry.node.url) {
+        Object.assign(entry.node, info)
+      } else if (info.title !== entry.node.title) {
+        index.stale = true // Descendant paths include the old title
+      }
+      break
+
+    case 'moved': {
+      const location = getSearchIndexChildLocation(index, info.parentId)
+      if (entry && entry.node.url && location) {
+        entry.node.parentId = info.parentId
+        Object.assign(entry, location)
+      } else {
+        index.stale = true
+      }
+      break
+    }
+
+    default:
+      index.stale = true
+  }
+}
+
+/**
+ * Runs a query against the index.
+ * @param {Object} index - Search index
+ * @param {string} query - Query string
+ * @param {{folderId: string, recursive: boolean}} [scope] - Limits the
+ *   search to a folder, optionally with its subfolders
+ * @returns {Array<{node: Object, path: string[], score: number, highlights: number[]}>}
+ *   Best matches first; highlights are matched title character offsets
+ * @throws {Error} If the query cannot be parsed
+ */
+function searchIndex(index, query, scope) {
+  const terms = parseSearchQuery(query)
+  if (terms.length === 0) return []
+
+  const fuzzyTerms = terms.filter(
+    (term) => term.field === QueryField.TEXT && !term.negate,
+  )
+  const exactTerms = terms.filter((term) => !fuzzyTerms.includes(term))
+  const now = Date.now()
+  const results = []
+
+  for (const entry of index.entries.values()) {
+    const { node, path } = entry
+    // Skip the virtual root and the fixed root folders
+    if (node.id === '0' || node.parentId === '0') continue
+    if (!isInSearchScope(entry, scope)) continue
+    if (!matchesSearchQuery(node, exactTerms, path)) continue
+
+    const match = scoreFuzzyTerms(node, path, fuzzyTerms)
+    if (!match) continue
+
+    const ageDays = node.dateAdded ? (now - node.dateAdded) / 86400000 : 3650
+    const recency = SEARCH_RECENCY_WEIGHT / (1 + Math.max(ageDays, 0) / 365)
+
+    results.push({
+      node,
+      path,
+      score: match.score + recency,
+      highlights: match.highlights,
+    })
+  }
+
+  return results.sort((a, b) => b.score - a.score)
+}
+
+/**
+ * Whether a regular expression asks for a capital letter. Escapes
+ * (\S, \W, \p{..}, \u00C9, ...), backreference names and group names
+ * are not letters to match, so they do not count.
+ * @param {string} pattern - Regular expression source
+ * @returns {boolean}
+ */
+function hasCapitalLetter(pattern) {
+  const literal = pattern
+    .replace(
+      /\\(?:[pPk][{<][^}>]*[}>]|u\{[^}]*\}|u[\da-fA-F]{4}|x[\da-fA-F]{2}|c[A-Za-z]|.)/g,
+      '',
+    )
+    .replace(/\(\?<[A-Za-z_$][\w$]*>/g, '(')
+  return /[A-Z]/.test(literal)
+}
+
+/**
+ * Runs a JavaScript regular expression over titles and/or URLs. The
+ * pattern is case-insensitive unless it contains a capital letter
+ * outside escapes such as \S or \p{Lu} and group names.
+ * @param {Object} index - Search index
+ * @param {string} pattern - Regular expression source
+ * @param {string} [field='both'] - 'title', 'url' or 'both'
+ * @param {{folderId: string, recursive: boolean}} [scope] - As for
+ *   searchIndex()
+ * @returns {Array<{node: Object, path: string[], groups: Array<Array<[number, number]|undefined>>}>}
+ *   Matches, in no guaranteed order (bookmarks added since the index
+ *   was built come last); groups lists, for every match in the title,
+ *   the [start, end) span of the whole match followed by each group
+ * @throws {SyntaxError} If the pattern is invalid
+ */
+function searchIndexByRegex(index, pattern, field = 'both', scope) {
+  const flags = hasCapitalLetter(pattern) ? 'dg' : 'dgi'
+  const regex = new RegExp(pattern, flags)
+  const results = []
+
+  for (const entry of index.entries.values()) {
+    const { node, path } = entry
+    if (node.id === '0' || node.parentId === '0') continue
+    if (!isInSearchScope(entry, scope)) continue
+
+    const title = node.title || ''
+    const titleMatches =
+      field === 'url' ? [] : Array.from(title.matchAll(regex))
+    const urlMatches = field !== 'title' && node.url && regex.test(node.url)
+    regex.lastIndex = 0
+
+    if (titleMatches.length === 0 && !urlMatches) continue
+
+    results.push({
+      node,
+      path,
+      groups: titleMatches.map((match) => match.indices),
+    })
+  }
+
+  return results
+}
+
+/**
+ * Scores a node against every fuzzy term; all terms must match.
+ * @param {Object} node - Indexed node
+ * @param {string[]} path - Ancestor titles
+ * @param {Array} terms - Positive text terms
+ * @returns {{score: number, highlights: number[]}|null}
+ */
+function scoreFuzzyTerms(node, path, terms) {
+  const fields = {
+    title: (node.title || '').toLowerCase(),
+    url: (node.url || '').toLowerCase(),
+    path: path.join(' / ').toLowerCase(),
+  }
+  const highlights = new Set()
+  let score = 0
+
+  for (const term of terms) {
+    let best = 0
+
+    for (const [field, text] of Object.entries(fields)) {
+      // Typo tolerance is limited to titles to keep keystrokes cheap
+      const match = fuzzyMatch(term.value, text, field === 'title')
+      if (!match) continue
+
+      best = Math.max(best, match.score * SEARCH_FIELD_WEIGHTS[field])
+      if (field === 'title') {
+        match.indices.forEach((i) => highlights.add(i))
+      }
+    }
+
+    if (best === 0) return null
+    score += best
+  }
+
+  return { score, highlights: [...highlights].sort((a, b) => a - b) }
+}
+
+/**
+ * Matches a lowercase pattern against lowercase text. Tries, in order of
+ * score: a substring, the pattern's characters in order (e.g. "gthb" in
+ * "github"), and a word within one or two typos of the pattern.
+ * @param {string} pattern - Lowercase search term
+ * @param {string} text - Lowercase text to search
+ * @param {boolean} allowTypos - Whether to try the typo-tolerant match
+ * @returns {{score: number, indices: number[]}|null} Matched offsets
+ */
+function fuzzyMatch(pattern, text, allowTypos) {
+  if (!pattern || !text) return null
+
+  const start = text.indexOf(pattern)
+  if (start !== -1) {
+    const atWordStart = start === 0 || !/[a-z0-9]/.test(text[start - 1])
+    return {
+      score: atWordStart ? 120 : 100,
+      indices: numberRange(start, start + pattern.length),
+    }
+  }
+
+  const subsequence = matchSubsequence(pattern, text)
+  if (subsequence) return subsequence
+
+  if (allowTypos && pattern.length >= 4) {
+    const maxDistance = pattern.length >= 8 ? 2 : 1
+    for (const word of text.matchAll(/[a-z0-9]+/g)) {
+      const distance = editDistance(pattern, word[0], maxDistance)
+      if (distance <= maxDistance) {
+        return {
+          score: 70 - distance * 15,
+          indices: numberRange(word.index, word.index + word[0].length),
+        }
+      }
+    }
+  }
+
+  return null
+}
+
+/**
+ * Finds the pattern's characters in order, choosing the tightest run and
+ * preferring word starts. Runs spread over more than three times the
+ * pattern length are rejected as noise.
+ * @param {string} pattern - Lowercase search term
+ * @param {string} text - Lowercase text
+ * @returns {{score: number, indices: number[]}|null}
+ */
+function matchSubsequence(pattern, text) {
+  let best = null
+
+  for (
+    let first = text.indexOf(pattern[0]);
+    first !== -1;
+    first = text.indexOf(pattern[0], first + 1)
+  ) {
+    const indices = [first]
+    for (const ch of pattern.slice(1)) {
+      const i = text.indexOf(ch, indices[indices.length - 1] + 1)
+      if (i === -1) break
+      indices.push(i)
+    }
+    if (indices.length < pattern.length) break // No later start can fit
+
+    const span = indices[indices.length - 1] - first + 1
+    if (!best || span < best.span) best = { indices, span }
+  }
+
+  if (!best || best.span > pattern.length * 3) return null
+
+  const wordStarts = best.indices.filter(
+    (i) => i === 0 || !/[a-z0-9]/.test(text[i - 1]),
+  ).length
+  const compactness = pattern.length / best.span
+
+  return {
+    score: 40 + 30 * compactness + (10 * wordStarts) / pattern.length,
+    indices: best.indices,
+  }
+}
+
+/**
+ * Counts the insertions, deletions, substitutions and adjacent swaps
+ * between two strings, giving up once the count exceeds max.
+ * @param {string} a
+ * @param {string} b
+ * @param {number} max - Largest distance of interest
+ * @returns {number} Distance, or max + 1 if larger than max
+ */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1
+
+  let prevPrev = []
+  let prev = numberRange(0, b.length + 1)
+
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i]
+    let rowMin = i
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost)
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        row[j] = Math.min(row[j], prevPrev[j - 2] + 1)
+      }
+      rowMin = Math.min(rowMin, row[j])
+    }
+
+    if (rowMin > max) return max + 1
+    prevPrev = prev
+    prev = row
+  }
+
+  return prev[b.length]
+}
+
+/**
+ * Returns the integers from start up to, not including, end.
+ * @param {number} start
+ * @param {number} end
+ * @returns {number[]}
+ */
+function numberRange(start, end) {
+  return Array.from({ length: end - start }, (_, i) => start + i)
+}
@@ -0,0 +1,124 @@
+/**
+ * Bookmark XP Explorer - Snapshot Storage
+ * Shared by extension pages and the service worker
+ *
+ * Snapshots are backup documents (see bookmark-backup.js) kept in
+ * chrome.storage.local. Each snapshot lives under its own key so the
+ * index can be listed without loading every tree.
+ */
+
+/**
+ * Storage key for the snapshot index (newest first)
+ * @type {string}
+ */
+const SNAPSHOT_INDEX_KEY = 'snapshotIndex'
+
+/**
+ * Storage key prefix for snapshot documents
+ * @type {string}
+ */
+const SNAPSHOT_KEY_PREFIX = 'snapshot:'
+
+/**
+ * Minutes between scheduled snapshots
+ * @type {number}
+ */
+const SNAPSHOT_INTERVAL_MINUTES = 360
+
+/**
+ * Number of snapshots kept; older ones are deleted
+ * @type {number}
+ */
+const SNAPSHOT_MAX_COUNT = 20
+
+/**
+ * What caused a snapshot to be taken
+ * @readonly
+ * @enum {string}
+ */
+const SnapshotTrigger = {
+  SCHEDULED: 'scheduled',
+  MANUAL: 'manual',
+  INSTALL: 'install',
+}
+
+/**
+ * Lists stored snapshots, newest first.
+ * @returns {Promise<Array<{id: string, createdAt: string, trigger: string, bookmarks: number, folders: number, fingerprint: string}>>}
+ */
+async function listSnapshots() {
+  const result = await chrome.storage.local.get(SNAPSHOT_INDEX_KEY)
+  return result[SNAPSHOT_INDEX_KEY] || []
+}
+
+/**
+ * Loads a snapshot document.
+ * @param {string} id - Snapshot ID
+ * @returns {Promise<Object|null>} Backup document, or null if missing
+ */
+async function loadSnapshot(id) {
+  const key = SNAPSHOT_KEY_PREFIX + id
+  const result = await chrome.storage.local.get(key)
+  return result[key] || null
+}
+
+/**
+ * Stores a backup document as a snapshot and applies the retention policy.
+ * Scheduled snapshots are skipped when nothing changed since the last one.
+ * @param {Object} backup - Backup document from createBookmarkBackup()
+ * @param {string} trigger - A SnapshotTrigger value
+ * @returns {Promise<Object|null>} Index entry, or null if skipped
+ */
+async function saveSnapshot(backup, trigger) {
+  const index = await listSnapshots()
+  const fingerprint = fingerprintBackup(backup)
+
+  if (
+    trigger === SnapshotTrigger.SCHEDULED &&
+    index.length > 0 &&
+    index[0].fingerprint === fingerprint
+  ) {
+    return null
+  }
+
+  const { bookmarks, folders } = countBackupNodes(backup.roots)
+  const entry = {
+    id: String(Date.now()),
+    createdAt: backup.createdAt,
+    trigger,
+    bookmarks,
+    folders,
+    fingerprint,
+  }
+
+  const kept = [entry, ...index].slice(0, SNAPSHOT_MAX_COUNT)
+  const expired = [entry, ...index].slice(SNAPSHOT_MAX_COUNT)
+
+  await chrome.storage.local.set({
+    [SNAPSHOT_KEY_PREFIX + entry.id]: backup,
+    [SNAPSHOT_INDEX_KEY]: kept,
+  })
+  if (expired.length > 0) {
+    await chrome.storage.local.remove(
+      expired.map((old) => SNAPSHOT_KEY_PREFIX + old.id),
+    )
+  }
+
+  return entry
+}
+
+/**
+ * Hashes the bookmark content of a backup (FNV-1a over its JSON),
+ * ignoring when the backup was taken.
+ * @param {Object} backup - Backup document
+ * @returns {string} Hex fingerprint
+ */
+function fingerprintBackup(backup) {
+  const text = JSON.stringify(backup.roots)
+  let hash = 0x811c9dc5
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i)
+    hash = Math.imul(hash, 0x01000193) >>> 0
+  }
+  return hash.toString(16)
+}
@@ -0,0 +1,98 @@
+/**
+ * Bookmark XP Explorer - Sorting
+ * Shared by extension pages
+ *
+ * Orders sibling bookmarks and folders. Names compare the way people
+ * read them: case-insensitively, with "Item 2" before "Item 10".
+ */
+
+/**
+ * What to sort by
+ * @readonly
+ * @enum {string}
+ */
+const SortKey = {
+  NAME: 'name',
+  URL: 'url',
+  DOMAIN: 'domain',
+  TYPE: 'type',
+  DATE_ADDED: 'date-added',
+}
+
+/**
+ * Natural, case-insensitive name comparison
+ * @type {Intl.Collator}
+ */
+const NAME_COLLATOR = new Intl.Collator(undefined, {
+  numeric: true,
+  sensitivity: 'base',
+})
+
+/**
+ * Returns a sorted copy of sibling nodes. Ties fall back to the name,
+ * then to the original order.
+ * @param {Object[]} nodes - Bookmark tree nodes
+ * @param {Object} options
+ * @param {string} options.key - A SortKey value
+ * @param {boolean} [options.foldersFirst=false] - Put folders before
+ *   bookmarks
+ * @param {boolean} [options.descending=false] - Reverse the key order
+ * @returns {Object[]}
+ */
+function sortBookmarkNodes(
+  nodes,
+  { key, foldersFirst = false, descending = false },
+) {
+  const direction = descending ? -1 : 1
+
+  return nodes
+    .map((node, position) => ({ node, position }))
+    .sort((a, b) => {
+      if (foldersFirst && !a.node.url !== !b.node.url) {
+        return a.node.url ? 1 : -1
+      }
+      return (
+        direction * compareBySortKey(a.node, b.node, key) ||
+        NAME_COLLATOR.compare(a.node.title || '', b.node.title || '') ||
+        a.position - b.position
+      )
+    })
+    .map(({ node }) => node)
+}
+
+/**
+ * Compares two nodes on one key. Folders have no URL or domain and
+ * sort before bookmarks on those keys, and on type.
+ * @param {Object} a - Node
+ * @param {Object} b - Node
+ * @param {string} key - A SortKey value
+ * @returns {number}
+ */
+function compareBySortKey(a, b, key) {
+  switch (key) {
+    case SortKey.URL:
+      return NAME_COLLATOR.compare(a.url || '', b.url || '')
+    case SortKey.DOMAIN:
+      return NAME_COLLATOR.compare(getSortDomain(a.url), getSortDomain(b.url))
+    case SortKey.TYPE:
+      return !a.url === !b.url ? 0 : a.url ? 1 : -1
+    case SortKey.DATE_ADDED:
+      return (a.dateAdded || 0) - (b.dateAdded || 0)
+    default:
+      return NAME_COLLATOR.compare(a.title || '', b.title || '')
+  }
+}
+
+/**
+ * Returns the hostname a bookmark sorts under, without "www.".
+ * @param {string} [url]
+ * @returns {string}
+ */
+function getSortDomain(url) {
+  if (!url) return ''
+  try {
+    return new URL(url).hostname.replace(/^www\./, '')
+  } catch {
+    return ''
+  }
+}
@@ -0,0 +1,38 @@
+/**
+ * Bookmark XP Explorer - Page Utilities
+ * Shared by extension pages
+ *
+ * Small helpers more than one page needs.
+ */
+
+/**
+ * Triggers a browser download for generated content.
+ * @param {string} filename - Suggested file name
+ * @param {string} content - File content
+ * @param {string} mimeType - MIME type of the content
+ */
+function downloadFile(filename, content, mimeType) {
+  const blob = new Blob([content], { type: `${mimeType};charset=utf-8` })
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+  setTimeout(() => URL.revokeObjectURL(url), 1000)
+}
+
+/**
+ * Checks whether a bookmark or folder with this ID exists right now.
+ * @param {string} id - Bookmark ID
+ * @returns {Promise<boolean>}
+ */
+async function bookmarkExists(id) {
+  try {
+    const nodes = await chrome.bookmarks.get(id)
+    return nodes.length > 0
+  } catch {
+    return false
+  }
+}
@@ -0,0 +1,545 @@
+/**
+ * Bookmark XP Explorer - Snapshot Browser
+ * Read-only XP Explorer view of the snapshots taken by the service worker,
+ * with restore of individual folders and bookmarks
+ */
+
+// ============================================
+// State Management
+// ============================================
+const state = {
+  snapshots: [], // Snapshot index entries, newest first
+  snapshot: null, // Loaded backup document
+  nodesById: new Map(),
+  parentById: new Map(),
+  currentFolderId: '0',
+  history: ['0'],
+  historyIndex: 0,
+  selectedId: null,
+  expandedFolders: new Set(['0', '1', '2']),
+}
+
+// ============================================
+// DOM Elements
+// ============================================
+const elements = {
+  snapshotSelect: document.getElementById('snapshot-select'),
+  takeSnapshot: document.getElementById('take-snapshot'),
+  folderTree: document.getElementById('folder-tree'),
+  addressPath: document.getElementById('address-path'),
+  content: document.getElementById('pane-content'),
+  statusText: document.getElementById('status-text'),
+  itemCount: document.getElementById('item-count'),
+  restoreBtn: document.querySelector('[data-action="restore"]'),
+  toastContainer: document.getElementById('toast-container'),
+}
+
+// ============================================
+// Theme Management
+// ============================================
+
+/**
+ * Storage key for the theme preference
+ * @type {string}
+ */
+const THEME_STORAGE_KEY = 'theme'
+
+/**
+ * Applies the theme to the document.
+ * Defaults to 'light' theme.
+ * @returns {Promise<void>}
+ */
+async function loadTheme() {
+  try {
+    const result = await chrome.storage.local.get([THEME_STORAGE_KEY])
+    const theme = result[THEME_STORAGE_KEY] || 'light' // Default to light
+
+    if (theme === 'system') {
+      // Remove data-theme to let CSS media query handle it
+      document.documentElement.removeAttribute('data-theme')
+    } else {
+      // Apply explicit theme
+      document.documentElement.setAttribute('data-theme', theme)
+    }
+  } catch (error) {
+    console.error('Failed to load theme:', error)
+    // Default to light theme on error
+    document.documentElement.setAttribute('data-theme', 'light')
+  }
+}
+
+// ============================================
+// Initialization
+// ============================================
+document.addEventListener('DOMContentLoaded', init)
+
+async function init() {
+  // Load theme first to prevent flash
+  await loadTheme()
+
+  setupEvents()
+  await loadSnapshotList()
+}
+
+/**
+ * Loads the snapshot index into the picker and opens the newest snapshot.
+ * @param {string} [selectId] - Snapshot to open instead of the newest
+ * @returns {Promise<void>}
+ */
+async function loadSnapshotList(selectId) {
+  state.snapshots = await listSnapshots()
+  elements.snapshotSelect.innerHTML = ''
+
+  if (state.snapshots.length === 0) {
+    elements.snapshotSelect.disabled = true
+    elements.content.innerHTML = `
+      <div class="empty-state">
+        <div class="empty-state-icon">🕘</div>
+        <div class="empty-state-text">No snapshots yet</div>
+        <div class="empty-state-hint">Snapshots are taken automatically every few hours, or click 📸 to take one now.</div>
+      </div>
+    `
+    elements.itemCount.textContent = ''
+    return
+  }
+
+  elements.snapshotSelect.disabled = false
+  state.snapshots.forEach((entry) => {
+    const option = document.createElement('option')
+    option.value = entry.id
+    option.textContent = formatSnapshotLabel(entry)
+    elements.snapshotSelect.appendChild(option)
+  })
+
+  const initialId = selectId || state.snapshots[0].id
+  elements.snapshotSelect.value = initialId
+  await openSnapshot(initialId)
+}
+
+/**
+ * Describes a snapshot for the picker.
+ * @param {Object} entry - Snapshot index entry
+ * @returns {string}
+ */
+function formatSnapshotLabel(entry) {
+  const date = new Date(entry.createdAt).toLocaleString()
+  return `${date} — ${entry.bookmarks} bookmarks (${entry.trigger})`
+}
+
+/**
+ * Loads a snapshot and shows its Bookmarks Bar.
+ * @param {string} id - Snapshot ID
+ * @returns {Promise<void>}
+ */
+async function openSnapshot(id) {
+  const snapshot = await loadSnapshot(id)
+  if (!snapshot) {
+    showToast('Snapshot could not be loaded', 'error')
+    return
+  }
+
+  state.snapshot = snapshot
+  indexSnapshot(snapshot)
+
+  const startId = state.nodesById.has('1') ? '1' : '0'
+  state.history = [startId]
+  state.historyIndex = 0
+
+  renderFolderTree()
+  navigateTo(startId, false)
+}
+
+/**
+ * Builds ID lookups for the loaded snapshot. The roots are wrapped in
+ * a virtual '0' node, mirroring chrome.bookmarks.getTree().
+ * @param {Object} snapshot - Backup document
+ */
+function indexSnapshot(snapshot) {
+  state.nodesById.clear()
+  state.parentById.clear()
+
+  const visit = (node, parentId) => {
+    state.nodesById.set(node.id, node)
+    if (parentId !== null) state.parentById.set(node.id, parentId)
+    ;(node.children || []).forEach((child) => visit(child, node.id))
+  }
+
+  visit({ id: '0', title: 'Bookmarks', children: snapshot.roots }, null)
+}
+
+// ============================================
+// Folder Tree
+// ============================================
+function renderFolderTree() {
+  elements.folderTree.innerHTML = ''
+  state.nodesById.get('0').children.forEach((child) => {
+    renderTreeItem(child, elements.folderTree, 0)
+  })
+  updateTreeSelection()
+}
+
+function renderTreeItem(node, container, depth) {
+  if (node.url) return
+
+  const item = document.createElement('div')
+  item.className = 'tree-item'
+  item.dataset.id = node.id
+  item.style.paddingLeft = `${12 + depth * 18}px`
+
+  const hasChildren = node.children.some((c) => !c.url)
+  const isExpanded = state.expandedFolders.has(node.id)
+
+  item.innerHTML = `
+    <span class="tree-toggle ${hasChildren ? '' : 'empty'}">${isExpanded ? '−' : '+'}</span>
+    <span class="tree-icon">${getFolderIcon(node.id)}</span>
+    <span class="tree-label">${escapeHtml(node.title || 'Untitled')}</span>
+  `
+
+  container.appendChild(item)
+
+  if (hasChildren) {
+    const childrenContainer = document.createElement('div')
+    childrenContainer.className = `tree-children ${isExpanded ? 'expanded' : ''}`
+    container.appendChild(childrenContainer)
+
+    if (isExpanded) {
+      node.children.forEach((child) => {
+        renderTreeItem(child, childrenContainer, depth + 1)
+      })
+    }
+  }
+}
+
+function updateTreeSelection() {
+  elements.folderTree
+    .querySelectorAll('.tree-item.selected')
+    .forEach((el) => el.classList.remove('selected'))
+  const treeItem = elements.folderTree.querySelector(
+    `.tree-item[data-id="${state.currentFolderId}"]`,
+  )
+  if (treeItem) {
+    treeItem.classList.add('selected')
+  }
+}
+
+function getFolderIcon(id) {
+  switch (id) {
+    case '1':
+      return '⭐'
+    case '2':
+      return '📁'
+    case '3':
+      return '📱'
+    default:
+      return '📁'
+  }
+}
+
+// ============================================
+// Content
+// ============================================
+function navigateTo(folderId, addToHistory = true) {
+  state.currentFolderId = folderId
+  state.selectedId = null
+
+  if (addToHistory) {
+    state.history = state.history.slice(0, state.historyIndex + 1)
+    state.history.push(folderId)
+    state.historyIndex = state.history.length - 1
+  }
+
+  renderContent()
+  updatePath()
+  updateNavButtons()
+  updateTreeSelection()
+}
+
+function renderContent() {
+  const folder = state.nodesById.get(state.currentFolderId)
+  elements.content.innerHTML = ''
+
+  if (folder.children.length === 0) {
+    elements.content.innerHTML = `
+      <div class="empty-state">
+        <div class="empty-state-icon">📂</div>
+        <div class="empty-state-text">This folder was empty</div>
+      </div>
+    `
+  } else {
+    folder.children.forEach((child) => renderContentItem(child))
+  }
+
+  const count = folder.children.length
+  elements.itemCount.textContent = `${count} item${count !== 1 ? 's' : ''}`
+  elements.statusText.textContent = 'Read-only'
+  updateRestoreButton()
+}
+
+function renderContentItem(node) {
+  const item = document.createElement('div')
+  item.className = 'content-item'
+  item.dataset.id = node.id
+  item.dataset.url = node.url || ''
+  item.dataset.isFolder = node.url ? 'false' : 'true'
+  item.title = node.url || node.title
+
+  if (node.url) {
+    const favicon = getFaviconUrl(node.url)
+    item.innerHTML = `
+      <div class="content-item-favicon">
+        <img src="${favicon}" onerror="this.parentElement.innerHTML='🔗'">
+      </div>
+      <div class="content-item-label">${escapeHtml(node.title || 'Untitled')}</div>
+    `
+  } else {
+    item.innerHTML = `
+      <div class="content-item-icon">📁</div>
+      <div class="content-item-label">${escapeHtml(node.title || 'Untitled')}</div>
+    `
+  }
+
+  elements.content.appendChild(item)
+}
+
+function getFaviconUrl(url) {
+  try {
+    const urlObj = new URL(url)
+    return `https://www.google.com/s2/favicons?domain=${urlObj.hostname}&sz=32`
+  } catch {
+    return ''
+  }
+}
+
+function updatePath() {
+  const parts = []
+  let currentId = state.currentFolderId
+
+  while (currentId !== undefined) {
+    const node = state.nodesById.get(currentId)
+    parts.unshift({ id: currentId, title: node.title || 'Bookmarks' })
+    currentId = state.parentById.get(currentId)
+  }
+
+  elements.addressPath.innerHTML = parts
+    .map(
+      (part) =>
+        `<span class="path-segment" data-id="${part.id}">${escapeHtml(part.title)}</span>`,
+    )
+    .join('')
+}
+
+function updateNavButtons() {
+  document.querySelector('[data-action="back"]').disabled =
+    state.historyIndex <= 0
+  document.querySelector('[data-action="forward"]').disabled =
+    state.historyIndex >= state.history.length - 1
+  document.querySelector('[data-action="up"]').disabled =
+    state.currentFolderId === '0'
+}
+
+/**
+ * Restore applies to the selected item, or to the open folder when
+ * nothing is selected. Root folders themselves cannot be recreated.
+ */
+function updateRestoreButton() {
+  const targetId = state.selectedId || state.currentFolderId
+  elements.restoreBtn.disabled =
+    !state.snapshot ||
+    state.parentById.get(targetId) === '0' ||
+    targetId === '0'
+}
+
+// ============================================
+// Events
+// ============================================
+function setupEvents() {
+  elements.snapshotSelect.addEventListener('change', () => {
+    openSnapshot(elements.snapshotSelect.value)
+  })
+
+  elements.takeSnapshot.addEventListener('click', takeSnapshotNow)
+
+  document.querySelectorAll('.pane-btn[data-action]').forEach((btn) => {
+    btn.addEventListener('click', () => handleAction(btn.dataset.action))
+  })
+
+  elements.addressPath.addEventListener('click', (e) => {
+    const segment = e.target.closest('.path-segment')
+    if (segment && segment !== elements.addressPath.lastElementChild) {
+      navigateTo(segment.dataset.id)
+    }
+  })
+
+  elements.folderTree.addEventListener('click', (e) => {
+    const item = e.target.closest('.tree-item')
+    if (!item) return
+
+    const toggle = e.target.closest('.tree-toggle')
+    if (toggle && !toggle.classList.contains('empty')) {
+      const id = item.dataset.id
+      if (state.expandedFolders.has(id)) {
+        state.expandedFolders.delete(id)
+      } else {
+        state.expandedFolders.add(id)
+      }
+      renderFolderTree()
+    } else {
+      navigateTo(item.dataset.id)
+    }
+  })
+
+  elements.content.addEventListener('click', (e) => {
+    elements.content
+      .querySelectorAll('.content-item.selected')
+      .forEach((el) => el.classList.remove('selected'))
+
+    const item = e.target.closest('.content-item')
+    state.selectedId = item ? item.dataset.id : null
+    if (item) item.classList.add('selected')
+    updateRestoreButton()
+  })
+
+  elements.content.addEventListener('dblclick', (e) => {
+    const item = e.target.closest('.content-item')
+    if (!item) return
+
+    if (item.dataset.isFolder === 'true') {
+      navigateTo(item.dataset.id)
+    } else if (item.dataset.url) {
+      chrome.tabs.create({ url: item.dataset.url })
+    }
+  })
+}
+
+async function handleAction(action) {
+  switch (action) {
+    case 'back':
+      if (state.historyIndex > 0) {
+        state.historyIndex--
+        navigateTo(state.history[state.historyIndex], false)
+      }
+      break
+
+    case 'forward':
+      if (state.historyIndex < state.history.length - 1) {
+        state.historyIndex++
+        navigateTo(state.history[state.historyIndex], false)
+      }
+      break
+
+    case 'up': {
+      const parentId = state.parentById.get(state.currentFolderId)
+      if (parentId !== undefined) navigateTo(parentId)
+      break
+    }
+
+    case 'restore':
+      await restoreItem(state.selectedId || state.currentFolderId)
+      break
+  }
+}
+
+// ============================================
+// Snapshots
+// ============================================
+
+/**
+ * Asks the service worker for a manual snapshot and opens it.
+ * @returns {Promise<void>}
+ */
+async function takeSnapshotNow() {
+  elements.takeSnapshot.disabled = true
+
+  try {
+    const response = await chrome.runtime.sendMessage({
+      action: 'takeSnapshot',
+    })
+    if (!response?.success) {
+      throw new Error(response?.error || 'No response')
+    }
+    showToast('Snapshot taken', 'success')
+    await loadSnapshotList(response.entry.id)
+  } catch (error) {
+    console.error('Snapshot failed:', error)
+    showToast('Snapshot failed', 'error')
+  }
+
+  elements.takeSnapshot.disabled = false
+}
+
+/**
+ * Copies a snapshot folder or bookmark back into the live bookmarks,
+ * at its original position. Falls back to Other Bookmarks when the
+ * original parent folder no longer exists.
+ * @param {string} id - Snapshot node ID
+ * @returns {Promise<void>}
+ */
+async function restoreItem(id) {
+  const node = state.nodesById.get(id)
+  const parentId = state.parentById.get(id)
+  if (!node || parentId === undefined || parentId === '0') return
+
+  if (await bookmarkExists(id)) {
+    const message = `"${node.title}" still exists in your bookmarks. Restore a copy anyway?`
+    if (!confirm(message)) return
+  }
+
+  try {
+    const parentExists = await bookmarkExists(parentId)
+    const targetParentId = parentExists ? parentId : '2'
+
+    const [createdId] = await restoreBackupNodes([node], targetParentId)
+
+    if (parentExists) {
+      const siblings = state.nodesById.get(parentId).children
+      const liveChildren = await chrome.bookmarks.getChildren(targetParentId)
+      await chrome.bookmarks.move(createdId, {
+        parentId: targetParentId,
+        index: Math.min(siblings.indexOf(node), liveChildren.length - 1),
+      })
+    }
+
+    const location = parentExists
+      ? `"${state.nodesById.get(parentId).title}"`
+      : 'Other Bookmarks'
+    showToast(`Restored "${node.title}" to ${location}`, 'success')
+  } catch (error) {
+    console.error('Restore failed:', error)
+    showToast('Restore failed', 'error')
+  }
+}
+
+// ============================================
+// Toast Notifications
+// ============================================
+function showToast(message, type = 'info') {
+  const toast = document.createElement('div')
+  toast.className = `toast ${type}`
+
+  const icons = {
+    success: '✅',
+    error: '❌',
+    info: 'ℹ️',
+  }
+
+  toast.innerHTML = `
+    <span class="toast-icon">${icons[type] || 'ℹ️'}</span>
+    <span>${escapeHtml(message)}</span>
+  `
+
+  elements.toastContainer.appendChild(toast)
+
+  setTimeout(() => {
+    toast.style.animation = 'toastSlideIn 0.3s ease reverse'
+    setTimeout(() => toast.remove(), 300)
+  }, 3000)
+}
+
+// ============================================
+// Utilities
+// ============================================
+function escapeHtml(text) {
+  const div = document.createElement('div')
+  div.textContent = text
+  return div.innerHTML
+}
@@ -0,0 +1,233 @@
+const { test, expect, chromium } = require('@playwright/test')
+const fs = require('fs')
+const path = require('path')
+
+/**
+ * Tests for the Backup & Restore section of the settings page.
+ *
+ * These tests verify:
+ * 1. Backing up downloads a versioned JSON copy of the bookmark tree
+ * 2. Invalid files are rejected and keep the restore button disabled
+ * 3. Restoring in merge mode recreates the backup in a new folder
+ * 4. Restoring in replace mode swaps a root folder's contents for the
+ *    backup copy, leaving no temporary folder behind
+ */
+
+const EXTENSION_PATH = path.resolve(__dirname, '..')
+
+test.describe('Backup & Restore', () => {
+  /** @type {import('@playwright/test').BrowserContext} */
+  let context
+  /** @type {import('@playwright/test').Page} */
+  let settingsPage
+  let extensionId
+
+  test.beforeAll(async () => {
+    context = await chromium.launchPersistentContext('', {
+      headless: false, // Extensions require headed mode
+      acceptDownloads: true,
+      args: [
+        `--disable-extensions-except=${EXTENSION_PATH}`,
+        `--load-extension=${EXTENSION_PATH}`,
+        '--no-first-run',
+        '--disable-default-apps',
+      ],
+    })
+
+    let [background] = context.serviceWorkers()
+    if (!background) {
+      background = await context.waitForEvent('serviceworker')
+    }
+    extensionId = background.url().split('/')[2]
+  })
+
+  test.afterAll(async () => {
+    await context?.close()
+  })
+
+  test.beforeEach(async () => {
+    settingsPage = await context.newPage()
+    await settingsPage.goto(
+      `chrome-extension://${extensionId}/settings/settings.html`,
+    )
+    await settingsPage.waitForSelector('#backup-bookmarks')
+  })
+
+  test.afterEach(async () => {
+    await settingsPage?.close()
+  })
+
+  test('backup downloads a versioned JSON file', async () => {
+    const bookmarkTitle = `Backup Test ${Date.now()}`
+    await settingsPage.evaluate(async (title) => {
+      await chrome.bookmarks.create({
+        parentId: '1',
+        title,
+        url: 'https://backup.example/',
+      })
+    }, bookmarkTitle)
+
+    const [download] = await Promise.all([
+      settingsPage.waitForEvent('download'),
+      settingsPage.locator('#backup-bookmarks').click(),
+    ])
+
+    expect(download.suggestedFilename()).toMatch(
+      /^bookmarks-backup-\d{4}-\d{2}-\d{2}\.json$/,
+    )
+    const backup = JSON.parse(fs.readFileSync(await download.path(), 'utf8'))
+    expect(backup.format).toBe('bookmark-xp-explorer-backup')
+    expect(backup.version).toBe(1)
+
+    const bar = backup.roots.find((root) => root.id === '1')
+    const saved = bar.children.find((child) => child.title === bookmarkTitle)
+    expect(saved.url).toBe('https://backup.example/')
+    expect(saved.dateAdded).toBeGreaterThan(0)
+  })
+
+  test('invalid backup file is rejected', async () => {
+    await settingsPage.locator('#restore-file-input').setInputFiles({
+      name: 'not-a-backup.json',
+      mimeType: 'application/json',
+      buffer: Buffer.from('{"hello": "world"}'),
+    })
+
+    await expect(settingsPage.locator('#restore-summary')).toContainText(
+      'not a Bookmark XP Explorer backup',
+    )
+    await expect(settingsPage.locator('#restore-bookmarks')).toBeDisabled()
+  })
+
+  test('merge restore recreates backup in a new folder', async () => {
+    const folderTitle = `Restored Folder ${Date.now()}`
+    const backup = {
+      format: 'bookmark-xp-explorer-backup',
+      version: 1,
+      createdAt: '2024-05-01T10:00:00.000Z',
+      roots: [
+        {
+          id: '1',
+          title: 'Bookmarks bar',
+          dateAdded: 0,
+          children: [
+            {
+              id: '100',
+              title: folderTitle,
+              dateAdded: 0,
+              children: [
+                {
+                  id: '101',
+                  title: 'Restored Link',
+                  url: 'https://restored.example/',
+                  dateAdded: 0,
+                },
+              ],
+            },
+          ],
+        },
+      ],
+    }
+
+    await settingsPage.locator('#restore-file-input').setInputFiles({
+      name: 'backup.json',
+      mimeType: 'application/json',
+      buffer: Buffer.from(JSON.stringify(backup)),
+    })
+    await expect(settingsPage.locator('#restore-summary')).toContainText(
+      '1 bookmarks in 2 folders',
+    )
+
+    await settingsPage.locator('#restore-bookmarks').click()
+    await expect(settingsPage.locator('#save-status')).toContainText(
+      'Backup restored',
+    )
+
+    const restored = await settingsPage.evaluate(async (title) => {
+      const [container] = await chrome.bookmarks.search({
+        title: 'Restored backup 2024-05-01',
+      })
+      const [subtree] = await chrome.bookmarks.getSubTree(container.id)
+      const root = subtree.children[0]
+      const folder = root.children.find((child) => child.title === title)
+      return {
+        parentId: container.parentId,
+        rootTitle: root.title,
+        links: folder.children.map((child) => child.url),
+      }
+    }, folderTitle)
+
+    expect(restored.parentId).toBe('2')
+    expect(restored.rootTitle).toBe('Bookmarks bar')
+    expect(restored.links).toEqual(['https://restored.example/'])
+  })
+
+  test('replace restore swaps the contents of a root folder', async () => {
+    await settingsPage.evaluate(() =>
+      chrome.bookmarks.create({
+        parentId: '2',
+        title: 'Replaced Link',
+        url: 'https://replaced.example/',
+      }),
+    )
+    const backup = {
+      format: 'bookmark-xp-explorer-backup',
+      version: 1,
+      createdAt: '2024-05-01T10:00:00.000Z',
+      roots: [
+        {
+          id: '2',
+          title: 'Other bookmarks',
+          dateAdded: 0,
+          children: [
+            {
+              id: '200',
+              title: 'Kept Folder',
+              dateAdded: 0,
+              children: [
+                {
+                  id: '201',
+                  title: 'Kept Link',
+                  url: 'https://kept.example/',
+                  dateAdded: 0,
+                },
+              ],
+            },
+            {
+              id: '202',
+              title: 'Second Link',
+              url: 'https://second.example/',
+              dateAdded: 0,
+            },
+          ],
+        },
+      ],
+    }
+
+    await settingsPage.reload()
+    await settingsPage.locator('#restore-file-input').setInputFiles({
+      name: 'backup.json',
+      mimeType: 'application/json',
+      buffer: Buffer.from(JSON.stringify(backup)),
+    })
+    await settingsPage
+      .locator('input[name="restore-mode"][value="replace"]')
+      .check()
+    await settingsPage.locator('#restore-root').selectOption('2')
+    settingsPage.once('dialog', (dialog) => dialog.accept())
+    await settingsPage.locator('#restore-bookmarks').click()
+    await expect(settingsPage.locator('#save-status')).toContainText(
+      'Folder restored',
+    )
+
+    const [root] = await settingsPage.evaluate(() =>
+      chrome.bookmarks.getSubTree('2'),
+    )
+    expect(root.children.map((child) => child.title)).toEqual([
+      'Kept Folder',
+      'Second Link',
+    ])
+    expect(root.children[0].children.map((child) => child.url)).toEqual([
+      'https://kept.example/',
+    ])
+  })
+})
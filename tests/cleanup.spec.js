@@ -0,0 +1,163 @@
+const { test, expect, chromium } = require('@playwright/test')
+const path = require('path')
+
+/**
+ * Tests for the folder cleanup tool.
+ *
+ * These tests verify:
+ * 1. Empty, nested and same-name folders are listed with their fixes
+ * 2. Applying the fixes deletes, flattens and merges, including
+ *    same-name subfolders of the merged folders
+ * 3. One undo restores the original structure
+ */
+
+const EXTENSION_PATH = path.resolve(__dirname, '..')
+
+test.describe('Folder Cleanup', () => {
+  /** @type {import('@playwright/test').BrowserContext} */
+  let context
+  /** @type {import('@playwright/test').Page} */
+  let extensionPage
+  let extensionId
+
+  test.beforeAll(async () => {
+    context = await chromium.launchPersistentContext('', {
+      headless: false, // Extensions require headed mode
+      args: [
+        `--disable-extensions-except=${EXTENSION_PATH}`,
+        `--load-extension=${EXTENSION_PATH}`,
+        '--no-first-run',
+        '--disable-default-apps',
+      ],
+    })
+
+    let [background] = context.serviceWorkers()
+    if (!background) {
+      background = await context.waitForEvent('serviceworker')
+    }
+    extensionId = background.url().split('/')[2]
+  })
+
+  test.afterAll(async () => {
+    await context?.close()
+  })
+
+  test.beforeEach(async () => {
+    extensionPage = await context.newPage()
+    await extensionPage.goto(
+      `chrome-extension://${extensionId}/fullpage/fullpage.html`,
+    )
+    await extensionPage.waitForSelector('#folder-tree')
+    await extensionPage.waitForTimeout(500)
+  })
+
+  test.afterEach(async () => {
+    await extensionPage?.close()
+  })
+
+  /**
+   * Builds a folder with one of each issue inside it:
+   *
+   *   <marker>
+   *   ├── Empty / Also empty
+   *   ├── Outer / Inner / (bookmark)
+   *   ├── Same / (bookmark A), Docs / (bookmark C)
+   *   └── same / (bookmark B), docs / (bookmark D)
+   *
+   * @param {string} marker - Unique folder title
+   */
+  async function createMessyFolder(marker) {
+    await extensionPage.evaluate(async (title) => {
+      const create = (parentId, props) =>
+        chrome.bookmarks.create({ parentId, ...props })
+
+      const root = await create('2', { title })
+      const empty = await create(root.id, { title: 'Empty' })
+      await create(empty.id, { title: 'Also empty' })
+      const outer = await create(root.id, { title: 'Outer' })
+      const inner = await create(outer.id, { title: 'Inner' })
+      await create(inner.id, {
+        title: 'Nested page',
+        url: 'https://n.example/',
+      })
+      const same = await create(root.id, { title: 'Same' })
+      await create(same.id, { title: 'Page A', url: 'https://a.example/' })
+      const docs = await create(same.id, { title: 'Docs' })
+      await create(docs.id, { title: 'Page C', url: 'https://c.example/' })
+      const same2 = await create(root.id, { title: 'same' })
+      await create(same2.id, { title: 'Page B', url: 'https://b.example/' })
+      const docs2 = await create(same2.id, { title: 'docs' })
+      await create(docs2.id, { title: 'Page D', url: 'https://d.example/' })
+    }, marker)
+  }
+
+  /**
+   * Describes a folder's contents as nested title lists.
+   * @param {string} marker - Folder title
+   */
+  function describeFolder(marker) {
+    return extensionPage.evaluate(async (title) => {
+      const [folder] = await chrome.bookmarks.search({ title })
+      const [subtree] = await chrome.bookmarks.getSubTree(folder.id)
+      const describe = (node) =>
+        node.url ? node.title : { [node.title]: node.children.map(describe) }
+      return subtree.children.map(describe)
+    }, marker)
+  }
+
+  /**
+   * Opens the dialog and unticks issues outside the marker folder.
+   * @param {string} marker - Folder title
+   */
+  async function openCleanup(marker) {
+    await extensionPage.locator('#open-cleanup').click()
+    const rows = extensionPage.locator('.cleanup-row')
+    await expect(rows.filter({ hasText: marker }).first()).toBeVisible()
+
+    const count = await rows.count()
+    for (let i = 0; i < count; i++) {
+      if (!(await rows.nth(i).textContent()).includes(marker)) {
+        await rows.nth(i).locator('.cleanup-select').uncheck()
+      }
+    }
+    return rows.filter({ hasText: marker })
+  }
+
+  test('lists each issue with its fix', async () => {
+    const marker = `Cleanup List ${Date.now()}`
+    await createMessyFolder(marker)
+
+    const rows = await openCleanup(marker)
+    await expect(rows).toHaveCount(3)
+    await expect(rows.filter({ hasText: 'Empty' })).toContainText(
+      'Delete it and its 1 empty subfolders',
+    )
+    await expect(rows.filter({ hasText: 'Outer' })).toContainText(
+      'move the 1 items in "Inner" up into "Outer"',
+    )
+    await expect(rows.filter({ hasText: 'Same name' })).toContainText(
+      'Merge 2 folders named "Same"',
+    )
+  })
+
+  test('applies all fixes and undoes them in one step', async () => {
+    const marker = `Cleanup Apply ${Date.now()}`
+    await createMessyFolder(marker)
+    const before = await describeFolder(marker)
+
+    await openCleanup(marker)
+    await extensionPage.locator('#cleanup-apply').click()
+    await expect(extensionPage.locator('.toast.success')).toContainText(
+      'Applied 3 fixes',
+    )
+
+    expect(await describeFolder(marker)).toEqual([
+      { Outer: ['Nested page'] },
+      { Same: ['Page A', { Docs: ['Page C', 'Page D'] }, 'Page B'] },
+    ])
+
+    await extensionPage.locator('#cleanup-close').click()
+    await extensionPage.locator('#pane-1 button[data-action="undo"]').click()
+    await expect.poll(() => describeFolder(marker)).toEqual(before)
+  })
+})
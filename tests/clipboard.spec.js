@@ -0,0 +1,230 @@
+const { test, expect, chromium } = require('@playwright/test')
+const path = require('path')
+
+/**
+ * Tests for system clipboard integration in Bookmark XP Explorer.
+ *
+ * These tests verify:
+ * 1. Ctrl+C writes the selected bookmark as plain text and an HTML link
+ * 2. Copying a folder copies the bookmarks inside it
+ * 3. Pasting HTML links creates titled bookmarks in the pane folder
+ * 4. Pasting plain text URLs is undone in one step
+ * 5. A link copied outside the explorer wins over items copied before it
+ */
+
+const EXTENSION_PATH = path.resolve(__dirname, '..')
+
+test.describe('System Clipboard', () => {
+  /** @type {import('@playwright/test').BrowserContext} */
+  let context
+  /** @type {import('@playwright/test').Page} */
+  let extensionPage
+  let extensionId
+
+  test.beforeAll(async () => {
+    context = await chromium.launchPersistentContext('', {
+      headless: false, // Extensions require headed mode
+      args: [
+        `--disable-extensions-except=${EXTENSION_PATH}`,
+        `--load-extension=${EXTENSION_PATH}`,
+        '--no-first-run',
+        '--disable-default-apps',
+      ],
+    })
+
+    let [background] = context.serviceWorkers()
+    if (!background) {
+      background = await context.waitForEvent('serviceworker')
+    }
+    extensionId = background.url().split('/')[2]
+    await context.grantPermissions(['clipboard-read', 'clipboard-write'], {
+      origin: `chrome-extension://${extensionId}`,
+    })
+  })
+
+  test.afterAll(async () => {
+    await context?.close()
+  })
+
+  test.beforeEach(async () => {
+    extensionPage = await context.newPage()
+    await extensionPage.goto(
+      `chrome-extension://${extensionId}/fullpage/fullpage.html`,
+    )
+    await extensionPage.waitForSelector('#folder-tree')
+    await extensionPage.waitForTimeout(500)
+  })
+
+  test.afterEach(async () => {
+    await extensionPage?.close()
+  })
+
+  /**
+   * Reads the text and HTML currently on the system clipboard.
+   * @returns {Promise<{text: string, html: string}>}
+   */
+  async function readClipboard() {
+    return extensionPage.evaluate(async () => {
+      const [item] = await navigator.clipboard.read()
+      const read = async (type) =>
+        item.types.includes(type) ? (await item.getType(type)).text() : ''
+      return { text: await read('text/plain'), html: await read('text/html') }
+    })
+  }
+
+  test('ctrl+c copies the selected bookmark as a link', async () => {
+    const title = `Clipboard ${Date.now()} & More`
+    await extensionPage.evaluate(async (bookmarkTitle) => {
+      await chrome.bookmarks.create({
+        parentId: '1',
+        title: bookmarkTitle,
+        url: 'https://two.example/?a=1&b=2',
+      })
+    }, title)
+    await extensionPage.locator('#pane-1 button[data-action="refresh"]').click()
+
+    await extensionPage.locator(`.content-item:has-text("${title}")`).click()
+    await extensionPage.keyboard.press('Control+c')
+    await expect(extensionPage.locator('.toast')).toContainText(
+      'Item copied to clipboard',
+    )
+
+    const { text, html } = await readClipboard()
+    expect(text).toBe('https://two.example/?a=1&b=2')
+    expect(html).toContain(
+      `<a href="https://two.example/?a=1&amp;b=2">${title.replace('&', '&amp;')}</a>`,
+    )
+  })
+
+  test('copying a folder copies its bookmarks', async () => {
+    const folderName = `Clipboard Folder ${Date.now()}`
+    await extensionPage.evaluate(async (title) => {
+      const folder = await chrome.bookmarks.create({ parentId: '1', title })
+      const nested = await chrome.bookmarks.create({
+        parentId: folder.id,
+        title: 'Nested',
+      })
+      await chrome.bookmarks.create({
+        parentId: nested.id,
+        title: 'Deep Link',
+        url: 'https://deep.example/',
+      })
+    }, folderName)
+    await extensionPage.locator('#pane-1 button[data-action="refresh"]').click()
+
+    await extensionPage
+      .locator(`.content-item:has-text("${folderName}")`)
+      .click()
+    await extensionPage.keyboard.press('Control+c')
+    await expect(extensionPage.locator('.toast')).toContainText('copied')
+
+    const { text } = await readClipboard()
+    expect(text).toBe('https://deep.example/')
+  })
+
+  /**
+   * Dispatches a paste event carrying the given clipboard data.
+   * @param {Object<string, string>} data - Data keyed by MIME type
+   */
+  async function pasteData(data) {
+    await extensionPage.evaluate((entries) => {
+      const clipboardData = new DataTransfer()
+      Object.entries(entries).forEach(([type, value]) =>
+        clipboardData.setData(type, value),
+      )
+      document.body.dispatchEvent(
+        new ClipboardEvent('paste', { clipboardData, bubbles: true }),
+      )
+    }, data)
+  }
+
+  /**
+   * Opens a fresh folder under the bookmarks bar in pane 1.
+   * @param {string} title - Folder title
+   * @returns {Promise<string>} Folder ID
+   */
+  async function openEmptyFolder(title) {
+    const folderId = await extensionPage.evaluate(
+      async (folderTitle) =>
+        (await chrome.bookmarks.create({ parentId: '1', title: folderTitle }))
+          .id,
+      title,
+    )
+    await extensionPage.locator('#pane-1 button[data-action="refresh"]').click()
+    await extensionPage.locator(`.content-item:has-text("${title}")`).dblclick()
+    return folderId
+  }
+
+  test('pasting html links creates titled bookmarks', async () => {
+    const folderId = await openEmptyFolder(`Paste HTML ${Date.now()}`)
+
+    await pasteData({
+      'text/html':
+        '<ul><li><a href="https://alpha.example/">Alpha Site</a></li>' +
+        '<li><a href="javascript:void(0)">Ignored</a></li>' +
+        '<li><a href="https://beta.example/">https://beta.example/</a></li></ul>',
+      'text/plain': 'Alpha Site\nIgnored\nhttps://beta.example/',
+    })
+    await expect(extensionPage.locator('.toast.success')).toContainText(
+      '2 bookmarks pasted',
+    )
+
+    const children = await extensionPage.evaluate(
+      (id) => chrome.bookmarks.getChildren(id),
+      folderId,
+    )
+    expect(children.map(({ title, url }) => ({ title, url }))).toEqual([
+      { title: 'Alpha Site', url: 'https://alpha.example/' },
+      { title: 'https://beta.example/', url: 'https://beta.example/' },
+    ])
+  })
+
+  test('pasting plain text urls is undone in one step', async () => {
+    const folderId = await openEmptyFolder(`Paste Text ${Date.now()}`)
+
+    await pasteData({
+      'text/plain': 'https://one.example/ https://two.example/\nnot a url',
+    })
+    await expect(
+      extensionPage.locator('.content-item:has-text("two.example")'),
+    ).toBeVisible()
+
+    await extensionPage.locator('#pane-1 button[data-action="undo"]').click()
+    await expect(extensionPage.locator('.toast.success')).toContainText(
+      'Paste undone',
+    )
+
+    const children = await extensionPage.evaluate(
+      (id) => chrome.bookmarks.getChildren(id),
+      folderId,
+    )
+    expect(children).toHaveLength(0)
+  })
+
+  test('a link copied elsewhere replaces copied items', async () => {
+    const title = `Copied Earlier ${Date.now()}`
+    await extensionPage.evaluate(async (bookmarkTitle) => {
+      await chrome.bookmarks.create({
+        parentId: '1',
+        title: bookmarkTitle,
+        url: 'https://copied.example/',
+      })
+    }, title)
+    await extensionPage.locator('#pane-1 button[data-action="refresh"]').click()
+    await extensionPage.locator(`.content-item:has-text("${title}")`).click()
+    await extensionPage.keyboard.press('Control+c')
+    await expect(extensionPage.locator('.toast')).toContainText('copied')
+
+    const folderId = await openEmptyFolder(`Paste Outside ${Date.now()}`)
+    await pasteData({ 'text/plain': 'https://outside.example/' })
+    await expect(extensionPage.locator('.toast.success')).toContainText(
+      'Bookmark pasted',
+    )
+
+    const children = await extensionPage.evaluate(
+      (id) => chrome.bookmarks.getChildren(id),
+      folderId,
+    )
+    expect(children.map(({ url }) => url)).toEqual(['https://outside.example/'])
+  })
+})
@@ -0,0 +1,160 @@
+const { test, expect, chromium } = require('@playwright/test')
+const path = require('path')
+
+/**
+ * Tests for the Ctrl+K command palette.
+ *
+ * These tests verify:
+ * 1. Picking a folder opens it in the active pane
+ * 2. A bookmark can be moved to another folder, and the move undone
+ * 3. Commands run from the keyboard, and "> " lists commands only
+ * 4. Built-in commands are listed before the ones features add
+ */
+
+const EXTENSION_PATH = path.resolve(__dirname, '..')
+
+test.describe('Command Palette', () => {
+  /** @type {import('@playwright/test').BrowserContext} */
+  let context
+  /** @type {import('@playwright/test').Page} */
+  let extensionPage
+  let extensionId
+
+  test.beforeAll(async () => {
+    context = await chromium.launchPersistentContext('', {
+      headless: false, // Extensions require headed mode
+      args: [
+        `--disable-extensions-except=${EXTENSION_PATH}`,
+        `--load-extension=${EXTENSION_PATH}`,
+        '--no-first-run',
+        '--disable-default-apps',
+      ],
+    })
+
+    let [background] = context.serviceWorkers()
+    if (!background) {
+      background = await context.waitForEvent('serviceworker')
+    }
+    extensionId = background.url().split('/')[2]
+  })
+
+  test.afterAll(async () => {
+    await context?.close()
+  })
+
+  test.beforeEach(async () => {
+    extensionPage = await context.newPage()
+    await extensionPage.goto(
+      `chrome-extension://${extensionId}/fullpage/fullpage.html`,
+    )
+    await extensionPage.waitForSelector('#folder-tree')
+    await extensionPage.waitForTimeout(500)
+  })
+
+  test.afterEach(async () => {
+    await extensionPage?.close()
+  })
+
+  /**
+   * Opens the palette and types a query.
+   * @param {string} query - Text to type
+   */
+  async function openPalette(query) {
+    await extensionPage.keyboard.press('Control+K')
+    const input = extensionPage.locator('#command-palette-input')
+    await expect(input).toBeFocused()
+    await input.fill(query)
+  }
+
+  test('picking a folder opens it in the active pane', async () => {
+    const folderTitle = `Palette Folder ${Date.now()}`
+    await extensionPage.evaluate(
+      (title) => chrome.bookmarks.create({ parentId: '2', title }),
+      folderTitle,
+    )
+
+    await openPalette(folderTitle)
+    await expect(
+      extensionPage.locator('.command-palette-item.active'),
+    ).toContainText(folderTitle)
+    await extensionPage.keyboard.press('Enter')
+
+    await expect(extensionPage.locator('#command-palette')).not.toHaveClass(
+      /visible/,
+    )
+    await expect(
+      extensionPage.locator('.address-path[data-pane="1"]'),
+    ).toContainText(folderTitle)
+  })
+
+  test('moves a bookmark to another folder and undoes it', async () => {
+    const marker = `PaletteMove${Date.now()}`
+    const bookmarkId = await extensionPage.evaluate(async (text) => {
+      await chrome.bookmarks.create({ parentId: '2', title: `${text} Target` })
+      const bookmark = await chrome.bookmarks.create({
+        parentId: '1',
+        title: `${text} Page`,
+        url: 'https://palette.example/',
+      })
+      return bookmark.id
+    }, marker)
+
+    await openPalette(`${marker} Page`)
+    await extensionPage.keyboard.press('Enter')
+    await expect(extensionPage.locator('#command-palette-step')).toHaveText(
+      `"${marker} Page"`,
+    )
+
+    await extensionPage.locator('#command-palette-input').fill('move')
+    await extensionPage.keyboard.press('Enter')
+    await extensionPage
+      .locator('#command-palette-input')
+      .fill(`${marker} Target`)
+    await expect(
+      extensionPage.locator('.command-palette-item.active'),
+    ).toContainText(`${marker} Target`)
+    await extensionPage.keyboard.press('Enter')
+
+    const getParentTitle = () =>
+      extensionPage.evaluate(async (id) => {
+        const [node] = await chrome.bookmarks.get(id)
+        const [parent] = await chrome.bookmarks.get(node.parentId)
+        return parent.title
+      }, bookmarkId)
+
+    await expect.poll(getParentTitle).toBe(`${marker} Target`)
+
+    await openPalette('> undo')
+    await extensionPage.keyboard.press('Enter')
+    await expect.poll(getParentTitle).not.toBe(`${marker} Target`)
+  })
+
+  test('runs commands from the keyboard', async () => {
+    await openPalette('> split')
+    const items = extensionPage.locator('.command-palette-item')
+    await expect(items.first()).toContainText('Toggle Split View')
+
+    // Commands only: no folders or bookmarks
+    await expect(items.filter({ hasText: '›' })).toHaveCount(0)
+
+    await extensionPage.keyboard.press('Enter')
+    await expect(extensionPage.locator('#content-area')).toHaveClass(
+      /split-view/,
+    )
+
+    await openPalette('> split')
+    await extensionPage.keyboard.press('Enter')
+    await expect(extensionPage.locator('#content-area')).not.toHaveClass(
+      /split-view/,
+    )
+  })
+
+  test('lists built-in commands first', async () => {
+    await openPalette('')
+    const titles = extensionPage.locator(
+      '.command-palette-item .command-palette-title',
+    )
+    await expect(titles.nth(0)).toHaveText('Go Back')
+    await expect(titles.nth(1)).toHaveText('Go Forward')
+  })
+})
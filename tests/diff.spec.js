@@ -0,0 +1,140 @@
+const { test, expect, chromium } = require('@playwright/test')
+const path = require('path')
+
+/**
+ * Tests for the compare dialog (snapshot diff viewer).
+ *
+ * These tests verify:
+ * 1. Renames and removals since a snapshot are listed
+ * 2. Reverting a rename restores the old title and can be undone
+ * 3. Restoring a removed bookmark recreates it
+ */
+
+const EXTENSION_PATH = path.resolve(__dirname, '..')
+
+test.describe('Compare with Snapshot', () => {
+  /** @type {import('@playwright/test').BrowserContext} */
+  let context
+  /** @type {import('@playwright/test').Page} */
+  let extensionPage
+  let extensionId
+
+  test.beforeAll(async () => {
+    context = await chromium.launchPersistentContext('', {
+      headless: false, // Extensions require headed mode
+      args: [
+        `--disable-extensions-except=${EXTENSION_PATH}`,
+        `--load-extension=${EXTENSION_PATH}`,
+        '--no-first-run',
+        '--disable-default-apps',
+      ],
+    })
+
+    let [background] = context.serviceWorkers()
+    if (!background) {
+      background = await context.waitForEvent('serviceworker')
+    }
+    extensionId = background.url().split('/')[2]
+  })
+
+  test.afterAll(async () => {
+    await context?.close()
+  })
+
+  test.beforeEach(async () => {
+    extensionPage = await context.newPage()
+    await extensionPage.goto(
+      `chrome-extension://${extensionId}/fullpage/fullpage.html`,
+    )
+    await extensionPage.waitForSelector('#folder-tree')
+    await extensionPage.waitForTimeout(500)
+  })
+
+  test.afterEach(async () => {
+    await extensionPage?.close()
+  })
+
+  /**
+   * Creates two bookmarks, snapshots the tree, then renames the first
+   * and removes the second.
+   * @param {string} prefix - Unique title prefix
+   */
+  async function changeAfterSnapshot(prefix) {
+    await extensionPage.evaluate(async (titlePrefix) => {
+      const renamed = await chrome.bookmarks.create({
+        parentId: '1',
+        title: `${titlePrefix} Original`,
+        url: 'https://renamed.example/',
+      })
+      const removed = await chrome.bookmarks.create({
+        parentId: '1',
+        title: `${titlePrefix} Removed`,
+        url: 'https://removed.example/',
+      })
+      await chrome.runtime.sendMessage({ action: 'takeSnapshot' })
+      await chrome.bookmarks.update(renamed.id, {
+        title: `${titlePrefix} Renamed`,
+      })
+      await chrome.bookmarks.remove(removed.id)
+    }, prefix)
+  }
+
+  test('lists renamed and removed bookmarks', async () => {
+    const prefix = `Diff ${Date.now()}`
+    await changeAfterSnapshot(prefix)
+
+    await extensionPage.locator('#open-diff').click()
+
+    const rows = extensionPage.locator('.diff-row')
+    await expect(
+      rows.filter({ hasText: `${prefix} Renamed` }).locator('.diff-badge'),
+    ).toHaveText('Renamed')
+    await expect(
+      rows.filter({ hasText: `${prefix} Removed` }).locator('.diff-badge'),
+    ).toHaveText('Removed')
+  })
+
+  test('revert rename restores the old title and is undoable', async () => {
+    const prefix = `Diff Revert ${Date.now()}`
+    await changeAfterSnapshot(prefix)
+
+    await extensionPage.locator('#open-diff').click()
+    const row = extensionPage
+      .locator('.diff-row')
+      .filter({ hasText: `${prefix} Renamed` })
+    await row.locator('.diff-action').click()
+    await expect(row).toHaveClass(/applied/)
+
+    const titleAfterRevert = await extensionPage.evaluate(
+      async (title) =>
+        (await chrome.bookmarks.search({ url: 'https://renamed.example/' }))
+          .map((node) => node.title)
+          .find((t) => t.startsWith(title)),
+      prefix,
+    )
+    expect(titleAfterRevert).toBe(`${prefix} Original`)
+
+    await extensionPage.locator('#diff-close').click()
+    await extensionPage.locator('#pane-1 button[data-action="undo"]').click()
+    await expect(
+      extensionPage.locator(`.content-item:has-text("${prefix} Renamed")`),
+    ).toBeVisible()
+  })
+
+  test('restore recreates a removed bookmark', async () => {
+    const prefix = `Diff Restore ${Date.now()}`
+    await changeAfterSnapshot(prefix)
+
+    await extensionPage.locator('#open-diff').click()
+    await extensionPage
+      .locator('.diff-row')
+      .filter({ hasText: `${prefix} Removed` })
+      .locator('.diff-action')
+      .click()
+
+    await extensionPage.locator('#diff-close').click()
+    await expect(
+      extensionPage.locator(`.content-item:has-text("${prefix} Removed")`),
+    ).toBeVisible()
+  })
+})
@@ -0,0 +1,158 @@
+const { test, expect, chromium } = require('@playwright/test')
+const path = require('path')
+
+/**
+ * Tests for the duplicate finder.
+ *
+ * These tests verify:
+ * 1. Bookmarks with the same normalized URL are grouped, oldest first
+ * 2. Turning off a normalization splits a group
+ * 3. Deleting duplicates keeps the chosen bookmark and undoes in one step
+ */
+
+const EXTENSION_PATH = path.resolve(__dirname, '..')
+
+test.describe('Duplicate Finder', () => {
+  /** @type {import('@playwright/test').BrowserContext} */
+  let context
+  /** @type {import('@playwright/test').Page} */
+  let extensionPage
+  let extensionId
+
+  test.beforeAll(async () => {
+    context = await chromium.launchPersistentContext('', {
+      headless: false, // Extensions require headed mode
+      args: [
+        `--disable-extensions-except=${EXTENSION_PATH}`,
+        `--load-extension=${EXTENSION_PATH}`,
+        '--no-first-run',
+        '--disable-default-apps',
+      ],
+    })
+
+    let [background] = context.serviceWorkers()
+    if (!background) {
+      background = await context.waitForEvent('serviceworker')
+    }
+    extensionId = background.url().split('/')[2]
+  })
+
+  test.afterAll(async () => {
+    await context?.close()
+  })
+
+  test.beforeEach(async () => {
+    extensionPage = await context.newPage()
+    await extensionPage.goto(
+      `chrome-extension://${extensionId}/fullpage/fullpage.html`,
+    )
+    await extensionPage.waitForSelector('#folder-tree')
+    await extensionPage.waitForTimeout(500)
+  })
+
+  test.afterEach(async () => {
+    await extensionPage?.close()
+  })
+
+  /**
+   * Creates bookmarks in two folders whose URLs differ only in ways the
+   * default normalization ignores.
+   * @param {string} host - Unique hostname
+   * @returns {Promise<string[]>} Created IDs, oldest first
+   */
+  async function createDuplicates(host) {
+    return extensionPage.evaluate(async (hostname) => {
+      const urls = [
+        `https://${hostname}/page`,
+        `http://www.${hostname}/page/`,
+        `https://${hostname}/page?utm_source=mail#top`,
+      ]
+      const ids = []
+      for (const [i, url] of urls.entries()) {
+        const created = await chrome.bookmarks.create({
+          parentId: i === 0 ? '1' : '2',
+          title: `Duplicate ${i + 1} ${hostname}`,
+          url,
+        })
+        ids.push(created.id)
+        // Keep dateAdded distinct so the oldest is well defined
+        await new Promise((resolve) => setTimeout(resolve, 5))
+      }
+      return ids
+    }, host)
+  }
+
+  /**
+   * Returns the group listing a host.
+   * @param {string} host - Hostname in the group's key
+   */
+  function groupFor(host) {
+    return extensionPage.locator('.duplicate-group').filter({ hasText: host })
+  }
+
+  test('groups bookmarks with the same normalized URL', async () => {
+    const host = `dupes-${Date.now()}.example`
+    await createDuplicates(host)
+
+    await extensionPage.locator('#open-duplicates').click()
+
+    const group = groupFor(host)
+    await expect(group.locator('.duplicate-row')).toHaveCount(3)
+    await expect(group.locator('.duplicate-row').first()).toContainText(
+      `Duplicate 1 ${host}`,
+    )
+    await expect(group.locator('input[type="radio"]').first()).toBeChecked()
+    await expect(group.locator('.duplicate-row').nth(1)).toContainText(
+      'Other bookmarks',
+    )
+  })
+
+  test('turning off a normalization splits a group', async () => {
+    const host = `dupes-scheme-${Date.now()}.example`
+    await createDuplicates(host)
+
+    await extensionPage.locator('#open-duplicates').click()
+    await expect(groupFor(host).locator('.duplicate-row')).toHaveCount(3)
+
+    await extensionPage.locator('[data-option="ignoreScheme"]').uncheck()
+    await expect(groupFor(host).locator('.duplicate-row')).toHaveCount(2)
+
+    await extensionPage.locator('[data-option="ignoreScheme"]').check()
+  })
+
+  test('deletes duplicates as one undoable step', async () => {
+    const host = `dupes-delete-${Date.now()}.example`
+    const ids = await createDuplicates(host)
+
+    await extensionPage.locator('#open-duplicates').click()
+    const group = groupFor(host)
+    await group.locator(`input[value="${ids[2]}"]`).check()
+
+    // Leave every other group alone
+    const toggles = extensionPage.locator('.duplicate-group-toggle:checked')
+    const count = await extensionPage.locator('.duplicate-group').count()
+    for (let i = 0; i < count; i++) {
+      const groupEl = extensionPage.locator('.duplicate-group').nth(i)
+      if (!(await groupEl.textContent()).includes(host)) {
+        await groupEl.locator('.duplicate-group-toggle').uncheck()
+      }
+    }
+    await expect(toggles).toHaveCount(1)
+
+    extensionPage.once('dialog', (dialog) => dialog.accept())
+    await extensionPage.locator('#duplicates-delete').click()
+    await expect(group).toHaveCount(0)
+
+    const remaining = () =>
+      extensionPage.evaluate(
+        async (hostname) =>
+          (await chrome.bookmarks.search(hostname)).map((node) => node.title),
+        host,
+      )
+    expect(await remaining()).toEqual([`Duplicate 3 ${host}`])
+
+    await extensionPage.locator('#duplicates-close').click()
+    await extensionPage.locator('#pane-1 button[data-action="undo"]').click()
+    await expect.poll(async () => (await remaining()).length).toBe(3)
+  })
+})
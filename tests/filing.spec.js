@@ -0,0 +1,207 @@
+const { test, expect, chromium } = require('@playwright/test')
+const path = require('path')
+
+/**
+ * Tests for auto-filing rules.
+ *
+ * These tests verify:
+ * 1. A rule added in settings files a new bookmark, rewrites its title
+ *    and logs the rule that fired
+ * 2. The rule tester names the first matching rule
+ * 3. Bookmarks created by the explorer's own dialogs are not filed,
+ *    while other bookmarks created at the same time still are
+ * 4. A tree restored in one batch is not filed, even in new folders
+ */
+
+const EXTENSION_PATH = path.resolve(__dirname, '..')
+
+test.describe('Auto-Filing', () => {
+  /** @type {import('@playwright/test').BrowserContext} */
+  let context
+  /** @type {import('@playwright/test').Page} */
+  let settingsPage
+  let extensionId
+
+  test.beforeAll(async () => {
+    context = await chromium.launchPersistentContext('', {
+      headless: false, // Extensions require headed mode
+      args: [
+        `--disable-extensions-except=${EXTENSION_PATH}`,
+        `--load-extension=${EXTENSION_PATH}`,
+        '--no-first-run',
+        '--disable-default-apps',
+      ],
+    })
+
+    let [background] = context.serviceWorkers()
+    if (!background) {
+      background = await context.waitForEvent('serviceworker')
+    }
+    extensionId = background.url().split('/')[2]
+  })
+
+  test.afterAll(async () => {
+    await context?.close()
+  })
+
+  test.beforeEach(async () => {
+    settingsPage = await context.newPage()
+    await settingsPage.goto(
+      `chrome-extension://${extensionId}/settings/settings.html`,
+    )
+    await settingsPage.waitForSelector('#filing-rules')
+  })
+
+  test.afterEach(async () => {
+    await settingsPage?.evaluate(() =>
+      chrome.storage.local.remove(['filingRules', 'filingLog']),
+    )
+    await settingsPage?.close()
+  })
+
+  /**
+   * Creates a target folder and adds a domain rule for it in the UI.
+   * @param {string} folderTitle - Title of the target folder
+   * @param {string} domain - Domain the rule matches
+   */
+  async function addDomainRule(folderTitle, domain) {
+    await settingsPage.evaluate(
+      (title) => chrome.bookmarks.create({ parentId: '2', title }),
+      folderTitle,
+    )
+    await settingsPage.reload()
+
+    await settingsPage.locator('#add-filing-rule').click()
+    const rule = settingsPage.locator('.filing-rule').last()
+    await rule.locator('.filing-type').selectOption('domain')
+    await rule.locator('.filing-pattern').fill(domain)
+    await rule.locator('.filing-pattern').press('Tab')
+    await rule
+      .locator('.filing-folder')
+      .selectOption({ label: `Other bookmarks › ${folderTitle}` })
+    return rule
+  }
+
+  test('files a new bookmark and logs the rule', async () => {
+    const folderTitle = `Filed ${Date.now()}`
+    const rule = await addDomainRule(folderTitle, 'filing.example')
+    await rule.locator('.filing-title-find').fill(' - Filing Example$')
+    await rule.locator('.filing-title-find').press('Tab')
+
+    await settingsPage.evaluate(() =>
+      chrome.bookmarks.create({
+        parentId: '1',
+        title: 'Docs - Filing Example',
+        url: 'https://docs.filing.example/',
+      }),
+    )
+
+    await expect
+      .poll(() =>
+        settingsPage.evaluate(async (title) => {
+          const [bookmark] = await chrome.bookmarks.search({
+            url: 'https://docs.filing.example/',
+          })
+          const [parent] = await chrome.bookmarks.get(bookmark.parentId)
+          return { title: bookmark.title, folder: parent.title }
+        }, folderTitle),
+      )
+      .toEqual({ title: 'Docs', folder: folderTitle })
+
+    await expect(
+      settingsPage.locator('.filing-log-entry').first(),
+    ).toContainText(`"Docs" → ${folderTitle} (Domain "filing.example")`)
+  })
+
+  test('tester names the first matching rule', async () => {
+    const folderTitle = `Tester ${Date.now()}`
+    await addDomainRule(folderTitle, 'tester.example')
+
+    await settingsPage
+      .locator('#filing-test-url')
+      .fill('https://a.tester.example/x')
+    await settingsPage.locator('#filing-test-run').click()
+    await expect(settingsPage.locator('#filing-test-result')).toContainText(
+      `Rule 1 (Domain "tester.example") files it into Other bookmarks › ${folderTitle}`,
+    )
+
+    await settingsPage
+      .locator('#filing-test-url')
+      .fill('https://other.example/')
+    await settingsPage.locator('#filing-test-run').click()
+    await expect(settingsPage.locator('#filing-test-result')).toContainText(
+      'No rule matches',
+    )
+  })
+
+  test('explorer dialogs are not filed', async () => {
+    const folderTitle = `Unfiled ${Date.now()}`
+    await addDomainRule(folderTitle, 'unfiled.example')
+
+    const explorer = await context.newPage()
+    await explorer.goto(
+      `chrome-extension://${extensionId}/fullpage/fullpage.html`,
+    )
+    await explorer.waitForSelector('#folder-tree')
+    await explorer.locator('#pane-1 button[data-action="new-bookmark"]').click()
+    await explorer.locator('#new-bookmark-title').fill('Stay here')
+    await explorer.locator('#new-bookmark-url').fill('https://unfiled.example/')
+    await explorer.locator('#new-bookmark-ok').click()
+    await expect(
+      explorer.locator('#pane-1 .content-item:has-text("Stay here")'),
+    ).toBeVisible()
+    await settingsPage.evaluate(() =>
+      chrome.bookmarks.create({
+        parentId: '1',
+        title: 'Filed anyway',
+        url: 'https://other.unfiled.example/',
+      }),
+    )
+
+    await expect
+      .poll(() =>
+        settingsPage.evaluate(async () => {
+          const [bookmark] = await chrome.bookmarks.search({
+            url: 'https://other.unfiled.example/',
+          })
+          const [parent] = await chrome.bookmarks.get(bookmark.parentId)
+          return parent.title
+        }),
+      )
+      .toBe(folderTitle)
+    const [bookmark] = await explorer.evaluate(() =>
+      chrome.bookmarks.search({ url: 'https://unfiled.example/' }),
+    )
+    expect(bookmark.parentId).toBe('1')
+    await explorer.close()
+  })
+
+  test('batch restores are not filed', async () => {
+    const folderTitle = `Batch Target ${Date.now()}`
+    await addDomainRule(folderTitle, 'batch.example')
+
+    const restoredId = await settingsPage.evaluate(async () => {
+      const nodes = [
+        {
+          title: 'Restored Folder',
+          children: [{ title: 'Batch', url: 'https://batch.example/' }],
+        },
+      ]
+      const [folderId] = await restoreBackupNodes(nodes, '1')
+      const [bookmark] = await chrome.bookmarks.getChildren(folderId)
+      return bookmark.id
+    })
+
+    // Give the service worker time to act on the created bookmark
+    await settingsPage.waitForTimeout(1000)
+    const [bookmark] = await settingsPage.evaluate(
+      (id) => chrome.bookmarks.get(id),
+      restoredId,
+    )
+    const [parent] = await settingsPage.evaluate(
+      (id) => chrome.bookmarks.get(id),
+      bookmark.parentId,
+    )
+    expect(parent.title).toBe('Restored Folder')
+  })
+})
@@ -0,0 +1,153 @@
+const { test, expect, chromium } = require('@playwright/test')
+const path = require('path')
+
+/**
+ * Tests for flattening a folder hierarchy.
+ *
+ * These tests verify:
+ * 1. Bookmarks in nested subfolders move up in place of their subfolder,
+ *    optionally prefixed with the subfolder path, and the subfolders go
+ * 2. One undo restores the whole structure, and bookmarks keep their IDs
+ */
+
+const EXTENSION_PATH = path.resolve(__dirname, '..')
+
+test.describe('Flatten Folder', () => {
+  /** @type {import('@playwright/test').BrowserContext} */
+  let context
+  /** @type {import('@playwright/test').Page} */
+  let extensionPage
+  let extensionId
+
+  test.beforeAll(async () => {
+    context = await chromium.launchPersistentContext('', {
+      headless: false, // Extensions require headed mode
+      args: [
+        `--disable-extensions-except=${EXTENSION_PATH}`,
+        `--load-extension=${EXTENSION_PATH}`,
+        '--no-first-run',
+        '--disable-default-apps',
+      ],
+    })
+
+    let [background] = context.serviceWorkers()
+    if (!background) {
+      background = await context.waitForEvent('serviceworker')
+    }
+    extensionId = background.url().split('/')[2]
+  })
+
+  test.afterAll(async () => {
+    await context?.close()
+  })
+
+  test.beforeEach(async () => {
+    extensionPage = await context.newPage()
+    await extensionPage.goto(
+      `chrome-extension://${extensionId}/fullpage/fullpage.html`,
+    )
+    await extensionPage.waitForSelector('#folder-tree')
+    await extensionPage.waitForTimeout(500)
+  })
+
+  test.afterEach(async () => {
+    await extensionPage?.close()
+  })
+
+  /**
+   * Creates a folder with bookmarks two levels deep.
+   * @param {string} title - Folder title
+   */
+  async function createNestedFolder(title) {
+    await extensionPage.evaluate(async (folderTitle) => {
+      const add = (parentId, title, url) =>
+        chrome.bookmarks.create({ parentId, title, url })
+
+      const folder = await add('1', folderTitle)
+      await add(folder.id, 'Start', 'https://start.flatten.example/')
+      const work = await add(folder.id, 'Work')
+      await add(work.id, 'Mail', 'https://mail.flatten.example/')
+      const docs = await add(work.id, 'Docs')
+      await add(docs.id, 'Spec', 'https://spec.flatten.example/')
+      await add(folder.id, 'End', 'https://end.flatten.example/')
+    }, title)
+  }
+
+  /**
+   * Describes a folder's contents as nested title lists.
+   * @param {string} title - Folder title
+   * @returns {Promise<Array>}
+   */
+  function getContents(title) {
+    return extensionPage.evaluate(async (folderTitle) => {
+      const [folder] = (
+        await chrome.bookmarks.search({ title: folderTitle })
+      ).filter((node) => !node.url)
+      const [subtree] = await chrome.bookmarks.getSubTree(folder.id)
+      const describe = (node) =>
+        node.url ? node.title : { [node.title]: node.children.map(describe) }
+      return subtree.children.map(describe)
+    }, title)
+  }
+
+  /**
+   * Lists the IDs of every bookmark under a folder, in tree order.
+   * @param {string} title - Folder title
+   * @returns {Promise<string[]>}
+   */
+  function getBookmarkIds(title) {
+    return extensionPage.evaluate(async (folderTitle) => {
+      const [folder] = (
+        await chrome.bookmarks.search({ title: folderTitle })
+      ).filter((node) => !node.url)
+      const [subtree] = await chrome.bookmarks.getSubTree(folder.id)
+      const collect = (node) =>
+        node.url ? [node.id] : node.children.flatMap(collect)
+      return collect(subtree)
+    }, title)
+  }
+
+  /**
+   * Flattens a folder through its context menu.
+   * @param {string} title - Folder title
+   * @param {boolean} prefixPath - Whether to prefix titles
+   */
+  async function flatten(title, prefixPath) {
+    await extensionPage
+      .locator(`#pane-1 .content-item:has-text("${title}")`)
+      .click({ button: 'right' })
+    await extensionPage.locator('#context-menu [data-action="flatten"]').click()
+    await extensionPage.locator('#flatten-prefix').setChecked(prefixPath)
+    await expect(extensionPage.locator('#flatten-list .diff-row')).toHaveCount(
+      2,
+    )
+    await extensionPage.locator('#flatten-ok').click()
+  }
+
+  test('moves nested bookmarks up in place of their subfolder', async () => {
+    const title = `Flatten ${Date.now()}`
+    await createNestedFolder(title)
+
+    await flatten(title, true)
+
+    await expect
+      .poll(() => getContents(title))
+      .toEqual(['Start', 'Work / Mail', 'Work / Docs / Spec', 'End'])
+  })
+
+  test('undo restores the whole structure', async () => {
+    const title = `Flatten Undo ${Date.now()}`
+    await createNestedFolder(title)
+    const original = await getContents(title)
+    const ids = await getBookmarkIds(title)
+
+    await flatten(title, false)
+    await expect
+      .poll(() => getContents(title))
+      .toEqual(['Start', 'Mail', 'Spec', 'End'])
+
+    await extensionPage.locator('#pane-1 button[data-action="undo"]').click()
+    await expect.poll(() => getContents(title)).toEqual(original)
+    expect(await getBookmarkIds(title)).toEqual(ids)
+  })
+})
@@ -0,0 +1,307 @@
+const { test, expect, chromium } = require('@playwright/test')
+const fs = require('fs')
+const path = require('path')
+
+/**
+ * Tests for bookmark import/export in Bookmark XP Explorer.
+ *
+ * These tests verify:
+ * 1. A folder can be exported from the context menu as Netscape HTML
+ * 2. Export is hidden for bookmarks
+ * 3. The pane toolbar exports the current folder
+ * 4. Markdown, CSV and URL list exports; CSV fields that look like
+ *    formulas are neutralized
+ * 5. Importing a bookmark file recreates its folder hierarchy in order
+ * 6. A whole import is undone in one step
+ */
+
+const EXTENSION_PATH = path.resolve(__dirname, '..')
+
+/**
+ * Builds a small bookmark file in the loose markup browsers export.
+ * @param {string} folderName
+ * @returns {string}
+ */
+function buildBookmarkFile(folderName) {
+  return `<!DOCTYPE NETSCAPE-Bookmark-file-1>
+<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">
+<TITLE>Bookmarks</TITLE>
+<H1>Bookmarks</H1>
+<DL><p>
+    <DT><H3 ADD_DATE="1700000000">${folderName}</H3>
+    <DL><p>
+        <DT><A HREF="https://first.example/" ADD_DATE="1700000000">First</A>
+        <DT><H3>Inner</H3>
+        <DD>Folder description
+        <DL><p>
+            <DT><A HREF="https://inner.example/">Inner Link</A>
+        </DL><p>
+        <DT><A HREF="place:sort=8">Firefox Smart Bookmark</A>
+        <DT><A HREF="https://last.example/">Last</A>
+    </DL><p>
+</DL><p>
+`
+}
+
+test.describe('Import / Export', () => {
+  /** @type {import('@playwright/test').BrowserContext} */
+  let context
+  /** @type {import('@playwright/test').Page} */
+  let extensionPage
+  let extensionId
+
+  test.beforeAll(async () => {
+    context = await chromium.launchPersistentContext('', {
+      headless: false, // Extensions require headed mode
+      acceptDownloads: true,
+      args: [
+        `--disable-extensions-except=${EXTENSION_PATH}`,
+        `--load-extension=${EXTENSION_PATH}`,
+        '--no-first-run',
+        '--disable-default-apps',
+      ],
+    })
+
+    let [background] = context.serviceWorkers()
+    if (!background) {
+      background = await context.waitForEvent('serviceworker')
+    }
+    extensionId = background.url().split('/')[2]
+  })
+
+  test.afterAll(async () => {
+    await context?.close()
+  })
+
+  test.beforeEach(async () => {
+    extensionPage = await context.newPage()
+    await extensionPage.goto(
+      `chrome-extension://${extensionId}/fullpage/fullpage.html`,
+    )
+    await extensionPage.waitForSelector('#folder-tree')
+    await extensionPage.waitForTimeout(500)
+  })
+
+  test.afterEach(async () => {
+    await extensionPage?.close()
+  })
+
+  /**
+   * Creates a folder with one nested folder and two bookmarks
+   * in the Bookmarks Bar, then reloads the pane.
+   * @param {string} folderName
+   */
+  async function createSampleFolder(folderName) {
+    await extensionPage.evaluate(async (name) => {
+      const folder = await chrome.bookmarks.create({
+        parentId: '1',
+        title: name,
+      })
+      await chrome.bookmarks.create({
+        parentId: folder.id,
+        title: 'Example & Co',
+        url: 'https://example.com/?a=1&b=2',
+      })
+      const nested = await chrome.bookmarks.create({
+        parentId: folder.id,
+        title: 'Nested',
+      })
+      await chrome.bookmarks.create({
+        parentId: nested.id,
+        title: 'Nested Link',
+        url: 'https://example.org/',
+      })
+    }, folderName)
+    await extensionPage.locator('#pane-1 button[data-action="refresh"]').click()
+  }
+
+  test('context menu export downloads Netscape bookmark HTML', async () => {
+    const folderName = `Export Test ${Date.now()}`
+    await createSampleFolder(folderName)
+
+    const folderItem = extensionPage.locator(
+      `.content-item:has-text("${folderName}")`,
+    )
+    await folderItem.click({ button: 'right' })
+
+    const [download] = await Promise.all([
+      extensionPage.waitForEvent('download'),
+      extensionPage
+        .locator('#context-menu [data-action="export"]')
+        .click()
+        .then(() => extensionPage.locator('#export-ok').click()),
+    ])
+
+    const html = fs.readFileSync(await download.path(), 'utf8')
+    expect(html).toContain('<!DOCTYPE NETSCAPE-Bookmark-file-1>')
+    expect(html).toContain(`>${folderName}</H3>`)
+    expect(html).toContain(
+      '<A HREF="https://example.com/?a=1&amp;b=2" ADD_DATE="',
+    )
+    expect(html).toContain('>Example &amp; Co</A>')
+    expect(html).toMatch(/<H3 ADD_DATE="\d+"[^>]*>Nested<\/H3>/)
+    expect(html).toContain('>Nested Link</A>')
+  })
+
+  test('context menu hides export for bookmarks', async () => {
+    const folderName = `Export Hidden ${Date.now()}`
+    await createSampleFolder(folderName)
+
+    await extensionPage
+      .locator(`.content-item:has-text("${folderName}")`)
+      .dblclick()
+    await extensionPage
+      .locator('.content-item:has-text("Example & Co")')
+      .click({ button: 'right' })
+
+    await expect(
+      extensionPage.locator('#context-menu [data-action="export"]'),
+    ).toBeHidden()
+  })
+
+  test('toolbar export downloads the current folder', async () => {
+    const [download] = await Promise.all([
+      extensionPage.waitForEvent('download'),
+      extensionPage
+        .locator('#pane-1 button[data-action="export"]')
+        .click()
+        .then(() => extensionPage.locator('#export-ok').click()),
+    ])
+
+    expect(download.suggestedFilename()).toMatch(/\.html$/)
+    const html = fs.readFileSync(await download.path(), 'utf8')
+    expect(html).toContain('PERSONAL_TOOLBAR_FOLDER="true"')
+  })
+
+  /**
+   * Exports from the pane 1 toolbar in the given format.
+   * @param {string} format - Export format picker value
+   * @returns {Promise<string>} Downloaded file contents
+   */
+  async function exportFromToolbar(format) {
+    await extensionPage.locator('#pane-1 button[data-action="export"]').click()
+    await extensionPage.locator('#export-format').selectOption(format)
+    const [download] = await Promise.all([
+      extensionPage.waitForEvent('download'),
+      extensionPage.locator('#export-ok').click(),
+    ])
+    return fs.readFileSync(await download.path(), 'utf8')
+  }
+
+  test('markdown export nests folders as lists', async () => {
+    const folderName = `Export Markdown ${Date.now()}`
+    await createSampleFolder(folderName)
+    await extensionPage
+      .locator(`.content-item:has-text("${folderName}")`)
+      .dblclick()
+
+    const markdown = await exportFromToolbar('markdown')
+    expect(markdown).toContain(
+      '- [Example & Co](https://example.com/?a=1&b=2)\n',
+    )
+    expect(markdown).toContain('- **Nested**\n  - [Nested Link]')
+  })
+
+  test('csv export lists bookmarks with folder paths', async () => {
+    const folderName = `Export CSV ${Date.now()}`
+    await createSampleFolder(folderName)
+    await extensionPage.evaluate(async (title) => {
+      const [folder] = await chrome.bookmarks.search({ title })
+      await chrome.bookmarks.create({
+        parentId: folder.id,
+        title: '=HYPERLINK("https://evil.example/")',
+        url: 'https://formula.example/',
+      })
+    }, folderName)
+    await extensionPage
+      .locator(`.content-item:has-text("${folderName}")`)
+      .dblclick()
+
+    const lines = (await exportFromToolbar('csv')).split('\r\n')
+    expect(lines[0]).toBe('title,url,folder,dateAdded')
+    expect(lines).toContainEqual(
+      expect.stringMatching(
+        new RegExp(
+          `^Nested Link,https://example.org/,.*${folderName} / Nested,\\d{4}-`,
+        ),
+      ),
+    )
+    expect(lines).toContainEqual(
+      expect.stringMatching(
+        /^"'=HYPERLINK\(""https:\/\/evil\.example\/""\)",https:\/\/formula/,
+      ),
+    )
+  })
+
+  test('selected items export as a url list', async () => {
+    const folderName = `Export URLs ${Date.now()}`
+    await createSampleFolder(folderName)
+    await extensionPage
+      .locator(`.content-item:has-text("${folderName}")`)
+      .click()
+
+    await extensionPage.locator('#pane-1 button[data-action="export"]').click()
+    await expect(extensionPage.locator('#export-scope')).toHaveValue(
+      'selection',
+    )
+    await extensionPage.locator('#export-format').selectOption('urls')
+    const [download] = await Promise.all([
+      extensionPage.waitForEvent('download'),
+      extensionPage.locator('#export-ok').click(),
+    ])
+
+    expect(download.suggestedFilename()).toMatch(/^selection-.*\.txt$/)
+    expect(fs.readFileSync(await download.path(), 'utf8')).toBe(
+      'https://example.com/?a=1&b=2\nhttps://example.org/\n',
+    )
+  })
+
+  /**
+   * Imports a generated bookmark file through the pane 1 toolbar.
+   * @param {string} folderName
+   */
+  async function importSampleFile(folderName) {
+    const [fileChooser] = await Promise.all([
+      extensionPage.waitForEvent('filechooser'),
+      extensionPage.locator('#pane-1 button[data-action="import"]').click(),
+    ])
+    await fileChooser.setFiles({
+      name: 'bookmarks.html',
+      mimeType: 'text/html',
+      buffer: Buffer.from(buildBookmarkFile(folderName)),
+    })
+  }
+
+  test('import recreates folder hierarchy in file order', async () => {
+    const folderName = `Import Test ${Date.now()}`
+    await importSampleFile(folderName)
+
+    const folderItem = extensionPage.locator(
+      `.content-item:has-text("${folderName}")`,
+    )
+    await expect(folderItem).toBeVisible()
+
+    await folderItem.dblclick()
+    const labels = extensionPage.locator('#pane-1 .content-item-label')
+    await expect(labels).toHaveText(['First', 'Inner', 'Last'])
+
+    await extensionPage.locator('.content-item:has-text("Inner")').dblclick()
+    await expect(labels).toHaveText(['Inner Link'])
+  })
+
+  test('import is undone as a single action', async () => {
+    const folderName = `Import Undo ${Date.now()}`
+    await importSampleFile(folderName)
+
+    const folderItem = extensionPage.locator(
+      `.content-item:has-text("${folderName}")`,
+    )
+    await expect(folderItem).toBeVisible()
+
+    const undoBtn = extensionPage.locator('#pane-1 button[data-action="undo"]')
+    await undoBtn.click()
+
+    await expect(folderItem).toHaveCount(0)
+    await expect(undoBtn).toBeDisabled()
+  })
+})
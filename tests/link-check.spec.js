@@ -0,0 +1,158 @@
+const { test, expect } = require('@playwright/test')
+const fs = require('fs')
+const http = require('http')
+const path = require('path')
+const vm = require('vm')
+
+/**
+ * Tests for the link checker's HTTP probe, run against a local server.
+ *
+ * These tests verify:
+ * 1. Working, missing and gone pages are classified by status
+ * 2. Redirects report the final URL
+ * 3. Servers that reject HEAD are retried with GET
+ * 4. Slow servers time out and closed ports are unreachable
+ * 5. checkLinks() keeps to its concurrency limit and input order
+ */
+
+/**
+ * Loads the shared link checker script, which expects browser globals.
+ * @returns {Object} The script's top-level functions and constants
+ */
+function loadLinkChecker() {
+  const context = vm.createContext({
+    fetch,
+    AbortController,
+    setTimeout,
+    clearTimeout,
+  })
+  const source = fs.readFileSync(
+    path.resolve(__dirname, '../shared/bookmark-link-check.js'),
+    'utf8',
+  )
+  vm.runInContext(source, context)
+  return vm.runInContext('({ LinkStatus, probeLink, checkLinks })', context)
+}
+
+test.describe('Link Checker', () => {
+  const { LinkStatus, probeLink, checkLinks } = loadLinkChecker()
+  /** @type {http.Server} */
+  let server
+  let baseUrl
+  let inFlight = 0
+  let maxInFlight = 0
+
+  test.beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      switch (req.url) {
+        case '/ok':
+          res.writeHead(200).end('ok')
+          break
+        case '/missing':
+          res.writeHead(404).end()
+          break
+        case '/gone':
+          res.writeHead(410).end()
+          break
+        case '/broken':
+          res.writeHead(500).end()
+          break
+        case '/old':
+          res.writeHead(301, { Location: '/ok' }).end()
+          break
+        case '/get-only':
+          res.writeHead(req.method === 'HEAD' ? 405 : 200).end()
+          break
+        case '/slow':
+          setTimeout(() => res.writeHead(200).end(), 1000)
+          break
+        default:
+          // Hold briefly so concurrent requests overlap
+          inFlight++
+          maxInFlight = Math.max(maxInFlight, inFlight)
+          setTimeout(() => {
+            inFlight--
+            res.writeHead(200).end()
+          }, 50)
+      }
+    })
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve))
+    baseUrl = `http://127.0.0.1:${server.address().port}`
+  })
+
+  test.afterAll(async () => {
+    server.closeAllConnections()
+    await new Promise((resolve) => server.close(resolve))
+  })
+
+  test('classifies pages by status', async () => {
+    expect(await probeLink(`${baseUrl}/ok`)).toMatchObject({
+      status: LinkStatus.OK,
+      httpStatus: 200,
+    })
+    expect(await probeLink(`${baseUrl}/missing`)).toMatchObject({
+      status: LinkStatus.NOT_FOUND,
+      httpStatus: 404,
+    })
+    expect(await probeLink(`${baseUrl}/gone`)).toMatchObject({
+      status: LinkStatus.NOT_FOUND,
+      httpStatus: 410,
+    })
+    expect(await probeLink(`${baseUrl}/broken`)).toMatchObject({
+      status: LinkStatus.ERROR,
+      httpStatus: 500,
+    })
+    expect(await probeLink('javascript:void(0)')).toMatchObject({
+      status: LinkStatus.SKIPPED,
+    })
+  })
+
+  test('reports the final URL of a redirect', async () => {
+    expect(await probeLink(`${baseUrl}/old`)).toMatchObject({
+      status: LinkStatus.REDIRECT,
+      finalUrl: `${baseUrl}/ok`,
+    })
+  })
+
+  test('retries with GET when HEAD is rejected', async () => {
+    expect(await probeLink(`${baseUrl}/get-only`)).toMatchObject({
+      status: LinkStatus.OK,
+      httpStatus: 200,
+    })
+  })
+
+  test('times out slow servers and flags closed ports', async () => {
+    expect(await probeLink(`${baseUrl}/slow`, { timeout: 200 })).toMatchObject({
+      status: LinkStatus.TIMEOUT,
+    })
+
+    // Nothing listens on port 1
+    expect(await probeLink('http://127.0.0.1:1/')).toMatchObject({
+      status: LinkStatus.UNREACHABLE,
+    })
+  })
+
+  test('checkLinks limits concurrency and keeps input order', async () => {
+    const bookmarks = Array.from({ length: 8 }, (_, i) => ({
+      id: String(i),
+      url: `${baseUrl}/page-${i}`,
+    }))
+    const progress = []
+    maxInFlight = 0
+
+    const results = await checkLinks(bookmarks, {
+      concurrency: 3,
+      onResult: (node, result, done) => progress.push(done),
+    })
+
+    expect(maxInFlight).toBeLessThanOrEqual(3)
+    expect(maxInFlight).toBeGreaterThan(1)
+    expect(results.map(({ node }) => node.id)).toEqual(
+      bookmarks.map(({ id }) => id),
+    )
+    expect(results.every(({ result }) => result.status === LinkStatus.OK)).toBe(
+      true,
+    )
+    expect(progress).toEqual([1, 2, 3, 4, 5, 6, 7, 8])
+  })
+})
@@ -0,0 +1,199 @@
+const { test, expect, chromium } = require('@playwright/test')
+const path = require('path')
+
+/**
+ * Tests for merging one folder into another.
+ *
+ * These tests verify:
+ * 1. Same-name subfolders merge recursively, duplicate URLs are skipped
+ *    and the emptied source is removed
+ * 2. One undo restores both folders, and bookmarks keep their IDs
+ * 3. In split view the other pane's folder is preselected as the target
+ */
+
+const EXTENSION_PATH = path.resolve(__dirname, '..')
+
+test.describe('Merge Folders', () => {
+  /** @type {import('@playwright/test').BrowserContext} */
+  let context
+  /** @type {import('@playwright/test').Page} */
+  let extensionPage
+  let extensionId
+
+  test.beforeAll(async () => {
+    context = await chromium.launchPersistentContext('', {
+      headless: false, // Extensions require headed mode
+      args: [
+        `--disable-extensions-except=${EXTENSION_PATH}`,
+        `--load-extension=${EXTENSION_PATH}`,
+        '--no-first-run',
+        '--disable-default-apps',
+      ],
+    })
+
+    let [background] = context.serviceWorkers()
+    if (!background) {
+      background = await context.waitForEvent('serviceworker')
+    }
+    extensionId = background.url().split('/')[2]
+  })
+
+  test.afterAll(async () => {
+    await context?.close()
+  })
+
+  test.beforeEach(async () => {
+    extensionPage = await context.newPage()
+    await extensionPage.goto(
+      `chrome-extension://${extensionId}/fullpage/fullpage.html`,
+    )
+    await extensionPage.waitForSelector('#folder-tree')
+    await extensionPage.waitForTimeout(500)
+  })
+
+  test.afterEach(async () => {
+    await extensionPage?.close()
+  })
+
+  /**
+   * Creates a source and a target folder that overlap.
+   * @param {string} marker - Unique title prefix
+   */
+  async function createOverlappingFolders(marker) {
+    await extensionPage.evaluate(async (prefix) => {
+      const add = (parentId, title, url) =>
+        chrome.bookmarks.create({ parentId, title, url })
+
+      const target = await add('1', `${prefix} Target`)
+      const targetWork = await add(target.id, 'Work')
+      await add(targetWork.id, 'Wiki', 'https://wiki.merge.example/')
+      await add(target.id, 'Home', 'https://home.merge.example/')
+
+      const source = await add('1', `${prefix} Source`)
+      const sourceWork = await add(source.id, 'work')
+      await add(sourceWork.id, 'Wiki copy', 'https://wiki.merge.example/')
+      await add(sourceWork.id, 'Tracker', 'https://tracker.merge.example/')
+      await add(source.id, 'News', 'https://news.merge.example/')
+    }, marker)
+  }
+
+  /**
+   * Describes a folder's contents as nested title lists.
+   * @param {string} title - Folder title
+   * @returns {Promise<Array|null>} null if the folder does not exist
+   */
+  function getContents(title) {
+    return extensionPage.evaluate(async (folderTitle) => {
+      const [folder] = (
+        await chrome.bookmarks.search({ title: folderTitle })
+      ).filter((node) => !node.url)
+      if (!folder) return null
+      const [subtree] = await chrome.bookmarks.getSubTree(folder.id)
+      const describe = (node) =>
+        node.url ? node.title : { [node.title]: node.children.map(describe) }
+      return subtree.children.map(describe)
+    }, title)
+  }
+
+  /**
+   * Looks up bookmarks in a test's two folders by title.
+   * @param {string} marker - Unique title prefix
+   * @param {string[]} titles - Bookmark titles
+   * @returns {Promise<string[]>} IDs in the order of titles
+   */
+  function getBookmarkIds(marker, titles) {
+    return extensionPage.evaluate(
+      async ({ prefix, wanted }) => {
+        const nodes = []
+        for (const title of [`${prefix} Target`, `${prefix} Source`]) {
+          const [folder] = await chrome.bookmarks.search({ title })
+          if (!folder) continue
+          const [subtree] = await chrome.bookmarks.getSubTree(folder.id)
+          const collect = (node) =>
+            node.url ? nodes.push(node) : node.children.forEach(collect)
+          collect(subtree)
+        }
+        return wanted.map((title) => nodes.find((n) => n.title === title)?.id)
+      },
+      { prefix: marker, wanted: titles },
+    )
+  }
+
+  /**
+   * Opens the merge dialog for the source folder.
+   * @param {string} marker - Unique title prefix
+   * @param {string} action - Context menu action
+   */
+  async function openMergeDialog(marker, action = 'merge') {
+    await extensionPage
+      .locator(`#pane-1 .content-item:has-text("${marker} Source")`)
+      .click({ button: 'right' })
+    await extensionPage
+      .locator(`#context-menu [data-action="${action}"]`)
+      .click()
+  }
+
+  test('merges subfolders, skips duplicates and removes the source', async () => {
+    const marker = `Merge ${Date.now()}`
+    await createOverlappingFolders(marker)
+
+    await openMergeDialog(marker)
+    await extensionPage
+      .locator('#merge-target')
+      .selectOption({ label: `\u00a0\u00a0${marker} Target` })
+    await expect(extensionPage.locator('#merge-list .diff-row')).toHaveText(
+      /Wiki copy/,
+    )
+    await extensionPage.locator('#merge-ok').click()
+
+    await expect
+      .poll(() => getContents(`${marker} Target`))
+      .toEqual([{ Work: ['Wiki', 'Tracker'] }, 'Home', 'News'])
+    expect(await getContents(`${marker} Source`)).toBeNull()
+  })
+
+  test('undo restores both folders', async () => {
+    const marker = `Merge Undo ${Date.now()}`
+    await createOverlappingFolders(marker)
+    const target = await getContents(`${marker} Target`)
+    const source = await getContents(`${marker} Source`)
+    const ids = await getBookmarkIds(marker, [
+      'Home',
+      'Wiki',
+      'Tracker',
+      'News',
+    ])
+
+    await openMergeDialog(marker)
+    await extensionPage
+      .locator('#merge-target')
+      .selectOption({ label: `\u00a0\u00a0${marker} Target` })
+    await extensionPage.locator('#merge-ok').click()
+    await expect.poll(() => getContents(`${marker} Source`)).toBeNull()
+
+    await extensionPage.locator('#pane-1 button[data-action="undo"]').click()
+    await expect.poll(() => getContents(`${marker} Target`)).toEqual(target)
+    expect(await getContents(`${marker} Source`)).toEqual(source)
+    expect(
+      await getBookmarkIds(marker, ['Home', 'Wiki', 'Tracker', 'News']),
+    ).toEqual(ids)
+  })
+
+  test('split view preselects the other pane folder', async () => {
+    const marker = `Merge Split ${Date.now()}`
+    await createOverlappingFolders(marker)
+
+    await extensionPage.locator('[data-mode="split"]').click()
+    const targetId = await extensionPage.evaluate(
+      async (title) => (await chrome.bookmarks.search({ title }))[0].id,
+      `${marker} Target`,
+    )
+    await extensionPage.evaluate((id) => navigatePane(2, id), targetId)
+
+    await openMergeDialog(marker, 'merge-other-pane')
+    await expect(extensionPage.locator('#merge-target')).toHaveValue(targetId)
+    await expect(extensionPage.locator('#merge-summary')).toContainText(
+      '1 same-name subfolders merge',
+    )
+  })
+})
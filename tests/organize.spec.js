@@ -0,0 +1,144 @@
+const { test, expect, chromium } = require('@playwright/test')
+const path = require('path')
+
+/**
+ * Tests for organizing a folder into one subfolder per site.
+ *
+ * These tests verify:
+ * 1. The preview groups subdomains under their registrable domain and
+ *    leaves sites below the minimum group size alone
+ * 2. Organizing files bookmarks into new and existing site folders, and
+ *    one undo restores the original folder
+ */
+
+const EXTENSION_PATH = path.resolve(__dirname, '..')
+
+test.describe('Organize by Site', () => {
+  /** @type {import('@playwright/test').BrowserContext} */
+  let context
+  /** @type {import('@playwright/test').Page} */
+  let extensionPage
+  let extensionId
+
+  test.beforeAll(async () => {
+    context = await chromium.launchPersistentContext('', {
+      headless: false, // Extensions require headed mode
+      args: [
+        `--disable-extensions-except=${EXTENSION_PATH}`,
+        `--load-extension=${EXTENSION_PATH}`,
+        '--no-first-run',
+        '--disable-default-apps',
+      ],
+    })
+
+    let [background] = context.serviceWorkers()
+    if (!background) {
+      background = await context.waitForEvent('serviceworker')
+    }
+    extensionId = background.url().split('/')[2]
+  })
+
+  test.afterAll(async () => {
+    await context?.close()
+  })
+
+  test.beforeEach(async () => {
+    extensionPage = await context.newPage()
+    await extensionPage.goto(
+      `chrome-extension://${extensionId}/fullpage/fullpage.html`,
+    )
+    await extensionPage.waitForSelector('#folder-tree')
+    await extensionPage.waitForTimeout(500)
+  })
+
+  test.afterEach(async () => {
+    await extensionPage?.close()
+  })
+
+  /**
+   * Creates a folder of loose bookmarks in the Bookmarks bar.
+   * @param {string} marker - Folder title
+   */
+  async function createMixedFolder(marker) {
+    await extensionPage.evaluate(async (title) => {
+      const folder = await chrome.bookmarks.create({ parentId: '1', title })
+      const add = (parentId, title, url) =>
+        chrome.bookmarks.create({ parentId, title, url })
+
+      await add(folder.id, 'News', 'https://news.example.co.uk/')
+      await add(folder.id, 'Lone', 'https://lone.example/')
+      await add(folder.id, 'Shop', 'https://shop.example.co.uk/')
+      const existing = await add(folder.id, 'docs.dev')
+      await add(existing.id, 'Already filed', 'https://docs.dev/a')
+      await add(folder.id, 'Guide', 'https://www.docs.dev/guide')
+    }, marker)
+  }
+
+  /**
+   * Lists a folder's children, with the titles inside each subfolder.
+   * @param {string} marker - Folder title
+   */
+  function getStructure(marker) {
+    return extensionPage.evaluate(async (title) => {
+      const [folder] = await chrome.bookmarks.search({ title })
+      const [subtree] = await chrome.bookmarks.getSubTree(folder.id)
+      return subtree.children.map((child) =>
+        child.url
+          ? child.title
+          : { [child.title]: child.children.map((c) => c.title) },
+      )
+    }, marker)
+  }
+
+  /**
+   * Opens the organize dialog for a folder through its context menu.
+   * @param {string} marker - Folder title
+   * @param {number} minGroupSize - Minimum bookmarks per site
+   */
+  async function openOrganizeDialog(marker, minGroupSize) {
+    await extensionPage
+      .locator(`#pane-1 .content-item:has-text("${marker}")`)
+      .click({ button: 'right' })
+    await extensionPage
+      .locator('#context-menu [data-action="organize"]')
+      .click()
+    await extensionPage.locator('#organize-min-size').fill(String(minGroupSize))
+  }
+
+  test('previews site groups above the minimum size', async () => {
+    const marker = `Organize Preview ${Date.now()}`
+    await createMixedFolder(marker)
+
+    await openOrganizeDialog(marker, 2)
+
+    const rows = extensionPage.locator('#organize-list .diff-row')
+    await expect(rows).toHaveCount(2)
+    await expect(rows.nth(0)).toContainText('docs.dev')
+    await expect(rows.nth(0).locator('.diff-badge')).toHaveText('Existing')
+    await expect(rows.nth(1)).toContainText('example.co.uk')
+    await expect(rows.nth(1).locator('.diff-badge')).toHaveText('New')
+    await expect(extensionPage.locator('#organize-list')).not.toContainText(
+      'Lone',
+    )
+  })
+
+  test('files bookmarks by site and undoes in one step', async () => {
+    const marker = `Organize Apply ${Date.now()}`
+    await createMixedFolder(marker)
+    const before = await getStructure(marker)
+
+    await openOrganizeDialog(marker, 2)
+    await extensionPage.locator('#organize-ok').click()
+
+    await expect
+      .poll(() => getStructure(marker))
+      .toEqual([
+        'Lone',
+        { 'docs.dev': ['Already filed', 'Guide'] },
+        { 'example.co.uk': ['News', 'Shop'] },
+      ])
+
+    await extensionPage.locator('#pane-1 button[data-action="undo"]').click()
+    await expect.poll(() => getStructure(marker)).toEqual(before)
+  })
+})
@@ -0,0 +1,200 @@
+const { test, expect, chromium } = require('@playwright/test')
+const path = require('path')
+
+/**
+ * Tests for bulk find and replace in titles and URLs.
+ *
+ * These tests verify:
+ * 1. The preview lists before/after values and only the chosen scope
+ *    changes
+ * 2. Regex replacements use group references and one undo reverts all
+ * 3. An invalid regex is reported and cannot be applied
+ * 4. Only the previewed rows are applied, not bookmarks added since
+ */
+
+const EXTENSION_PATH = path.resolve(__dirname, '..')
+
+test.describe('Find and Replace', () => {
+  /** @type {import('@playwright/test').BrowserContext} */
+  let context
+  /** @type {import('@playwright/test').Page} */
+  let extensionPage
+  let extensionId
+
+  test.beforeAll(async () => {
+    context = await chromium.launchPersistentContext('', {
+      headless: false, // Extensions require headed mode
+      args: [
+        `--disable-extensions-except=${EXTENSION_PATH}`,
+        `--load-extension=${EXTENSION_PATH}`,
+        '--no-first-run',
+        '--disable-default-apps',
+      ],
+    })
+
+    let [background] = context.serviceWorkers()
+    if (!background) {
+      background = await context.waitForEvent('serviceworker')
+    }
+    extensionId = background.url().split('/')[2]
+  })
+
+  test.afterAll(async () => {
+    await context?.close()
+  })
+
+  test.beforeEach(async () => {
+    extensionPage = await context.newPage()
+    await extensionPage.goto(
+      `chrome-extension://${extensionId}/fullpage/fullpage.html`,
+    )
+    await extensionPage.waitForSelector('#folder-tree')
+    await extensionPage.waitForTimeout(500)
+  })
+
+  test.afterEach(async () => {
+    await extensionPage?.close()
+  })
+
+  /**
+   * Creates a folder of wiki bookmarks with one more in a subfolder.
+   * @param {string} title - Folder title
+   */
+  async function createWikiFolder(title) {
+    await extensionPage.evaluate(async (folderTitle) => {
+      const add = (parentId, title, url) =>
+        chrome.bookmarks.create({ parentId, title, url })
+
+      const folder = await add('1', folderTitle)
+      await add(folder.id, 'Wiki home', 'https://wiki.old-corp.example/')
+      await add(folder.id, 'Wiki docs', 'https://wiki.old-corp.example/docs')
+      const team = await add(folder.id, 'Team')
+      await add(team.id, 'Team wiki', 'https://wiki.old-corp.example/team')
+    }, title)
+  }
+
+  /**
+   * Lists every bookmark URL under a folder, in tree order.
+   * @param {string} title - Folder title
+   * @returns {Promise<string[]>}
+   */
+  function getUrls(title) {
+    return extensionPage.evaluate(async (folderTitle) => {
+      const [folder] = (
+        await chrome.bookmarks.search({ title: folderTitle })
+      ).filter((node) => !node.url)
+      const [subtree] = await chrome.bookmarks.getSubTree(folder.id)
+      const collect = (node) =>
+        node.url ? [node.url] : node.children.flatMap(collect)
+      return collect(subtree)
+    }, title)
+  }
+
+  /**
+   * Opens the dialog for a folder through its context menu.
+   * @param {string} title - Folder title
+   */
+  async function openReplaceDialog(title) {
+    await extensionPage
+      .locator(`#pane-1 .content-item:has-text("${title}")`)
+      .click({ button: 'right' })
+    await extensionPage
+      .locator('#context-menu [data-action="find-replace"]')
+      .click()
+  }
+
+  test('previews and replaces within the folder only', async () => {
+    const title = `Replace ${Date.now()}`
+    await createWikiFolder(title)
+
+    await openReplaceDialog(title)
+    await extensionPage.locator('#replace-scope').selectOption('folder')
+    await extensionPage.locator('#replace-titles').uncheck()
+    await extensionPage.locator('#replace-find').fill('old-corp')
+    await extensionPage.locator('#replace-with').fill('new-corp')
+
+    const rows = extensionPage.locator('#replace-preview tbody tr')
+    await expect(rows).toHaveCount(2)
+    await expect(rows.first()).toContainText('https://wiki.old-corp.example/')
+    await expect(rows.first()).toContainText('https://wiki.new-corp.example/')
+    await extensionPage.locator('#replace-ok').click()
+
+    await expect
+      .poll(() => getUrls(title))
+      .toEqual([
+        'https://wiki.new-corp.example/',
+        'https://wiki.new-corp.example/docs',
+        'https://wiki.old-corp.example/team',
+      ])
+  })
+
+  test('regex replaces the subtree and undoes in one step', async () => {
+    const title = `Replace Regex ${Date.now()}`
+    await createWikiFolder(title)
+    const original = await getUrls(title)
+
+    await openReplaceDialog(title)
+    await extensionPage.locator('#replace-scope').selectOption('subtree')
+    await extensionPage.locator('#replace-regex').check()
+    await extensionPage
+      .locator('#replace-find')
+      .fill('wiki\\.([a-z-]+)\\.example')
+    await extensionPage.locator('#replace-with').fill('docs.$1.example')
+    await extensionPage.locator('#replace-ok').click()
+
+    await expect
+      .poll(() => getUrls(title))
+      .toEqual(original.map((url) => url.replace('wiki.', 'docs.')))
+
+    await extensionPage.locator('#pane-1 button[data-action="undo"]').click()
+    await expect.poll(() => getUrls(title)).toEqual(original)
+  })
+
+  test('applies only what the preview showed', async () => {
+    const title = `Replace Stale ${Date.now()}`
+    await createWikiFolder(title)
+
+    await openReplaceDialog(title)
+    await extensionPage.locator('#replace-scope').selectOption('folder')
+    await extensionPage.locator('#replace-find').fill('old-corp')
+    await extensionPage.locator('#replace-with').fill('new-corp')
+    await expect(
+      extensionPage.locator('#replace-preview tbody tr'),
+    ).toHaveCount(2)
+
+    await extensionPage.evaluate(async (folderTitle) => {
+      const [folder] = (
+        await chrome.bookmarks.search({ title: folderTitle })
+      ).filter((node) => !node.url)
+      await chrome.bookmarks.create({
+        parentId: folder.id,
+        title: 'Added later',
+        url: 'https://wiki.old-corp.example/later',
+      })
+    }, title)
+    await extensionPage.locator('#replace-ok').click()
+
+    await expect
+      .poll(() => getUrls(title))
+      .toEqual([
+        'https://wiki.new-corp.example/',
+        'https://wiki.new-corp.example/docs',
+        'https://wiki.old-corp.example/team',
+        'https://wiki.old-corp.example/later',
+      ])
+  })
+
+  test('reports an invalid regular expression', async () => {
+    const title = `Replace Invalid ${Date.now()}`
+    await createWikiFolder(title)
+
+    await openReplaceDialog(title)
+    await extensionPage.locator('#replace-regex').check()
+    await extensionPage.locator('#replace-find').fill('wiki(')
+
+    await expect(extensionPage.locator('#replace-summary')).toContainText(
+      'Invalid pattern',
+    )
+    await expect(extensionPage.locator('#replace-ok')).toBeDisabled()
+  })
+})
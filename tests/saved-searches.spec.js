@@ -0,0 +1,147 @@
+const { test, expect, chromium } = require('@playwright/test')
+const path = require('path')
+
+/**
+ * Tests for saved searches (smart folders) in Bookmark XP Explorer.
+ *
+ * These tests verify:
+ * 1. A pane search can be saved and appears under "Saved Searches"
+ * 2. Opening a saved search runs it live and persists across reloads
+ * 3. A saved search can be deleted from the sidebar
+ */
+
+const EXTENSION_PATH = path.resolve(__dirname, '..')
+
+test.describe('Saved Searches', () => {
+  /** @type {import('@playwright/test').BrowserContext} */
+  let context
+  /** @type {import('@playwright/test').Page} */
+  let extensionPage
+  let extensionId
+
+  test.beforeAll(async () => {
+    context = await chromium.launchPersistentContext('', {
+      headless: false, // Extensions require headed mode
+      args: [
+        `--disable-extensions-except=${EXTENSION_PATH}`,
+        `--load-extension=${EXTENSION_PATH}`,
+        '--no-first-run',
+        '--disable-default-apps',
+      ],
+    })
+
+    let [background] = context.serviceWorkers()
+    if (!background) {
+      background = await context.waitForEvent('serviceworker')
+    }
+    extensionId = background.url().split('/')[2]
+  })
+
+  test.afterAll(async () => {
+    await context?.close()
+  })
+
+  test.beforeEach(async () => {
+    extensionPage = await context.newPage()
+    await extensionPage.goto(
+      `chrome-extension://${extensionId}/fullpage/fullpage.html`,
+    )
+    await extensionPage.waitForSelector('#folder-tree')
+    await extensionPage.waitForTimeout(500)
+  })
+
+  test.afterEach(async () => {
+    await extensionPage?.close()
+  })
+
+  /**
+   * Creates a bookmark in Other Bookmarks.
+   * @param {string} title
+   */
+  async function createBookmark(title) {
+    await extensionPage.evaluate(
+      (bookmarkTitle) =>
+        chrome.bookmarks.create({
+          parentId: '2',
+          title: bookmarkTitle,
+          url: 'https://smart.example/',
+        }),
+      title,
+    )
+  }
+
+  /**
+   * Saves the given query from pane 1 under a name.
+   * @param {string} query
+   * @param {string} name
+   */
+  async function saveSearch(query, name) {
+    await extensionPage.locator('.search-input[data-pane="1"]').fill(query)
+    await expect(
+      extensionPage.locator('.status-text[data-pane="1"]'),
+    ).toContainText('Search:')
+    await extensionPage.locator('#pane-1 .search-save').click()
+    await extensionPage.locator('#save-search-name').fill(name)
+    await extensionPage.locator('#save-search-ok').click()
+  }
+
+  test('saved search appears in the sidebar and runs live', async () => {
+    const marker = `Smart${Date.now()}`
+    const name = `Smart Folder ${marker}`
+    await createBookmark(`${marker} First`)
+
+    await saveSearch(`title:${marker}`, name)
+
+    const treeItem = extensionPage.locator('.tree-item.saved-search', {
+      hasText: name,
+    })
+    await expect(treeItem).toBeVisible()
+    await expect(
+      extensionPage.locator('.address-path[data-pane="1"]'),
+    ).toContainText(name)
+    await expect(extensionPage.locator('#pane-1 .content-item')).toHaveCount(1)
+
+    // New matches show up the next time the smart folder is opened
+    await createBookmark(`${marker} Second`)
+    await extensionPage.locator('#pane-1 button[data-action="refresh"]').click()
+    await expect(extensionPage.locator('#pane-1 .content-item')).toHaveCount(2)
+
+    const stored = await extensionPage.evaluate(
+      async () =>
+        (await chrome.storage.local.get('savedSearches')).savedSearches,
+    )
+    expect(stored).toContainEqual(
+      expect.objectContaining({ name, query: `title:${marker}`, regex: false }),
+    )
+
+    await extensionPage.reload()
+    await extensionPage.waitForSelector('#folder-tree')
+    await extensionPage
+      .locator('.tree-item.saved-search', { hasText: name })
+      .click()
+    await expect(
+      extensionPage.locator(
+        `#pane-1 .content-item:has-text("${marker} Second")`,
+      ),
+    ).toBeVisible()
+  })
+
+  test('saved search can be deleted', async () => {
+    const marker = `Doomed${Date.now()}`
+    const name = `Doomed Folder ${marker}`
+    await createBookmark(`${marker} Item`)
+    await saveSearch(marker, name)
+
+    const treeItem = extensionPage.locator('.tree-item.saved-search', {
+      hasText: name,
+    })
+    extensionPage.once('dialog', (dialog) => dialog.accept())
+    await treeItem.hover()
+    await treeItem.locator('.saved-search-delete').click()
+
+    await expect(treeItem).toHaveCount(0)
+    await expect(
+      extensionPage.locator('.address-path[data-pane="1"]'),
+    ).not.toContainText(name)
+  })
+})
@@ -0,0 +1,420 @@
+const { test, expect, chromium } = require('@playwright/test')
+const path = require('path')
+
+/**
+ * Tests for the search query language.
+ *
+ * These tests verify:
+ * 1. Field operators, phrases and negation filter the tree
+ * 2. added: compares against whole days
+ * 3. in: matches a folder path and its subfolders
+ * 4. The pane search box finds bookmarks by domain
+ * 5. Malformed operators are reported in the status bar
+ * 6. Typos still match, best matches first, with highlighted characters
+ * 7. Bookmarks created after the first search are found
+ * 8. Regex mode highlights capture groups, ignores case unless the
+ *    pattern has a capital letter outside escapes, and can target URLs
+ *    only
+ * 9. Invalid patterns are reported in the status bar
+ * 10. Results show their folder path and can be grouped by folder
+ * 11. "Open Containing Folder" navigates to and selects a result
+ * 12. The scope selector limits results to the current folder and is
+ *     remembered per pane
+ */
+
+const EXTENSION_PATH = path.resolve(__dirname, '..')
+
+/**
+ * A small tree in chrome.bookmarks.getTree() shape
+ */
+const SAMPLE_TREE = [
+  {
+    id: '0',
+    title: '',
+    children: [
+      {
+        id: '1',
+        title: 'Bookmarks bar',
+        children: [
+          {
+            id: '10',
+            title: 'Work',
+            dateAdded: new Date(2023, 0, 1).getTime(),
+            children: [
+              {
+                id: '11',
+                title: 'Team Wiki',
+                url: 'https://wiki.example.com/home',
+                dateAdded: new Date(2024, 0, 1, 12).getTime(),
+              },
+              {
+                id: '12',
+                title: 'Projects',
+                dateAdded: new Date(2023, 5, 1).getTime(),
+                children: [
+                  {
+                    id: '13',
+                    title: 'Old Roadmap',
+                    url: 'https://docs.other.org/roadmap',
+                    dateAdded: new Date(2023, 5, 2).getTime(),
+                  },
+                ],
+              },
+            ],
+          },
+          {
+            id: '20',
+            title: 'Example Home',
+            url: 'https://example.com/',
+            dateAdded: new Date(2024, 2, 3).getTime(),
+          },
+        ],
+      },
+    ],
+  },
+]
+
+test.describe('Search Query Language', () => {
+  /** @type {import('@playwright/test').BrowserContext} */
+  let context
+  /** @type {import('@playwright/test').Page} */
+  let extensionPage
+  let extensionId
+
+  test.beforeAll(async () => {
+    context = await chromium.launchPersistentContext('', {
+      headless: false, // Extensions require headed mode
+      args: [
+        `--disable-extensions-except=${EXTENSION_PATH}`,
+        `--load-extension=${EXTENSION_PATH}`,
+        '--no-first-run',
+        '--disable-default-apps',
+      ],
+    })
+
+    let [background] = context.serviceWorkers()
+    if (!background) {
+      background = await context.waitForEvent('serviceworker')
+    }
+    extensionId = background.url().split('/')[2]
+  })
+
+  test.afterAll(async () => {
+    await context?.close()
+  })
+
+  test.beforeEach(async () => {
+    extensionPage = await context.newPage()
+    await extensionPage.goto(
+      `chrome-extension://${extensionId}/fullpage/fullpage.html`,
+    )
+    await extensionPage.waitForSelector('#folder-tree')
+    await extensionPage.waitForTimeout(500)
+  })
+
+  test.afterEach(async () => {
+    await extensionPage?.close()
+  })
+
+  /**
+   * Runs a query over SAMPLE_TREE in the page.
+   * @param {string} query
+   * @returns {Promise<string[]>} IDs of matching nodes
+   */
+  async function search(query) {
+    return extensionPage.evaluate(
+      ({ tree, q }) => searchBookmarkTree(tree, q).map((node) => node.id),
+      { tree: SAMPLE_TREE, q: query },
+    )
+  }
+
+  test('field operators, phrases and negation', async () => {
+    expect(await search('example')).toEqual(['11', '20'])
+    expect(await search('domain:example.com')).toEqual(['11', '20'])
+    expect(await search('url:roadmap')).toEqual(['13'])
+    expect(await search('title:"team wiki"')).toEqual(['11'])
+    expect(await search('"old roadmap"')).toEqual(['13'])
+    expect(await search('is:folder')).toEqual(['10', '12'])
+    expect(await search('is:bookmark -domain:example.com')).toEqual(['13'])
+    expect(await search('https://example.com/')).toEqual(['20'])
+  })
+
+  test('added: compares whole days', async () => {
+    expect(await search('added:2024-01-01')).toEqual(['11'])
+    expect(await search('added:>2024-01-01')).toEqual(['20'])
+    expect(await search('added:>=2024-01-01 is:bookmark')).toEqual(['11', '20'])
+    expect(await search('added:<2024 is:bookmark')).toEqual(['13'])
+    expect(await search('added:2023-06')).toEqual(['12', '13'])
+  })
+
+  test('in: matches a folder path and its subfolders', async () => {
+    expect(await search('in:Work is:bookmark')).toEqual(['11', '13'])
+    expect(await search('in:"Bookmarks bar/Work/Projects"')).toEqual(['13'])
+    expect(await search('in:"Work / Projects"')).toEqual(['13'])
+    expect(await search('-in:Projects is:bookmark')).toEqual(['11', '20'])
+  })
+
+  test('pane search finds bookmarks by domain', async () => {
+    const title = `Domain Search ${Date.now()}`
+    const domain = `d${Date.now()}.example`
+    await extensionPage.evaluate(
+      ({ bookmarkTitle, host }) =>
+        chrome.bookmarks.create({
+          parentId: '2',
+          title: bookmarkTitle,
+          url: `https://www.${host}/page`,
+        }),
+      { bookmarkTitle: title, host: domain },
+    )
+
+    await extensionPage
+      .locator('.search-input[data-pane="1"]')
+      .fill(`domain:${domain}`)
+
+    await expect(
+      extensionPage.locator(`#pane-1 .content-item:has-text("${title}")`),
+    ).toBeVisible()
+    await expect(
+      extensionPage.locator('.status-text[data-pane="1"]'),
+    ).toContainText(`Search: "domain:${domain}"`)
+  })
+
+  test('malformed operators are reported in the status bar', async () => {
+    await extensionPage
+      .locator('.search-input[data-pane="1"]')
+      .fill('added:yesterday')
+
+    await expect(
+      extensionPage.locator('.status-text[data-pane="1"]'),
+    ).toContainText('Invalid date "yesterday"')
+  })
+
+  test('typos match and results are ranked and highlighted', async () => {
+    const stamp = Date.now()
+    await extensionPage.evaluate(async (id) => {
+      const folder = await chrome.bookmarks.create({
+        parentId: '2',
+        title: `Fuzzy ${id}`,
+      })
+      await chrome.bookmarks.create({
+        parentId: folder.id,
+        title: `Kubernetes Handbook ${id}`,
+        url: 'https://handbook.example/',
+      })
+      await chrome.bookmarks.create({
+        parentId: folder.id,
+        title: `Notes ${id}`,
+        url: 'https://kubernetes.example/notes',
+      })
+    }, stamp)
+
+    await extensionPage
+      .locator('.search-input[data-pane="1"]')
+      .fill(`kuberentes in:"Fuzzy ${stamp}"`)
+
+    const items = extensionPage.locator('#pane-1 .content-item')
+    await expect(items).toHaveCount(2)
+    // The title match outranks the URL match
+    await expect(items.first()).toContainText(`Kubernetes Handbook ${stamp}`)
+    await expect(items.first().locator('.search-highlight')).toHaveText(
+      'Kubernetes',
+    )
+    await expect(items.nth(1).locator('.search-highlight')).toHaveCount(0)
+  })
+
+  test('bookmarks created after a search are found', async () => {
+    const search = extensionPage.locator('.search-input[data-pane="1"]')
+    const title = `Indexed Later ${Date.now()}`
+
+    await search.fill('Indexed Later')
+    await expect(
+      extensionPage.locator('.status-text[data-pane="1"]'),
+    ).toContainText('Search:')
+
+    await extensionPage.evaluate(
+      (bookmarkTitle) =>
+        chrome.bookmarks.create({
+          parentId: '2',
+          title: bookmarkTitle,
+          url: 'https://later.example/',
+        }),
+      title,
+    )
+    await search.fill(title)
+
+    await expect(
+      extensionPage.locator(`#pane-1 .content-item:has-text("${title}")`),
+    ).toBeVisible()
+  })
+
+  test('regex mode highlights capture groups', async () => {
+    const stamp = Date.now()
+    await extensionPage.evaluate(
+      (id) =>
+        chrome.bookmarks.create({
+          parentId: '2',
+          title: `Ticket ${id} PROJ-123`,
+          url: `https://tracker.example/${id}`,
+        }),
+      stamp,
+    )
+
+    await extensionPage.locator('#pane-1 .search-regex-toggle').click()
+    await expect(
+      extensionPage.locator('.search-regex-field[data-pane="1"]'),
+    ).toBeVisible()
+    await extensionPage
+      .locator('.search-input[data-pane="1"]')
+      .fill(`${stamp} ([A-Z]+)-(\\d+)`)
+
+    const item = extensionPage.locator(
+      `#pane-1 .content-item:has-text("Ticket ${stamp}")`,
+    )
+    await expect(item.locator('.search-group-1')).toHaveText('PROJ')
+    await expect(item.locator('.search-group-2')).toHaveText('123')
+
+    // \W is an escape, not a capital letter, so case is still ignored
+    await extensionPage
+      .locator('.search-input[data-pane="1"]')
+      .fill(`${stamp}\\W+proj`)
+    await expect(item).toBeVisible()
+
+    await extensionPage
+      .locator('.search-regex-field[data-pane="1"]')
+      .selectOption('url')
+    await extensionPage
+      .locator('.search-input[data-pane="1"]')
+      .fill(`tracker\\.example/${stamp}$`)
+    await expect(item).toBeVisible()
+    await expect(item.locator('.search-highlight')).toHaveCount(0)
+  })
+
+  test('invalid patterns are reported in the status bar', async () => {
+    await extensionPage.locator('#pane-1 .search-regex-toggle').click()
+    await extensionPage.locator('.search-input[data-pane="1"]').fill('([a-z')
+
+    await expect(
+      extensionPage.locator('.status-text[data-pane="1"]'),
+    ).toContainText('Invalid pattern')
+    await expect(
+      extensionPage.locator('.search-input[data-pane="1"]'),
+    ).toHaveClass(/invalid/)
+  })
+
+  /**
+   * Creates two folders under Other Bookmarks, each holding a bookmark
+   * whose title contains the given marker.
+   * @param {string} marker - Unique text shared by both bookmarks
+   */
+  async function createResultsInTwoFolders(marker) {
+    await extensionPage.evaluate(async (text) => {
+      for (const name of ['Alpha', 'Beta']) {
+        const folder = await chrome.bookmarks.create({
+          parentId: '2',
+          title: `${name} ${text}`,
+        })
+        await chrome.bookmarks.create({
+          parentId: folder.id,
+          title: `${text} in ${name}`,
+          url: `https://${name.toLowerCase()}.example/`,
+        })
+      }
+    }, marker)
+  }
+
+  test('results show folder paths and group by folder', async () => {
+    const marker = `Crumb${Date.now()}`
+    await createResultsInTwoFolders(marker)
+
+    await extensionPage
+      .locator('.search-input[data-pane="1"]')
+      .fill(`${marker} in`)
+
+    const result = extensionPage.locator(
+      `#pane-1 .content-item:has-text("${marker} in Alpha")`,
+    )
+    await expect(result.locator('.content-item-path')).toHaveText(
+      `Other bookmarks › Alpha ${marker}`,
+    )
+
+    await extensionPage.locator('#pane-1 .search-group-toggle').click()
+    const headers = extensionPage.locator('#pane-1 .search-folder-header')
+    await expect(headers).toHaveCount(2)
+    await expect(
+      headers.filter({ hasText: `Other bookmarks › Alpha ${marker}` }),
+    ).toHaveCount(1)
+    await expect(
+      headers.filter({ hasText: `Other bookmarks › Beta ${marker}` }),
+    ).toHaveCount(1)
+  })
+
+  test('open containing folder selects the result', async () => {
+    const marker = `Reveal${Date.now()}`
+    await createResultsInTwoFolders(marker)
+
+    await extensionPage
+      .locator('.search-input[data-pane="1"]')
+      .fill(`${marker} in Beta`)
+    await extensionPage
+      .locator(`#pane-1 .content-item:has-text("${marker} in Beta")`)
+      .click({ button: 'right' })
+    await extensionPage
+      .locator('#context-menu [data-action="open-containing-folder"]')
+      .click()
+
+    await expect(
+      extensionPage.locator('.address-path[data-pane="1"]'),
+    ).toContainText(`Beta ${marker}`)
+    await expect(
+      extensionPage.locator('#pane-1 .content-item.selected'),
+    ).toHaveText(`${marker} in Beta`)
+    await expect(
+      extensionPage.locator('.search-input[data-pane="1"]'),
+    ).toHaveValue('')
+  })
+
+  test('scope selector limits results to the current folder', async () => {
+    const marker = `Scope${Date.now()}`
+    await createResultsInTwoFolders(marker)
+    await extensionPage.evaluate(async (text) => {
+      await chrome.bookmarks.create({
+        parentId: '1',
+        title: `${text} in Bar`,
+        url: 'https://bar.example/',
+      })
+    }, marker)
+
+    await extensionPage.locator('#folder-tree .tree-item[data-id="2"]').click()
+    const scope = extensionPage.locator('.search-scope[data-pane="1"]')
+    const results = extensionPage.locator(
+      `#pane-1 .content-item:has-text("${marker} in")`,
+    )
+
+    await scope.selectOption('subtree')
+    await extensionPage
+      .locator('.search-input[data-pane="1"]')
+      .fill(`${marker} in`)
+    await expect(results).toHaveCount(2)
+
+    await scope.selectOption('folder')
+    await expect(results).toHaveCount(0)
+
+    await scope.selectOption('all')
+    await expect(results).toHaveCount(3)
+
+    await scope.selectOption('subtree')
+    await extensionPage.reload()
+    await extensionPage.waitForSelector('#folder-tree')
+    await expect(
+      extensionPage.locator('.search-scope[data-pane="1"]'),
+    ).toHaveValue('subtree')
+    await expect(
+      extensionPage.locator('.search-scope[data-pane="2"]'),
+    ).toHaveValue('all')
+
+    // Leave later searches unscoped
+    await extensionPage
+      .locator('.search-scope[data-pane="1"]')
+      .selectOption('all')
+  })
+})
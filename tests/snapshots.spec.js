@@ -0,0 +1,96 @@
+const { test, expect, chromium } = require('@playwright/test')
+const path = require('path')
+
+/**
+ * Tests for the snapshot browser.
+ *
+ * These tests verify:
+ * 1. A manual snapshot appears in the snapshot picker
+ * 2. A deleted bookmark can be restored from a snapshot
+ */
+
+const EXTENSION_PATH = path.resolve(__dirname, '..')
+
+test.describe('Snapshots', () => {
+  /** @type {import('@playwright/test').BrowserContext} */
+  let context
+  /** @type {import('@playwright/test').Page} */
+  let snapshotPage
+  let extensionId
+
+  test.beforeAll(async () => {
+    context = await chromium.launchPersistentContext('', {
+      headless: false, // Extensions require headed mode
+      args: [
+        `--disable-extensions-except=${EXTENSION_PATH}`,
+        `--load-extension=${EXTENSION_PATH}`,
+        '--no-first-run',
+        '--disable-default-apps',
+      ],
+    })
+
+    let [background] = context.serviceWorkers()
+    if (!background) {
+      background = await context.waitForEvent('serviceworker')
+    }
+    extensionId = background.url().split('/')[2]
+  })
+
+  test.afterAll(async () => {
+    await context?.close()
+  })
+
+  test.beforeEach(async () => {
+    snapshotPage = await context.newPage()
+    await snapshotPage.goto(
+      `chrome-extension://${extensionId}/snapshots/snapshots.html`,
+    )
+    await snapshotPage.waitForSelector('#folder-tree')
+  })
+
+  test.afterEach(async () => {
+    await snapshotPage?.close()
+  })
+
+  test('manual snapshot appears in the picker', async () => {
+    const options = snapshotPage.locator('#snapshot-select option')
+    const before = await options.count()
+
+    await snapshotPage.locator('#take-snapshot').click()
+
+    await expect(options).toHaveCount(before + 1)
+    await expect(options.first()).toContainText('(manual)')
+  })
+
+  test('deleted bookmark can be restored from a snapshot', async () => {
+    const title = `Snapshot Restore ${Date.now()}`
+    const bookmarkId = await snapshotPage.evaluate(async (bookmarkTitle) => {
+      const created = await chrome.bookmarks.create({
+        parentId: '1',
+        title: bookmarkTitle,
+        url: 'https://snapshot.example/',
+      })
+      return created.id
+    }, title)
+
+    await snapshotPage.locator('#take-snapshot').click()
+    const item = snapshotPage.locator(`.content-item:has-text("${title}")`)
+    await expect(item).toBeVisible()
+
+    await snapshotPage.evaluate((id) => chrome.bookmarks.remove(id), bookmarkId)
+
+    await item.click()
+    await snapshotPage.locator('[data-action="restore"]').click()
+    await expect(snapshotPage.locator('.toast.success')).toContainText(
+      `Restored "${title}"`,
+    )
+
+    const restored = await snapshotPage.evaluate(
+      (bookmarkTitle) => chrome.bookmarks.search({ title: bookmarkTitle }),
+      title,
+    )
+    expect(restored).toHaveLength(1)
+    expect(restored[0].parentId).toBe('1')
+    expect(restored[0].url).toBe('https://snapshot.example/')
+  })
+})
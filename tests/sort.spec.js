@@ -0,0 +1,178 @@
+const { test, expect, chromium } = require('@playwright/test')
+const path = require('path')
+
+/**
+ * Tests for permanently sorting a folder, and for view-only sorting.
+ *
+ * These tests verify:
+ * 1. Sorting by name puts folders first and compares numbers naturally
+ * 2. Recursive sorting by domain reorders subfolders, and one undo
+ *    restores every folder's original order
+ * 3. A view sort reorders the pane but not the stored bookmarks, and is
+ *    remembered for the folder
+ */
+
+const EXTENSION_PATH = path.resolve(__dirname, '..')
+
+test.describe('Sort Folder', () => {
+  /** @type {import('@playwright/test').BrowserContext} */
+  let context
+  /** @type {import('@playwright/test').Page} */
+  let extensionPage
+  let extensionId
+
+  test.beforeAll(async () => {
+    context = await chromium.launchPersistentContext('', {
+      headless: false, // Extensions require headed mode
+      args: [
+        `--disable-extensions-except=${EXTENSION_PATH}`,
+        `--load-extension=${EXTENSION_PATH}`,
+        '--no-first-run',
+        '--disable-default-apps',
+      ],
+    })
+
+    let [background] = context.serviceWorkers()
+    if (!background) {
+      background = await context.waitForEvent('serviceworker')
+    }
+    extensionId = background.url().split('/')[2]
+  })
+
+  test.afterAll(async () => {
+    await context?.close()
+  })
+
+  test.beforeEach(async () => {
+    extensionPage = await context.newPage()
+    await extensionPage.goto(
+      `chrome-extension://${extensionId}/fullpage/fullpage.html`,
+    )
+    await extensionPage.waitForSelector('#folder-tree')
+    await extensionPage.waitForTimeout(500)
+  })
+
+  test.afterEach(async () => {
+    await extensionPage?.close()
+  })
+
+  /**
+   * Creates an unsorted folder in the Bookmarks bar.
+   * @param {string} marker - Folder title
+   */
+  async function createUnsortedFolder(marker) {
+    await extensionPage.evaluate(async (title) => {
+      const folder = await chrome.bookmarks.create({ parentId: '1', title })
+      const add = (parentId, title, url) =>
+        chrome.bookmarks.create({ parentId, title, url })
+
+      await add(folder.id, 'Item 10', 'https://www.b.example/')
+      const sub = await add(folder.id, 'Zed folder')
+      await add(sub.id, 'Second', 'https://z.example/')
+      await add(sub.id, 'First', 'https://a.example/')
+      await add(folder.id, 'item 2', 'https://c.example/')
+      await add(folder.id, 'Apple', 'https://a.example/')
+    }, marker)
+  }
+
+  /**
+   * Lists a folder's child titles and those of its subfolder.
+   * @param {string} marker - Folder title
+   */
+  function getOrder(marker) {
+    return extensionPage.evaluate(async (title) => {
+      const [folder] = await chrome.bookmarks.search({ title })
+      const [subtree] = await chrome.bookmarks.getSubTree(folder.id)
+      const sub = subtree.children.find((child) => !child.url)
+      return {
+        top: subtree.children.map((child) => child.title),
+        sub: sub.children.map((child) => child.title),
+      }
+    }, marker)
+  }
+
+  /**
+   * Sorts a folder through its context menu.
+   * @param {string} marker - Folder title
+   * @param {string} key - Sort key option value
+   * @param {boolean} recursive - Whether to sort subfolders too
+   */
+  async function sortFromContextMenu(marker, key, recursive) {
+    await extensionPage
+      .locator(`#pane-1 .content-item:has-text("${marker}")`)
+      .click({ button: 'right' })
+    await extensionPage.locator('#context-menu [data-action="sort"]').click()
+    await extensionPage.locator('#sort-key').selectOption(key)
+    await extensionPage.locator('#sort-recursive').setChecked(recursive)
+    await extensionPage.locator('#sort-ok').click()
+  }
+
+  test('sorts by name with folders first', async () => {
+    const marker = `Sort Name ${Date.now()}`
+    await createUnsortedFolder(marker)
+
+    await sortFromContextMenu(marker, 'name', false)
+
+    await expect
+      .poll(() => getOrder(marker))
+      .toEqual({
+        top: ['Zed folder', 'Apple', 'item 2', 'Item 10'],
+        sub: ['Second', 'First'],
+      })
+  })
+
+  test('sorts subfolders by domain and undoes in one step', async () => {
+    const marker = `Sort Domain ${Date.now()}`
+    await createUnsortedFolder(marker)
+    const before = await getOrder(marker)
+
+    await sortFromContextMenu(marker, 'domain', true)
+
+    await expect
+      .poll(() => getOrder(marker))
+      .toEqual({
+        top: ['Zed folder', 'Apple', 'Item 10', 'item 2'],
+        sub: ['First', 'Second'],
+      })
+
+    await extensionPage.locator('#pane-1 button[data-action="undo"]').click()
+    await expect.poll(() => getOrder(marker)).toEqual(before)
+  })
+
+  test('view sort changes the pane but not the stored order', async () => {
+    const marker = `Sort View ${Date.now()}`
+    await createUnsortedFolder(marker)
+    const before = await getOrder(marker)
+
+    await extensionPage
+      .locator(`#pane-1 .content-item:has-text("${marker}")`)
+      .dblclick()
+    const labels = extensionPage.locator('#pane-1 .content-item-label')
+    const viewSort = extensionPage.locator('#pane-1 .view-sort')
+
+    await viewSort.selectOption('name')
+    await expect(labels).toHaveText([
+      'Apple',
+      'item 2',
+      'Item 10',
+      'Zed folder',
+    ])
+    await expect(extensionPage.locator('#pane-1')).toHaveClass(/view-sorted/)
+
+    await extensionPage.locator('#pane-1 .view-sort-direction').click()
+    await expect(labels).toHaveText([
+      'Zed folder',
+      'Item 10',
+      'item 2',
+      'Apple',
+    ])
+    expect(await getOrder(marker)).toEqual(before)
+
+    await extensionPage.reload()
+    await extensionPage
+      .locator(`#pane-1 .content-item:has-text("${marker}")`)
+      .dblclick()
+    await expect(viewSort).toHaveValue('name')
+    await expect(labels.first()).toHaveText('Zed folder')
+  })
+})